@@ -0,0 +1,146 @@
+import { toCsv } from "./csv.js";
+
+// Page statistiques: figures d'une saison (getSeasonStats), téléchargeables en CSV,
+// et comparaison avec une saison précédente.
+
+const euros = (cents) => Number(cents || 0) / 100;
+const percent = (ratio) => (ratio == null ? null : Math.round(ratio * 1000) / 10);
+// Taux de remplissage d'une présence: réservations / (créneaux × capacité)
+export const fillRate = (p) => (p.slots && p.slot_capacity ? p.reservations / (p.slots * p.slot_capacity) : null);
+
+// Une entrée par figure: titre, lignes tirées des statistiques, colonnes CSV
+export const FIGURES = {
+  days: {
+    title: "Bouteilles par jour",
+    rows: (stats) => stats.byDay,
+    columns: [
+      { header: "Date", value: (r) => r.date },
+      { header: "Réservations", value: (r) => r.reservations },
+      { header: "Bouteilles", value: (r) => r.units },
+      { header: "Total (€)", value: (r) => euros(r.total_cents) }
+    ]
+  },
+  locations: {
+    title: "Bouteilles par lieu",
+    rows: (stats) => stats.byLocation,
+    columns: [
+      { header: "Lieu", value: (r) => r.location },
+      { header: "Présences", value: (r) => r.presences },
+      { header: "Réservations", value: (r) => r.reservations },
+      { header: "Bouteilles", value: (r) => r.units },
+      { header: "Total (€)", value: (r) => euros(r.total_cents) }
+    ]
+  },
+  hours: {
+    title: "Bouteilles par heure",
+    rows: (stats) => stats.byHour,
+    columns: [
+      { header: "Heure", value: (r) => r.hour },
+      { header: "Créneaux", value: (r) => r.slots },
+      { header: "Réservations", value: (r) => r.reservations },
+      { header: "Bouteilles", value: (r) => r.units }
+    ]
+  },
+  fill: {
+    title: "Remplissage des créneaux",
+    rows: (stats) => stats.fill,
+    columns: [
+      { header: "Date", value: (r) => r.date },
+      { header: "Lieu", value: (r) => r.location },
+      { header: "Créneaux", value: (r) => r.slots },
+      { header: "Capacité par créneau", value: (r) => r.slot_capacity },
+      { header: "Réservations", value: (r) => r.reservations },
+      { header: "Créneaux complets", value: (r) => r.full_slots },
+      { header: "Remplissage (%)", value: (r) => percent(fillRate(r)) }
+    ]
+  },
+  cancellations: {
+    title: "Annulations",
+    rows: (stats) => stats.cancellations,
+    columns: [
+      { header: "Date", value: (r) => r.date },
+      { header: "Annulations par le client", value: (r) => r.cancellations },
+      { header: "Bouteilles annulées", value: (r) => r.units },
+      { header: "Suppressions par l'équipe", value: (r) => r.admin_deletes }
+    ]
+  },
+  cumulative: {
+    title: "Ventes cumulées",
+    rows: (stats) => stats.cumulative,
+    columns: [
+      { header: "Jour de commande", value: (r) => r.day },
+      { header: "Bouteilles", value: (r) => r.units },
+      { header: "Total (€)", value: (r) => euros(r.total_cents) },
+      { header: "Bouteilles cumulées", value: (r) => r.cumulative_units },
+      { header: "Total cumulé (€)", value: (r) => euros(r.cumulative_cents) }
+    ]
+  },
+  comparison: {
+    title: "Comparaison des saisons",
+    rows: (stats, previous) => compareSeasons(stats, previous),
+    columns: (stats, previous) => [
+      { header: "Indicateur", value: (r) => r.label },
+      { header: `Saison ${stats.season}`, value: (r) => r.current },
+      { header: previous ? `Saison ${previous.season}` : "Saison précédente", value: (r) => r.previous },
+      { header: "Écart (%)", value: (r) => r.change }
+    ]
+  }
+};
+
+const INDICATORS = [
+  { label: "Présences", value: (t) => t.presences },
+  { label: "Réservations", value: (t) => t.reservations },
+  { label: "Bouteilles", value: (t) => t.units },
+  { label: "Chiffre d'affaires (€)", value: (t) => euros(t.total_cents) },
+  { label: "Annulations", value: (t) => t.cancellations },
+  { label: "Bouteilles annulées", value: (t) => t.cancelled_units },
+  { label: "Suppressions par l'équipe", value: (t) => t.admin_deletes },
+  { label: "Remplissage des créneaux (%)", value: (t) => percent(t.fill_rate) }
+];
+
+// Indicateurs de la saison face à la précédente; change = écart en %, null si incalculable
+export function compareSeasons(stats, previous) {
+  return INDICATORS.map(({ label, value }) => {
+    const current = value(stats.totals);
+    const before = previous ? value(previous.totals) : null;
+    const change = current != null && before ? Math.round(((current - before) / before) * 1000) / 10 : null;
+    return { label, current, previous: before, change };
+  });
+}
+
+// Décimales avec virgule pour Excel en français
+const csvValue = (v) => (typeof v === "number" ? String(v).replace(".", ",") : v);
+
+export function figureToCsv(key, stats, previous = null) {
+  const figure = FIGURES[key];
+  const columns = typeof figure.columns === "function" ? figure.columns(stats, previous) : figure.columns;
+  return toCsv(figure.rows(stats, previous), columns.map((c) => ({ header: c.header, value: (row) => csvValue(c.value(row)) })));
+}
+
+// Courbes des ventes cumulées (SVG), saisons alignées sur le jour de l'année
+export function cumulativeChart(stats, previous, { width = 640, height = 220, padding = 30 } = {}) {
+  const toPoints = (s) => (s ? s.cumulative.map((r) => ({
+    x: (Date.parse(`${r.day}T00:00:00Z`) - Date.parse(`${s.season}-01-01T00:00:00Z`)) / 86400000,
+    y: r.cumulative_units
+  })) : []);
+  const series = [toPoints(stats), toPoints(previous)];
+  const all = series.flat();
+  if (!all.length) return null;
+  const minX = Math.min(...all.map((p) => p.x));
+  const maxX = Math.max(minX + 1, ...all.map((p) => p.x));
+  const maxY = Math.max(1, ...all.map((p) => p.y));
+  const sx = (x) => padding + ((x - minX) / (maxX - minX)) * (width - 2 * padding);
+  const sy = (y) => height - padding - (y / maxY) * (height - 2 * padding);
+  // Escalier: la valeur cumulée reste constante jusqu'au jour de commande suivant
+  const path = (points) => points.map((p, i) => `${i ? `L${sx(p.x).toFixed(1)},${sy(points[i - 1].y).toFixed(1)} ` : "M"}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(" ");
+  const label = (x) => new Date(Date.UTC(stats.season, 0, 1 + x)).toISOString().slice(5, 10).split("-").reverse().join("/");
+  return {
+    width,
+    height,
+    padding,
+    maxY,
+    current: path(series[0]),
+    previous: path(series[1]),
+    xLabels: [{ x: sx(minX), text: label(minX) }, { x: sx(maxX), text: label(maxX) }]
+  };
+}
@@ -0,0 +1,177 @@
+import repository from "./repository.js";
+import { paymentStatus } from "./payments.js";
+
+const { CapacityError, PlanChangedError } = repository;
+
+// API JSON v1: erreurs, pagination et représentation des objets.
+// Erreur: { error: { code, message, details? } }
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const CAPACITY_STATUS = { slot_not_found: 404, no_items: 422, product_unavailable: 422 };
+
+// Statut HTTP et corps JSON pour n'importe quelle erreur levée par une route
+export function apiErrorResponse(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, body: errorBody(err.code, err.message, err.details) };
+  }
+  if (err instanceof CapacityError) {
+    return { status: CAPACITY_STATUS[err.code] || 409, body: errorBody(err.code, err.message) };
+  }
+  if (err instanceof PlanChangedError) {
+    return { status: 409, body: errorBody("plan_changed", err.message, planJson(err.plan)) };
+  }
+  if (err.type === "entity.parse.failed") {
+    return { status: 400, body: errorBody("invalid_json", "Corps JSON invalide") };
+  }
+  return { status: 500, body: errorBody("internal_error", "Erreur interne") };
+}
+
+function errorBody(code, message, details = null) {
+  return { error: details ? { code, message, details } : { code, message } };
+}
+
+// ?limit=&offset= => { limit, offset }
+export function parsePagination(query) {
+  const limit = query.limit === undefined ? PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, "invalid_parameter", `limit doit être un entier entre 1 et ${MAX_PAGE_SIZE}`, { parameter: "limit" });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "invalid_parameter", "offset doit être un entier positif", { parameter: "offset" });
+  }
+  return { limit, offset };
+}
+
+export function pageBody(data, { limit, offset }, total) {
+  const next = offset + data.length < total ? offset + limit : null;
+  return { data, pagination: { limit, offset, total, next_offset: next } };
+}
+
+const hm = (t) => (t ? String(t).slice(0, 5) : null);
+const int = (v) => (v === null || v === undefined ? null : Number(v));
+
+export function productAvailabilityJson(a) {
+  return { product_id: a.product_id, name: a.name, price_cents: a.price_cents, stock: a.stock, remaining: a.remaining };
+}
+
+export function presenceJson(p, availability = []) {
+  return {
+    id: p.id,
+    location: p.location,
+    date: p.date,
+    start_time: hm(p.start_time),
+    end_time: hm(p.end_time),
+    timezone: p.timezone,
+    slot_minutes: p.slot_minutes,
+    slot_capacity: p.slot_capacity,
+    breaks: p.breaks || [],
+    slots_count: p.slots_count,
+    reservations_count: p.reservations_count,
+    units_reserved: p.bottles_reserved,
+    collected_count: p.collected_count,
+    waitlist_count: p.waitlist_count,
+    products: availability.map(productAvailabilityJson)
+  };
+}
+
+export function slotJson(s) {
+  const json = {
+    id: s.slot_id ?? s.id,
+    presence_id: s.presence_id,
+    start_at: s.start_at,
+    location: s.location,
+    date: s.date,
+    slot_capacity: s.slot_capacity,
+    reservations_count: s.reservations_count
+  };
+  if (s.is_full !== undefined) json.is_full = s.is_full;
+  if (s.products) json.products = s.products.map(productAvailabilityJson);
+  return json;
+}
+
+// Le jeton (token) sert d'identifiant: c'est lui que reçoit le client par email
+export function reservationJson(r) {
+  return {
+    token: r.token,
+    slot_id: r.slot_id,
+    presence_id: r.presence_id,
+    start_at: r.start_at,
+    location: r.location,
+    date: r.date,
+    customer_id: r.customer_id ?? null,
+    first_name: r.first_name,
+    last_name: r.last_name,
+    phone: r.phone,
+    email: r.email,
+    comment: r.comment,
+    language: r.language,
+    items: (r.items || []).map((i) => ({ product_id: i.product_id, name: i.name, quantity: i.quantity, unit_price_cents: i.unit_price_cents })),
+    quantity: r.quantity,
+    total_cents: int(r.total_cents),
+    amount_paid_cents: int(r.amount_paid_cents),
+    payment_status: paymentStatus(r.total_cents, r.amount_paid_cents),
+    payment_reference: r.payment_reference,
+    collected_at: r.collected_at,
+    collected_by: r.collected_by,
+    created_at: r.created_at
+  };
+}
+
+// Réservations déplacées ou annulées par une modification de présence
+export function planJson(plan) {
+  return {
+    plan_key: plan.key,
+    moves: plan.moves.map((m) => ({ token: m.reservation.token, from: m.from, to: m.to })),
+    cancellations: plan.orphans.map((r) => ({ token: r.token, slot: r.hm }))
+  };
+}
+
+// Validation des corps JSON: erreur 422 avec le champ en cause
+export function invalidField(field, message) {
+  return new ApiError(422, "validation_error", message, { field });
+}
+
+export function stringField(body, field, { required = false, fallback = null } = {}) {
+  const value = body[field] === undefined ? fallback : body[field];
+  if (value === null || value === undefined || value === "") {
+    if (required) throw invalidField(field, `${field} est requis`);
+    return null;
+  }
+  if (typeof value !== "string" && typeof value !== "number") throw invalidField(field, `${field} doit être une chaîne`);
+  const text = String(value).trim();
+  if (required && !text) throw invalidField(field, `${field} est requis`);
+  return text || null;
+}
+
+// items: [{ product_id, quantity }], quantité 0 = ligne retirée
+export function itemsField(body) {
+  if (!Array.isArray(body.items)) throw invalidField("items", "items doit être une liste de { product_id, quantity }");
+  const items = [];
+  for (const item of body.items) {
+    const productId = Number(item?.product_id);
+    const quantity = Number(item?.quantity);
+    if (!Number.isInteger(productId) || !Number.isInteger(quantity) || quantity < 0) {
+      throw invalidField("items", "Chaque article doit avoir un product_id et une quantité entière positive");
+    }
+    if (quantity > 0) items.push({ product_id: productId, quantity });
+  }
+  return items;
+}
+
+// Valeur booléenne d'un paramètre (corps JSON ou query string)
+export function flag(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return !(value === false || value === "false" || value === "0" || value === 0);
+}
@@ -6,9 +6,40 @@ import expressLayouts from "express-ejs-layouts";
 import cookieParser from "cookie-parser";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
-import { sql } from "@vercel/postgres"; // ajout: ping DB
+import { migrate, migrationStatus } from "./migrate.js";
+import repository from "./repository.js";
 
 import {
+  sendConfirmationEmail,
+  sendReservationMovedEmail,
+  sendReservationCancelledEmail,
+  sendReservationModifiedEmail,
+  sendRecoveryEmail,
+  sendReminderEmail,
+  sendOrganiserDigestEmail,
+  sendPasswordResetEmail,
+  sendWaitlistJoinedEmail,
+  sendWaitlistOfferEmail
+} from "./email.js";
+import { formatTime, localDay, todayLocal } from "./time.js";
+import { reservationsToCsv, reservationsToXlsx, buildPickupSheet, pickupSheetToPdf } from "./exports.js";
+import { validatePresenceImport, normalizeDate } from "./imports.js";
+import { WEEKDAYS, MAX_OCCURRENCES, MAX_DUPLICATE_WEEKS, addDays, weekStart, parseDateList, parseRecurrenceFields, duplicateWeeks, planPresences } from "./recurrence.js";
+import { formatPrice, parsePrice } from "./money.js";
+import { checkinUrl, qrDataUrl, tokenFromScan } from "./qr.js";
+import { formatReference, extractReference, parseAmount, parseBankStatement, paymentStatus, PAYMENT_METHODS } from "./payments.js";
+import { ROLES, MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, safeEqual, newResetToken, hashResetToken, passwordProblem, newApiKey, hashApiKey, newCsrfSecret, csrfTokenFor } from "./auth.js";
+import { AUDIT_ENTITIES, AUDIT_ACTIONS, AUDIT_ACTORS, auditChanges, auditSummary } from "./audit.js";
+import { computeSlotTimes, parseBreaks, formatBreaks, toMinutes, DEFAULT_SLOT_MINUTES, MIN_SLOT_MINUTES, MAX_SLOT_MINUTES } from "./slots.js";
+import { ApiError, apiErrorResponse, parsePagination, pageBody, presenceJson, slotJson, reservationJson, planJson, invalidField, stringField, itemsField, flag } from "./api.js";
+import { openApiSpec } from "./openapi.js";
+import { reservationIcs, presencesFeedIcs } from "./ical.js";
+import { normalizePhone, formatPhone } from "./phone.js";
+import { FIGURES, compareSeasons, cumulativeChart, fillRate, figureToCsv } from "./analytics.js";
+import { LANGUAGES, DEFAULT_LANGUAGE, isLanguage, languageFromHeader, localeFor, translator } from "./i18n.js";
+
+// Accès aux données: uniquement par l'interface du dépôt
+const {
   createPresence,
   listUpcomingSlots,
   getSlotById,
@@ -22,9 +53,71 @@ import {
   countReservationsForPresence,
   updatePresenceWithRegeneration,
   deletePresence,
-  listPresencesWithCounts
-} from "./db.js";
-import { sendConfirmationEmail } from "./email.js";
+  listPresencesWithCounts,
+  previewPresenceEdit,
+  findUpcomingReservationsByContact,
+  hitRateLimit,
+  ping,
+  listReservationsDueForReminder,
+  claimReminder,
+  releaseReminder,
+  listReservationsForPresence,
+  recordOrderEvents,
+  listUndigestedOrderEvents,
+  markOrderEventsDigested,
+  listProductAvailability,
+  listProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  getReservationByReference,
+  recordPayment,
+  deletePayment,
+  matchBankTransfers,
+  importBankTransfers,
+  listUnmatchedPayments,
+  assignPayment,
+  markCollected,
+  unmarkCollected,
+  searchReservationsForCheckin,
+  listCollectionBySlot,
+  countAdminUsers,
+  listAdminUsers,
+  getAdminUserById,
+  getAdminUserByEmail,
+  createAdminUser,
+  updateAdminUser,
+  countActiveOrganisers,
+  setAdminPassword,
+  touchAdminLogin,
+  createPasswordReset,
+  getPasswordReset,
+  consumePasswordReset,
+  listAuditLog,
+  getAuditHistory,
+  pagePresences,
+  pageUpcomingSlots,
+  pageReservations,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  findActiveApiKey,
+  listPresenceFeed,
+  createWaitlistEntry,
+  getWaitlistEntryByToken,
+  cancelWaitlistEntry,
+  listPresencesWithWaitlist,
+  processWaitlist,
+  listCustomers,
+  getCustomer,
+  listDuplicateCustomers,
+  mergeCustomers,
+  listSeasons,
+  getSeasonStats,
+  listSlotChoices,
+  CapacityError,
+  PlanChangedError
+} = repository;
 
 dotenv.config();
 
@@ -38,6 +131,30 @@ app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use(expressLayouts);
 app.set("layout", "layout");
+app.locals.formatTime = formatTime;
+app.locals.localDay = localDay;
+app.locals.formatPrice = formatPrice;
+app.locals.formatPhone = formatPhone;
+app.locals.formatReference = formatReference;
+app.locals.paymentStatus = paymentStatus;
+app.locals.PAYMENT_METHODS = PAYMENT_METHODS;
+app.locals.paymentIban = process.env.PAYMENT_IBAN || "";
+app.locals.paymentBeneficiary = process.env.PAYMENT_BENEFICIARY || "";
+app.locals.ROLES = ROLES;
+app.locals.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+app.locals.AUDIT_ENTITIES = AUDIT_ENTITIES;
+app.locals.AUDIT_ACTIONS = AUDIT_ACTIONS;
+app.locals.AUDIT_ACTORS = AUDIT_ACTORS;
+app.locals.auditChanges = auditChanges;
+app.locals.auditSummary = auditSummary;
+// Remplacés par requireAdmin pour le compte connecté
+app.locals.admin = null;
+app.locals.can = () => false;
+// Remplacés par le middleware de langue
+app.locals.lang = DEFAULT_LANGUAGE;
+app.locals.t = translator(DEFAULT_LANGUAGE);
+app.locals.locale = localeFor(DEFAULT_LANGUAGE);
+app.locals.languageLinks = [];
 
 // Static & middlewares
 app.use(express.static(path.join(process.cwd(), "public")));
@@ -52,9 +169,10 @@ const BRAND = {
 };
 
 // Helpers
-function setAdminCookie(req, res) {
-  const secret = process.env.SESSION_SECRET || "dev_secret";
-  const token = jwt.sign({ admin: true }, secret, { expiresIn: "7d" });
+const SESSION_SECRET = process.env.SESSION_SECRET || "dev_secret";
+// Session admin: id du compte + session_version; le compte est relu à chaque requête
+function setAdminCookie(req, res, user) {
+  const token = jwt.sign({ uid: user.id, sv: user.session_version }, SESSION_SECRET, { expiresIn: "7d" });
   const proto = (req.headers["x-forwarded-proto"] || "").toString();
   const isHttps = proto.includes("https");
   res.cookie("admin_token", token, {
@@ -67,40 +185,261 @@ function setAdminCookie(req, res) {
 function clearAdminCookie(res) {
   res.clearCookie("admin_token", { path: "/" });
 }
-function requireAdmin(req, res, next) {
-  const token = req.cookies?.admin_token;
-  if (!token) return res.redirect("/admin/login");
-  try {
-    const secret = process.env.SESSION_SECRET || "dev_secret";
-    jwt.verify(token, secret);
-    return next();
-  } catch (e) {
-    return res.redirect("/admin/login");
+// Langue du site public: ?lang= (sélecteur, mémorisée dans le cookie "lang"), sinon le cookie,
+// sinon Accept-Language. L'admin reste en français.
+app.use((req, res, next) => {
+  const isAdmin = req.path.startsWith("/admin");
+  let lang = isLanguage(req.query.lang) ? req.query.lang : null;
+  if (lang) {
+    res.cookie("lang", lang, { sameSite: "lax", maxAge: 365 * 24 * 3600 * 1000, path: "/" });
+  } else {
+    lang = isLanguage(req.cookies?.lang) ? req.cookies.lang : languageFromHeader(req.headers["accept-language"]);
+  }
+  if (isAdmin) lang = DEFAULT_LANGUAGE;
+  req.lang = lang;
+  req.t = translator(lang);
+  res.locals.lang = lang;
+  res.locals.t = req.t;
+  res.locals.locale = localeFor(lang);
+  res.locals.languageLinks = isAdmin ? [] : Object.entries(LANGUAGES).map(([code, label]) => {
+    const url = new URL(req.originalUrl, "http://localhost");
+    url.searchParams.set("lang", code);
+    return { code, label, url: url.pathname + url.search };
+  });
+  next();
+});
+// CSRF: secret aléatoire dans le cookie "csrf", chaque formulaire POST renvoie
+// son HMAC dans le champ _csrf (<%- csrfField %>). L'API (clé) et les crons
+// (CRON_SECRET) ne s'authentifient pas par cookie et n'en ont pas besoin.
+const CSRF_EXEMPT = ["/api/", "/cron/"];
+app.use((req, res, next) => {
+  let secret = req.cookies?.csrf;
+  if (!secret) {
+    secret = newCsrfSecret();
+    const isHttps = (req.headers["x-forwarded-proto"] || "").toString().includes("https");
+    res.cookie("csrf", secret, { httpOnly: true, sameSite: "lax", secure: isHttps, path: "/" });
+  }
+  const token = csrfTokenFor(secret, SESSION_SECRET);
+  res.locals.csrfField = `<input type="hidden" name="_csrf" value="${token}">`;
+  if (req.method !== "POST" || CSRF_EXEMPT.some((prefix) => req.path.startsWith(prefix))) return next();
+  const sent = req.body?._csrf || req.headers["x-csrf-token"];
+  if (!req.cookies?.csrf || !sent || !safeEqual(sent, token)) {
+    return res.status(403).send(req.t("errors.csrf"));
   }
+  return next();
+});
+// L'organisateur a tous les droits; sans rôle demandé, tout compte actif passe
+function hasRole(admin, roles) {
+  return admin.role === "organiser" || !roles.length || roles.includes(admin.role);
 }
+// requireAdmin() = tout compte actif, requireAdmin("treasurer") = trésorier (ou organisateur)
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    const token = req.cookies?.admin_token;
+    if (!token) return res.redirect("/admin/login");
+    let user = null;
+    try {
+      const payload = jwt.verify(token, SESSION_SECRET);
+      user = payload.uid ? await getAdminUserById(payload.uid) : null;
+      if (user && (!user.active || user.session_version !== payload.sv)) user = null;
+    } catch (e) {
+      if (!(e instanceof jwt.JsonWebTokenError)) console.error("[requireAdmin] error:", e);
+    }
+    if (!user) {
+      clearAdminCookie(res);
+      return res.redirect("/admin/login");
+    }
+    req.admin = { id: user.id, name: user.name, email: user.email, role: user.role };
+    res.locals.admin = req.admin;
+    res.locals.can = (...allowed) => hasRole(req.admin, allowed);
+    if (!hasRole(req.admin, roles)) return res.status(403).render("admin/forbidden", { BRAND });
+    return next();
+  };
+}
+// Auteur d'un changement pour le journal d'audit
+function customerActor(token) {
+  return { type: "customer", id: token, name: "Client" };
+}
+function adminActor(req) {
+  return { type: "admin", id: req.admin.id, name: req.admin.name };
+}
+// Appels Vercel Cron: en-tête "Authorization: Bearer <CRON_SECRET>"
+function requireCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return res.status(503).json({ ok: false, error: "CRON_SECRET non configuré" });
+  if (req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ ok: false, error: "Non autorisé" });
+  return next();
+}
+// start_at est un instant absolu (timestamptz): la comparaison ne dépend pas du fuseau du serveur
 function isBeforeSlotStart(slotStartIso) {
   const now = new Date();
   const start = new Date(slotStartIso);
   return now < start;
 }
+// Champ numérique optionnel d'un formulaire: "" => null, sinon entier >= min
+function parseOptionalInt(value, min) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const n = parseInt(value, 10);
+  return isNaN(n) || n < min ? NaN : n;
+}
+// Stock par produit: champs "stock_<id>", vide = illimité
+function parseCapacityFields(body, products) {
+  const slot_capacity = parseOptionalInt(body.slot_capacity, 1);
+  if (Number.isNaN(slot_capacity)) return { error: "Le nombre de réservations par créneau doit être au moins 1" };
+  const stocks = {};
+  for (const product of products) {
+    const stock = parseOptionalInt(body[`stock_${product.id}`], 0);
+    if (Number.isNaN(stock)) return { error: `Le stock de « ${product.name} » doit être un nombre positif` };
+    stocks[product.id] = stock;
+  }
+  return { slot_capacity, stocks };
+}
+// Produits proposés dans le formulaire de commande; max = ce qui reste + ce que la réservation a déjà
+function orderFormProducts(availability, items = []) {
+  const current = new Map(items.map((i) => [i.product_id, i]));
+  const rows = availability.map((a) => {
+    const quantity = current.get(a.product_id)?.quantity || 0;
+    return {
+      product_id: a.product_id,
+      name: a.name,
+      price_cents: current.get(a.product_id)?.unit_price_cents ?? a.price_cents,
+      max: a.remaining === null ? null : a.remaining + quantity,
+      quantity
+    };
+  });
+  // Produit désactivé entre-temps: la ligne existante reste modifiable à la baisse
+  for (const i of items) {
+    if (!rows.some((r) => r.product_id === i.product_id)) {
+      rows.push({ product_id: i.product_id, name: i.name, price_cents: i.unit_price_cents, max: i.quantity, quantity: i.quantity });
+    }
+  }
+  return rows;
+}
+// Quantités "qty_<id>" du formulaire => [{ product_id, quantity }]
+// Messages dans la langue du client (t = req.t)
+// Quantités saisies, pour réafficher le formulaire après une erreur
+const withQuantities = (products, body) => products.map((p) => ({ ...p, quantity: parseInt(body[`qty_${p.product_id}`], 10) || 0 }));
+function parseItems(body, products, t) {
+  const items = [];
+  for (const product of products) {
+    const raw = body[`qty_${product.product_id}`];
+    if (raw === undefined || String(raw).trim() === "") continue;
+    const quantity = parseInt(raw, 10);
+    if (isNaN(quantity) || quantity < 0) return { error: t("errors.invalid_quantity", { name: product.name }) };
+    if (quantity > 0) items.push({ product_id: product.product_id, quantity });
+  }
+  if (!items.length) return { error: t("errors.no_items") };
+  return { items };
+}
+function capacityMessage(t, e) {
+  if (e.code === "stock_exceeded" && !e.params.left) return t("errors.stock_exhausted", e.params);
+  return t(`errors.${e.code}`, e.params);
+}
+// Durée des créneaux + pauses; vérifie qu'il reste au moins un créneau
+function parseSlotFields(body) {
+  const slot_minutes = body.slot_minutes ? parseInt(body.slot_minutes, 10) : DEFAULT_SLOT_MINUTES;
+  if (isNaN(slot_minutes) || slot_minutes < MIN_SLOT_MINUTES || slot_minutes > MAX_SLOT_MINUTES) {
+    return { error: `La durée d'un créneau doit être comprise entre ${MIN_SLOT_MINUTES} et ${MAX_SLOT_MINUTES} minutes` };
+  }
+  const { breaks, error } = parseBreaks(body.breaks);
+  if (error) return { error };
+  const start = toMinutes(body.start_time);
+  const end = toMinutes(body.end_time);
+  if (breaks.some((b) => toMinutes(b.start) < start || toMinutes(b.end) > end)) {
+    return { error: "Les pauses doivent être comprises dans la plage horaire" };
+  }
+  if (computeSlotTimes({ start_time: body.start_time, end_time: body.end_time, slot_minutes, breaks }).length === 0) {
+    return { error: "Aucun créneau ne peut être généré avec ces horaires" };
+  }
+  return { slot_minutes, breaks };
+}
+// Date "YYYY-MM-DD" (les colonnes DATE reviennent en objets Date)
+function toIsoDate(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, "0")}-${String(value.getDate()).padStart(2, "0")}`;
+}
+// Emails et journal des commandes: un échec est loggé sans faire échouer l'action
+async function safely(label, fn) {
+  try {
+    await fn();
+  } catch (e) {
+    console.error(`Erreur ${label}:`, e);
+  }
+}
+// Changements repris dans le récapitulatif organisateur (si ORGANISER_EMAIL est défini)
+async function recordOrderChanges(events) {
+  if (!process.env.ORGANISER_EMAIL || !events.length) return;
+  await safely("journal commandes", () => recordOrderEvents(events));
+}
+// Prévient les clients dont la réservation a été déplacée ou annulée par une modification de présence
+async function notifyPresenceEdit(plan, { previous, fields }) {
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  const movedTo = new Map(plan.moves.map((m) => [m.reservation.id, m.to]));
+  const orphanIds = new Set(plan.orphans.map((r) => r.id));
+  const placeChanged = previous.location !== fields.location || previous.date !== fields.date;
+  const events = [];
+  for (const r of plan.reservations) {
+    if (orphanIds.has(r.id)) {
+      const before = { ...r, location: previous.location, date: previous.date };
+      events.push({ kind: "cancelled", actor: "admin", reservation: before });
+      if (!r.email) continue;
+      await safely("envoi email", () => sendReservationCancelledEmail({
+        to: r.email,
+        reservation: before,
+        reason: "slot_removed",
+        baseUrl
+      }));
+    } else if (movedTo.has(r.id) || placeChanged) {
+      const hm = movedTo.get(r.id) || r.hm;
+      const after = { ...r, location: fields.location, date: fields.date, start_at: plan.startByHm[hm] };
+      events.push({ kind: "updated", actor: "admin", reservation: after });
+      if (!r.email) continue;
+      await safely("envoi email", () => sendReservationMovedEmail({
+        to: r.email,
+        reservation: after,
+        previous: { location: previous.location, date: previous.date, start_at: r.start_at },
+        baseUrl
+      }));
+    }
+  }
+  await recordOrderChanges(events);
+}
+// Liste d'attente: une place libérée est proposée par email, réservée WAITLIST_OFFER_HOURS heures
+const WAITLIST_OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 12;
+async function offerWaitlistSpots(presenceId) {
+  if (!presenceId) return;
+  await safely("liste d'attente", async () => {
+    const offers = await processWaitlist(presenceId, { offerHours: WAITLIST_OFFER_HOURS });
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    for (const offer of offers) {
+      await safely("envoi email", () => sendWaitlistOfferEmail({ to: offer.email, offer, url: `${baseUrl}/liste-attente/${offer.token}` }));
+    }
+  });
+}
 const withTimeout = (p, ms, label) =>
   Promise.race([
     p,
     new Promise((_, r) => setTimeout(() => r(new Error(`Timeout ${label} after ${ms}ms`)), ms))
   ]);
 
-// Health & diagnostics
+// Health & diagnostics. Les routes de diagnostic ne sont ouvertes sans
+// connexion qu'en développement (hors Vercel et hors NODE_ENV=production).
+const IS_DEV = process.env.NODE_ENV !== "production" && !process.env.VERCEL;
+function diagnosticsOnly(req, res, next) {
+  if (IS_DEV) return next();
+  return requireAdmin()(req, res, next);
+}
 app.get("/healthz", (req, res) => res.status(200).send("ok"));
-app.get("/admin/debug-cookie", (req, res) => {
+app.get("/admin/debug-cookie", diagnosticsOnly, (req, res) => {
   res.json({
     proto: req.headers["x-forwarded-proto"] || null,
     hasCookie: !!req.cookies?.admin_token
   });
 });
-app.get("/db/ping", async (req, res) => {
+app.get("/db/ping", diagnosticsOnly, async (req, res) => {
   const t0 = Date.now();
   try {
-    await sql`select 1`;
+    await ping();
     res.json({ ok: true, ms: Date.now() - t0 });
   } catch (e) {
     console.error("[db/ping] error:", e);
@@ -108,24 +447,97 @@ app.get("/db/ping", async (req, res) => {
   }
 });
 
-// Page d'accueil (calendrier)
+// Rappels avant retrait: la veille, et N heures avant si REMINDER_HOURS_BEFORE est défini.
+// Chaque rappel est réservé dans reminder_log avant l'envoi: pas de doublon si deux
+// passages se chevauchent, et les réservations annulées ou déplacées sont relues à chaque passage.
+app.get("/cron/reminders", requireCron, async (req, res) => {
+  const kinds = [["day_before", {}]];
+  const hours = parseInt(process.env.REMINDER_HOURS_BEFORE || "", 10);
+  if (hours > 0) kinds.push(["hours_before", { hours }]);
+
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  const summary = {};
+  for (const [kind, opts] of kinds) {
+    const due = await listReservationsDueForReminder(kind, opts);
+    let sent = 0;
+    let failed = 0;
+    for (const r of due) {
+      if (!(await claimReminder(r.id, kind, r.start_at))) continue;
+      try {
+        await sendReminderEmail({ to: r.email, reservation: r, kind, baseUrl });
+        sent++;
+      } catch (e) {
+        console.error("[cron/reminders] Erreur envoi email:", e);
+        await releaseReminder(r.id, kind, r.start_at);
+        failed++;
+      }
+    }
+    summary[kind] = { due: due.length, sent, failed };
+  }
+  res.json({ ok: true, ...summary });
+});
+
+// Récapitulatif des changements de commandes pour ORGANISER_EMAIL
+app.get("/cron/digest", requireCron, async (req, res) => {
+  const to = process.env.ORGANISER_EMAIL;
+  if (!to) return res.json({ ok: true, skipped: "ORGANISER_EMAIL non configuré" });
+  const events = await listUndigestedOrderEvents();
+  if (events.length) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await sendOrganiserDigestEmail({ to, events, baseUrl });
+    await markOrderEventsDigested(events.map((e) => e.id));
+  }
+  res.json({ ok: true, events: events.length });
+});
+
+// Offres de liste d'attente expirées: la place passe à la personne suivante
+app.get("/cron/waitlist", requireCron, async (req, res) => {
+  const presenceIds = await listPresencesWithWaitlist();
+  for (const id of presenceIds) await offerWaitlistSpots(id);
+  res.json({ ok: true, presences: presenceIds.length });
+});
+
+// Migrations en attente, pour un déploiement automatisé ou une base neuve (pas encore de compte admin)
+app.post("/cron/migrate", requireCron, async (req, res) => {
+  const applied = await migrate();
+  res.json({ ok: true, applied });
+});
+
+// Page d'accueil (calendrier); les jours complets restent sélectionnables pour la liste d'attente
 app.get("/", async (req, res) => {
   const allSlots = await listUpcomingSlots({});
   const counts = {};
+  const fullDays = new Set();
   for (const s of allSlots) {
-    const day = new Date(s.start_at).toISOString().slice(0, 10);
+    const day = localDay(s.start_at);
+    if (s.is_full) {
+      fullDays.add(day);
+      continue;
+    }
     counts[day] = (counts[day] || 0) + 1;
   }
   const availableDays = Object.keys(counts);
-  let selectedDate = req.query.d && counts[req.query.d] ? req.query.d : (availableDays[0] || null);
+  for (const day of availableDays) fullDays.delete(day);
+  const selectable = (d) => counts[d] || fullDays.has(d);
+  let selectedDate = req.query.d && selectable(req.query.d) ? req.query.d : (availableDays[0] || null);
 
   let groupedByLoc = {};
+  const stockByLoc = {};
   if (selectedDate) {
     const daySlots = await listUpcomingSlots({ dateFilter: selectedDate });
+    const locByPresence = {};
     for (const s of daySlots) {
       const loc = s.location;
       if (!groupedByLoc[loc]) groupedByLoc[loc] = [];
       groupedByLoc[loc].push(s);
+      locByPresence[s.presence_id] = loc;
+    }
+    // Stock restant des produits limités, par lieu
+    const availability = await listProductAvailability(Object.keys(locByPresence).map(Number));
+    for (const a of availability) {
+      if (a.remaining === null) continue;
+      const loc = locByPresence[a.presence_id];
+      (stockByLoc[loc] = stockByLoc[loc] || []).push(a);
     }
   }
 
@@ -133,118 +545,415 @@ app.get("/", async (req, res) => {
     BRAND,
     selectedDate,
     availableDays,
+    fullDays: [...fullDays],
     dayCounts: counts,
-    groupedByLoc
+    groupedByLoc,
+    stockByLoc
   });
 });
 
-// Réservation
+// Flux iCal public des présences, pour s'abonner depuis un agenda
+app.get("/presences.ics", async (req, res) => {
+  const { presences, cancelled } = await listPresenceFeed();
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "public, max-age=900");
+  res.send(presencesFeedIcs({ presences, cancelled, baseUrl, name: BRAND.name }));
+});
+
+// Réservation; téléphone enregistré au format E.164 (sans indicatif, numéro belge)
 app.get("/reserve/:slotId", async (req, res) => {
   const slot = await getSlotById(Number(req.params.slotId));
-  if (!slot) return res.status(404).send("Créneau introuvable");
-  res.render("reserve", { BRAND, slot });
+  if (!slot) return res.status(404).send(req.t("errors.slot_not_found"));
+  res.render("reserve", { BRAND, slot, products: orderFormProducts(slot.products), form: {}, error: null });
 });
+// Réservations par IP; "website" est un champ piège invisible que seuls les robots remplissent
+const RESERVE_LIMITS = { ip: { limit: 20, windowSeconds: 3600 } };
 app.post("/reserve/:slotId", async (req, res) => {
   const slotId = Number(req.params.slotId);
   const slot = await getSlotById(slotId);
-  if (!slot) return res.status(404).send("Créneau introuvable");
-
-  const { first_name, last_name, phone, quantity, comment, email } = req.body;
-  if (!first_name || !last_name || !phone || !quantity) {
-    return res.status(400).send("Champs requis manquants");
+  if (!slot) return res.status(404).send(req.t("errors.slot_not_found"));
+  // En cas d'erreur, le formulaire est réaffiché avec la saisie du client
+  const redisplay = (status, error, current = slot) => res.status(status).render("reserve", {
+    BRAND,
+    slot: current,
+    products: withQuantities(orderFormProducts(current.products), req.body),
+    form: req.body,
+    error
+  });
+  // Formulaire normal en cas de faux positif (remplissage automatique du navigateur)
+  if (req.body.website) return redisplay(400, req.t("errors.reservation_refused"));
+  if (await hitRateLimit(`reserve:ip:${clientIp(req)}`, RESERVE_LIMITS.ip)) {
+    return redisplay(429, req.t("errors.too_many_reservations"));
   }
-  const qty = parseInt(quantity, 10);
-  if (isNaN(qty) || qty < 1) return res.status(400).send("Quantité invalide");
+
+  const { first_name, last_name, comment, email } = req.body;
+  if (!first_name || !last_name || !req.body.phone) return redisplay(400, req.t("errors.required"));
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) return redisplay(400, req.t("errors.invalid_phone"));
+  const order = parseItems(req.body, orderFormProducts(slot.products), req.t);
+  if (order.error) return redisplay(400, order.error);
 
   const token = uuidv4();
-  await createReservation({
-    slot_id: slotId,
-    first_name,
-    last_name,
-    phone,
-    quantity: qty,
-    comment: comment || null,
-    token
-  });
+  try {
+    await createReservation({
+      slot_id: slotId,
+      first_name,
+      last_name,
+      phone,
+      email: email || null,
+      items: order.items,
+      comment: comment || null,
+      token,
+      language: req.lang
+    }, { actor: customerActor(token) });
+  } catch (e) {
+    if (!(e instanceof CapacityError)) throw e;
+    return redisplay(409, capacityMessage(req.t, e), (await getSlotById(slotId)) || slot);
+  }
 
+  await renderConfirmation(res, token);
+});
+// Après une réservation client: email de confirmation, journal et page avec le QR code
+async function renderConfirmation(res, token) {
   const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
-  const reservation = {
-    token,
-    first_name,
-    last_name,
-    phone,
-    quantity: qty,
-    comment: comment || "",
-    start_at: slot.start_at,
-    location: slot.location,
-    date: slot.date
-  };
+  // Relue depuis la base: lignes, prix figés et total calculés à l'enregistrement
+  const reservation = await getReservationByToken(token);
+  const { email } = reservation;
 
   if (email) {
-    try {
-      await sendConfirmationEmail({ to: email, reservation, baseUrl });
-    } catch (e) {
-      console.error("Erreur envoi email:", e);
-    }
+    await safely("envoi email", () => sendConfirmationEmail({ to: email, reservation, baseUrl }));
   }
+  await recordOrderChanges([{ kind: "created", actor: "client", reservation }]);
 
-  res.render("confirm", { BRAND, reservation, baseUrl, token, emailSent: !!email });
+  const qrCode = await qrDataUrl(checkinUrl(baseUrl, token));
+  res.render("confirm", { BRAND, reservation, baseUrl, token, qrCode, emailSent: !!email });
+}
+
+// Événement du retrait à ajouter à son agenda
+app.get("/r/:token/event.ics", async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) return res.status(404).send(req.t("errors.reservation_not_found"));
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${translator(r.language)("ics.file")}-${r.date}.ics"`);
+  res.send(reservationIcs({ reservation: r, baseUrl }));
 });
 
 // Modifier / Annuler
 app.get("/r/:token/edit", async (req, res) => {
   const r = await getReservationByToken(req.params.token);
-  if (!r) return res.status(404).send("Réservation introuvable");
-  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send("Modification non autorisée (créneau commencé)");
-  res.render("modify", { BRAND, r });
+  if (!r) return res.status(404).send(req.t("errors.reservation_not_found"));
+  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send(req.t("errors.edit_forbidden"));
+  const products = orderFormProducts(await listProductAvailability([r.presence_id]), r.items);
+  res.render("modify", { BRAND, r, products, error: null });
 });
 app.post("/r/:token/edit", async (req, res) => {
   const r = await getReservationByToken(req.params.token);
-  if (!r) return res.status(404).send("Réservation introuvable");
-  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send("Modification non autorisée (créneau commencé)");
+  if (!r) return res.status(404).send(req.t("errors.reservation_not_found"));
+  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send(req.t("errors.edit_forbidden"));
 
-  const { first_name, last_name, phone, quantity, comment } = req.body;
-  const qty = parseInt(quantity, 10);
-  if (!first_name || !last_name || !phone || !qty || qty < 1) {
-    return res.status(400).send("Champs requis invalides");
+  const { first_name, last_name, email, comment } = req.body;
+  const products = orderFormProducts(await listProductAvailability([r.presence_id]), r.items);
+  const order = parseItems(req.body, products, req.t);
+  // En cas d'erreur, le formulaire est réaffiché avec la saisie du client
+  const redisplay = (status, error) => res.status(status).render("modify", {
+    BRAND,
+    r: { ...r, first_name, last_name, phone: req.body.phone, email, comment },
+    products: withQuantities(products, req.body),
+    error
+  });
+  if (!first_name || !last_name || !req.body.phone) return redisplay(400, req.t("errors.required"));
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) return redisplay(400, req.t("errors.invalid_phone"));
+  if (order.error) return redisplay(400, order.error);
+  try {
+    await updateReservation(req.params.token, { first_name, last_name, phone, email: email || null, items: order.items, comment: comment || null, language: req.lang }, { actor: customerActor(req.params.token) });
+  } catch (e) {
+    if (!(e instanceof CapacityError)) throw e;
+    return redisplay(409, capacityMessage(req.t, e));
+  }
+  const updated = await getReservationByToken(req.params.token);
+  if (updated.email) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendReservationModifiedEmail({ to: updated.email, reservation: updated, baseUrl }));
   }
-  await updateReservation(req.params.token, { first_name, last_name, phone, quantity: qty, comment: comment || null });
-  res.render("modified", { BRAND, r: { ...r, first_name, last_name, phone, quantity: qty, comment: comment || "" } });
+  await recordOrderChanges([{ kind: "updated", actor: "client", reservation: updated }]);
+  await offerWaitlistSpots(updated.presence_id);
+  res.render("modified", { BRAND, r: updated });
 });
 app.get("/r/:token/cancel", async (req, res) => {
   const r = await getReservationByToken(req.params.token);
-  if (!r) return res.status(404).send("Réservation introuvable");
-  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send("Annulation non autorisée (créneau commencé)");
+  if (!r) return res.status(404).send(req.t("errors.reservation_not_found"));
+  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send(req.t("errors.cancel_forbidden"));
   res.render("cancel_confirm", { BRAND, r });
 });
 app.post("/r/:token/cancel", async (req, res) => {
   const r = await getReservationByToken(req.params.token);
-  if (!r) return res.status(404).send("Réservation introuvable");
-  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send("Annulation non autorisée (créneau commencé)");
-  await deleteReservationByToken(req.params.token);
+  if (!r) return res.status(404).send(req.t("errors.reservation_not_found"));
+  if (!isBeforeSlotStart(r.start_at)) return res.status(403).send(req.t("errors.cancel_forbidden"));
+  await deleteReservationByToken(req.params.token, { actor: customerActor(req.params.token) });
+  if (r.email) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendReservationCancelledEmail({ to: r.email, reservation: r, byCustomer: true, baseUrl }));
+  }
+  await recordOrderChanges([{ kind: "cancelled", actor: "client", reservation: r }]);
+  await offerWaitlistSpots(r.presence_id);
   res.render("canceled", { BRAND, r });
 });
 
+// Liste d'attente d'un créneau complet, ou de n'importe quel créneau d'une présence
+async function waitlistTarget({ slot, presence }) {
+  if (slot) {
+    const target = await getSlotById(Number(slot));
+    if (!target || !isBeforeSlotStart(target.start_at)) return null;
+    return { presence_id: target.presence_id, slot_id: target.id, location: target.location, date: target.date, start_at: target.start_at };
+  }
+  const target = presence ? await getPresenceById(Number(presence)) : null;
+  if (!target) return null;
+  return { presence_id: target.id, slot_id: null, location: target.location, date: toIsoDate(target.date), start_at: null };
+}
+// Encore une place libre ? Autant réserver directement
+async function availableInstead(target) {
+  const slots = await listUpcomingSlots({ presenceId: target.presence_id });
+  const open = slots.filter((s) => !s.is_full && (!target.slot_id || s.slot_id === target.slot_id));
+  if (!open.length) return null;
+  return target.slot_id ? `/reserve/${target.slot_id}` : `/?d=${encodeURIComponent(target.date)}`;
+}
+app.get("/liste-attente", async (req, res) => {
+  const target = await waitlistTarget(req.query);
+  if (!target) return res.status(404).send(req.t("errors.slot_not_found"));
+  const redirect = await availableInstead(target);
+  if (redirect) return res.redirect(redirect);
+  res.render("waitlist_join", { BRAND, target, form: {}, error: null });
+});
+app.post("/liste-attente", async (req, res) => {
+  const target = await waitlistTarget({ slot: req.body.scope === "slot" ? req.body.slot : null, presence: req.body.presence });
+  if (!target) return res.status(404).send(req.t("errors.slot_not_found"));
+  const first_name = String(req.body.first_name || "").trim();
+  const last_name = String(req.body.last_name || "").trim();
+  const phone = normalizePhone(req.body.phone);
+  const email = String(req.body.email || "").trim();
+  if (!first_name || !last_name || !req.body.phone || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return res.status(400).render("waitlist_join", { BRAND, target, form: req.body, error: req.t("errors.waitlist_required") });
+  }
+  if (!phone) return res.status(400).render("waitlist_join", { BRAND, target, form: req.body, error: req.t("errors.invalid_phone") });
+  const token = uuidv4();
+  await createWaitlistEntry({ presence_id: target.presence_id, slot_id: target.slot_id, first_name, last_name, phone, email, token, language: req.lang });
+  const entry = await getWaitlistEntryByToken(token);
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  await safely("envoi email", () => sendWaitlistJoinedEmail({ to: email, entry, url: `${baseUrl}/liste-attente/${token}` }));
+  // Une place a pu se libérer entre-temps
+  await offerWaitlistSpots(target.presence_id);
+  res.redirect(`/liste-attente/${token}`);
+});
+// Suivi de l'inscription; si une place est offerte, formulaire de réservation du créneau
+async function renderWaitlistEntry(res, entry, { status = 200, error = null, form = null } = {}) {
+  let slot = null;
+  let products = [];
+  if (entry.offer_active) {
+    slot = await getSlotById(entry.offered_slot_id);
+    products = orderFormProducts(slot.products);
+  }
+  res.status(status).render("waitlist_entry", { BRAND, entry, slot, products, form: form || entry, error });
+}
+app.get("/liste-attente/:token", async (req, res) => {
+  let entry = await getWaitlistEntryByToken(req.params.token);
+  if (!entry) return res.status(404).send(req.t("errors.waitlist_not_found"));
+  if (entry.status === "offered" && !entry.offer_active) {
+    // Offre expirée: elle est close et la place proposée à la personne suivante
+    await offerWaitlistSpots(entry.presence_id);
+    entry = await getWaitlistEntryByToken(req.params.token);
+  }
+  await renderWaitlistEntry(res, entry);
+});
+app.post("/liste-attente/:token", async (req, res) => {
+  const entry = await getWaitlistEntryByToken(req.params.token);
+  if (!entry) return res.status(404).send(req.t("errors.waitlist_not_found"));
+  if (!entry.offer_active) return res.redirect(`/liste-attente/${req.params.token}`);
+
+  const { first_name, last_name, comment } = req.body;
+  if (!first_name || !last_name || !req.body.phone) {
+    return renderWaitlistEntry(res, entry, { status: 400, error: req.t("errors.required"), form: req.body });
+  }
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) return renderWaitlistEntry(res, entry, { status: 400, error: req.t("errors.invalid_phone"), form: req.body });
+  const slot = await getSlotById(entry.offered_slot_id);
+  const order = parseItems(req.body, orderFormProducts(slot.products), req.t);
+  if (order.error) return renderWaitlistEntry(res, entry, { status: 400, error: order.error, form: req.body });
+
+  const token = uuidv4();
+  try {
+    await createReservation({
+      slot_id: entry.offered_slot_id,
+      first_name,
+      last_name,
+      phone,
+      email: entry.email,
+      items: order.items,
+      comment: comment || null,
+      token,
+      language: req.lang
+    }, { actor: customerActor(token), waitlistEntryId: entry.id });
+  } catch (e) {
+    if (!(e instanceof CapacityError)) throw e;
+    return renderWaitlistEntry(res, entry, { status: 409, error: capacityMessage(req.t, e), form: req.body });
+  }
+  await renderConfirmation(res, token);
+});
+app.post("/liste-attente/:token/quitter", async (req, res) => {
+  const presenceId = await cancelWaitlistEntry(req.params.token);
+  await offerWaitlistSpots(presenceId);
+  res.redirect(`/liste-attente/${req.params.token}`);
+});
+
+// Retrouver ma réservation: la réponse est identique qu'une réservation
+// corresponde ou non, pour ne pas révéler qui a réservé.
+const RECOVER_LIMITS = {
+  ip: { limit: 5, windowSeconds: 3600 },
+  contact: { limit: 3, windowSeconds: 3600 }
+};
+function clientIp(req) {
+  return String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress || "unknown";
+}
+app.get("/retrouver", (req, res) => {
+  res.render("recover", { BRAND, sent: false, error: null });
+});
+app.post("/retrouver", async (req, res) => {
+  const contact = String(req.body.contact || "").trim();
+  const isEmail = contact.includes("@");
+  if (!contact || (!isEmail && contact.replace(/\D/g, "").length < 8)) {
+    return res.status(400).render("recover", { BRAND, sent: false, error: req.t("errors.recover_contact") });
+  }
+  const contactKey = isEmail ? contact.toLowerCase() : contact.replace(/\D/g, "").slice(-9);
+  if (await hitRateLimit(`recover:ip:${clientIp(req)}`, RECOVER_LIMITS.ip)) {
+    return res.status(429).render("recover", { BRAND, sent: false, error: req.t("errors.too_many_requests") });
+  }
+
+  // Limite par contact dépassée: même réponse, mais plus aucun envoi
+  if (!(await hitRateLimit(`recover:contact:${contactKey}`, RECOVER_LIMITS.contact))) {
+    const reservations = await findUpcomingReservationsByContact(isEmail ? { email: contact } : { phone: contact });
+    const byEmail = {};
+    for (const r of reservations) {
+      const to = r.email.toLowerCase();
+      (byEmail[to] = byEmail[to] || []).push(r);
+    }
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    for (const [to, list] of Object.entries(byEmail)) {
+      try {
+        await sendRecoveryEmail({ to, reservations: list, baseUrl, lang: req.lang });
+      } catch (e) {
+        console.error("Erreur envoi email:", e);
+      }
+    }
+  }
+  res.render("recover", { BRAND, sent: true, error: null });
+});
+
 // Admin login/logout
-app.get("/admin/login", (req, res) => {
-  res.render("admin/login", { BRAND, error: null });
+app.get("/admin/login", async (req, res) => {
+  const noAccount = (await countAdminUsers()) === 0;
+  res.render("admin/login", { BRAND, error: null, email: "", noAccount, notice: req.query.ok || null });
 });
-app.post("/admin/login", (req, res) => {
-  const { password } = req.body;
-  const expectedPassword = process.env.ADMIN_PASSWORD || "@Banane123"; // Temporaire pour test
-  if (password && password === expectedPassword) {
-    setAdminCookie(req, res);
-    return res.redirect("/admin");
+// Limites de débit de la connexion admin, par IP et par compte visé
+const LOGIN_LIMITS = {
+  ip: { limit: 30, windowSeconds: 900 },
+  email: { limit: 10, windowSeconds: 900 }
+};
+app.post("/admin/login", async (req, res) => {
+  const email = String(req.body.email || "").trim();
+  const limited = (await hitRateLimit(`login:ip:${clientIp(req)}`, LOGIN_LIMITS.ip))
+    || (email && (await hitRateLimit(`login:email:${email.toLowerCase()}`, LOGIN_LIMITS.email)));
+  if (limited) {
+    return res.status(429).render("admin/login", { BRAND, error: "Trop de tentatives de connexion. Réessaie dans 15 minutes.", email, noAccount: false, notice: null });
   }
-  res.render("admin/login", { BRAND, error: "Mot de passe incorrect" });
+  const user = email ? await getAdminUserByEmail(email) : null;
+  const valid = user && user.active && user.password_hash && (await verifyPassword(req.body.password, user.password_hash));
+  if (!valid) {
+    return res.status(401).render("admin/login", { BRAND, error: "Email ou mot de passe incorrect", email, noAccount: false, notice: null });
+  }
+  await touchAdminLogin(user.id);
+  setAdminCookie(req, res, user);
+  res.redirect("/admin");
 });
 app.post("/admin/logout", (req, res) => {
   clearAdminCookie(res);
   res.redirect("/admin/login");
 });
 
-// Test simple sans auth pour debugging
-app.get("/admin/test-no-auth", (req, res) => {
+// Premier compte organisateur: possible seulement tant qu'aucun compte n'existe,
+// avec ADMIN_PASSWORD comme code d'installation
+app.get("/admin/setup", async (req, res) => {
+  if ((await countAdminUsers()) > 0) return res.redirect("/admin/login");
+  res.render("admin/setup", { BRAND, form: {}, error: process.env.ADMIN_PASSWORD ? null : "Définis ADMIN_PASSWORD dans l’environnement pour créer le premier compte." });
+});
+app.post("/admin/setup", async (req, res) => {
+  if ((await countAdminUsers()) > 0) return res.redirect("/admin/login");
+  const form = { name: String(req.body.name || "").trim(), email: String(req.body.email || "").trim() };
+  const redisplay = (error) => res.status(400).render("admin/setup", { BRAND, form, error });
+  if (!process.env.ADMIN_PASSWORD || !safeEqual(req.body.setup_code, process.env.ADMIN_PASSWORD)) {
+    return redisplay("Code d’installation incorrect");
+  }
+  if (!form.name || !form.email.includes("@")) return redisplay("Nom et email requis");
+  const problem = passwordProblem(req.body.password, req.body.password_confirm);
+  if (problem) return redisplay(problem);
+  const id = await createAdminUser({ ...form, role: "organiser", password_hash: await hashPassword(req.body.password) });
+  const user = await getAdminUserById(id);
+  await touchAdminLogin(id);
+  setAdminCookie(req, res, user);
+  res.redirect("/admin");
+});
+
+// Mot de passe oublié / invitation: lien à usage unique envoyé par email
+const RESET_TTL_HOURS = { reset: 1, invite: 72 };
+const FORGOT_LIMITS = {
+  ip: { limit: 5, windowSeconds: 3600 },
+  email: { limit: 3, windowSeconds: 3600 }
+};
+async function sendPasswordLink(user, { invite = false } = {}) {
+  const hours = invite ? RESET_TTL_HOURS.invite : RESET_TTL_HOURS.reset;
+  const { token, tokenHash } = newResetToken();
+  await createPasswordReset(user.id, tokenHash, hours * 3600);
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  await sendPasswordResetEmail({ to: user.email, name: user.name, url: `${baseUrl}/admin/password/reset/${token}`, invite, hours });
+}
+app.get("/admin/password/forgot", (req, res) => {
+  res.render("admin/password_forgot", { BRAND, sent: false, error: null });
+});
+app.post("/admin/password/forgot", async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  if (!email.includes("@")) {
+    return res.status(400).render("admin/password_forgot", { BRAND, sent: false, error: "Indique l’email de ton compte." });
+  }
+  if (await hitRateLimit(`forgot:ip:${clientIp(req)}`, FORGOT_LIMITS.ip)) {
+    return res.status(429).render("admin/password_forgot", { BRAND, sent: false, error: "Trop de demandes. Réessaie dans une heure." });
+  }
+  // Même réponse que le compte existe ou non
+  if (!(await hitRateLimit(`forgot:email:${email}`, FORGOT_LIMITS.email))) {
+    const user = await getAdminUserByEmail(email);
+    if (user && user.active) await safely("envoi email", () => sendPasswordLink(user));
+  }
+  res.render("admin/password_forgot", { BRAND, sent: true, error: null });
+});
+app.get("/admin/password/reset/:token", async (req, res) => {
+  const reset = await getPasswordReset(hashResetToken(req.params.token));
+  res.render("admin/password_reset", { BRAND, reset, error: null });
+});
+app.post("/admin/password/reset/:token", async (req, res) => {
+  const tokenHash = hashResetToken(req.params.token);
+  const reset = await getPasswordReset(tokenHash);
+  if (!reset) return res.status(410).render("admin/password_reset", { BRAND, reset: null, error: null });
+  const problem = passwordProblem(req.body.password, req.body.password_confirm);
+  if (problem) return res.status(400).render("admin/password_reset", { BRAND, reset, error: problem });
+  const passwordHash = await hashPassword(req.body.password);
+  const userId = await consumePasswordReset(tokenHash);
+  if (!userId) return res.status(410).render("admin/password_reset", { BRAND, reset: null, error: null });
+  await setAdminPassword(userId, passwordHash);
+  res.redirect(`/admin/login?ok=${encodeURIComponent("Mot de passe enregistré, tu peux te connecter.")}`);
+});
+
+// Test simple sans auth pour debugging (développement, sinon admin connecté)
+app.get("/admin/test-no-auth", diagnosticsOnly, (req, res) => {
   res.send(`
     <html><body style="font-family: sans-serif; padding: 20px;">
       <h1>Test Sans Auth - OK!</h1>
@@ -257,7 +966,7 @@ app.get("/admin/test-no-auth", (req, res) => {
 });
 
 // Test simple avec auth pour debugging
-app.get("/admin/test", requireAdmin, (req, res) => {
+app.get("/admin/test", requireAdmin(), (req, res) => {
   res.send(`
     <html><body style="font-family: sans-serif; padding: 20px;">
       <h1>Admin Test - OK!</h1>
@@ -268,12 +977,12 @@ app.get("/admin/test", requireAdmin, (req, res) => {
 });
 
 // Route de test ultra-basique
-app.get("/test", (req, res) => {
+app.get("/test", diagnosticsOnly, (req, res) => {
   res.send("TEST OK - Cette route fonctionne!");
 });
 
 // Route admin simple - HTML statique
-app.get("/admin/simple", (req, res) => {
+app.get("/admin/simple", diagnosticsOnly, (req, res) => {
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -285,7 +994,7 @@ app.get("/admin/simple", (req, res) => {
       <h1>🎉 Admin Simple - Ça Marche!</h1>
       <p>Cette page fonctionne sans authentification ni base de données.</p>
       <ul>
-        <li><a href="/admin/bypass">Tester avec base de données</a></li>
+        <li><a href="/db/ping">Tester la base de données</a></li>
         <li><a href="/admin/login">Page de login</a></li>
         <li><a href="/admin/presences/new">Ajouter une présence</a></li>
       </ul>
@@ -294,38 +1003,18 @@ app.get("/admin/simple", (req, res) => {
   `);
 });
 
-// Route admin temporaire SANS authentification
-app.get("/admin/bypass", async (req, res) => {
-  const today = new Date().toISOString().slice(0, 10);
-  try {
-    const [presences, todayReservations] = await Promise.all([
-      withTimeout(listPresences(), 2000, "listPresences"),
-      withTimeout(listReservations({ date: today }), 2000, "listReservations")
-    ]);
-    res.render("admin/dashboard", { BRAND, presences, todayReservations });
-  } catch (e) {
-    res.status(200).send(`
-      <html><body style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;">
-        <div style="max-width:720px;margin:40px auto;background:#fff;padding:24px;border:1px solid #eee;border-radius:12px">
-          <h1 style="margin-top:0">Admin Bypass</h1>
-          <div style="padding:12px 16px;border-radius:8px;background:#fff3cd;color:#664d03;border:1px solid #ffecb5">
-            Erreur de base de données: ${e.message}
-          </div>
-        </div>
-      </body></html>
-    `);
-  }
-});
-
 // Admin pages (avec timeout sur les requêtes DB)
-app.get("/admin", requireAdmin, async (req, res) => {
-  const today = new Date().toISOString().slice(0, 10);
+app.get("/admin", requireAdmin(), async (req, res) => {
+  const today = todayLocal();
   try {
-    const [presences, todayReservations] = await Promise.all([
+    const [presences, todayReservations, todayCollection, migrations] = await Promise.all([
       withTimeout(listPresences(), 2000, "listPresences"),
-      withTimeout(listReservations({ date: today }), 2000, "listReservations")
+      withTimeout(listReservations({ date: today }), 2000, "listReservations"),
+      withTimeout(listCollectionBySlot({ date: today }), 2000, "listCollectionBySlot"),
+      withTimeout(migrationStatus(), 2000, "migrationStatus")
     ]);
-    res.render("admin/dashboard", { BRAND, presences, todayReservations });
+    const pendingMigrations = migrations.filter((m) => !m.applied_at).length;
+    res.render("admin/dashboard", { BRAND, presences, todayReservations, todayCollection, pendingMigrations });
   } catch (e) {
     console.error("[/admin] DB issue:", e);
     res.status(200).send(`
@@ -346,88 +1035,1017 @@ app.get("/admin", requireAdmin, async (req, res) => {
   }
 });
 
-app.get("/admin/presences/new", requireAdmin, (req, res) => {
-  res.render("admin/presences_new", { BRAND, error: null });
+// Nouvelle présence, éventuellement répétée: aperçu des dates avant création
+function renderNewPresence(res, products, values, error) {
+  res.render("admin/presences_new", { BRAND, products, values, weekdays: WEEKDAYS, maxOccurrences: MAX_OCCURRENCES, error });
+}
+app.get("/admin/presences/new", requireAdmin("organiser"), async (req, res) => {
+  const products = await listProducts({ activeOnly: true });
+  renderNewPresence(res, products, {}, null);
 });
-app.post("/admin/presences/new", requireAdmin, async (req, res) => {
-  const { location, date, start_time, end_time } = req.body;
+app.post("/admin/presences/new", requireAdmin("organiser"), async (req, res) => {
+  const products = await listProducts({ activeOnly: true });
+  const { location, date, start_time, end_time, mode } = req.body;
+  if (mode === "edit") return renderNewPresence(res, products, req.body, null);
   if (!location || !date || !start_time || !end_time) {
-    return res.render("admin/presences_new", { BRAND, error: "Tous les champs sont requis" });
+    return renderNewPresence(res, products, req.body, "Tous les champs sont requis");
   }
   const start = new Date(`${date}T${start_time}:00Z`);
   const end = new Date(`${date}T${end_time}:00Z`);
   if (!(start < end)) {
-    return res.render("admin/presences_new", { BRAND, error: "L'heure de fin doit être après l'heure de début" });
+    return renderNewPresence(res, products, req.body, "L'heure de fin doit être après l'heure de début");
+  }
+  const capacity = parseCapacityFields(req.body, products);
+  if (capacity.error) {
+    return renderNewPresence(res, products, req.body, capacity.error);
+  }
+  const slotting = parseSlotFields(req.body);
+  if (slotting.error) {
+    return renderNewPresence(res, products, req.body, slotting.error);
+  }
+  const recurrence = parseRecurrenceFields(req.body, date);
+  if (recurrence.error) {
+    return renderNewPresence(res, products, req.body, recurrence.error);
+  }
+  const fields = { location, start_time, end_time, ...capacity, ...slotting };
+  if (!recurrence.dates) {
+    await createPresence({ ...fields, date }, { actor: adminActor(req) });
+    return res.redirect("/admin/presences");
+  }
+  const dates = recurrence.dates;
+  const existing = await listPresencesWithCounts({ from: dates[0], to: dates[dates.length - 1] });
+  const rows = planPresences(dates.map((d) => ({ ...fields, date: d })), existing);
+  if (mode !== "confirm") {
+    return res.render("admin/presences_preview", {
+      BRAND, title: "Présences répétées", action: "/admin/presences/new", form: req.body, rows, weekdays: WEEKDAYS
+    });
+  }
+  await createPresences(rows, req);
+  res.redirect("/admin/presences");
+});
+// Création des lignes d'un aperçu; celles qui existent déjà sont ignorées
+async function createPresences(rows, req) {
+  for (const row of rows.filter((r) => !r.exists)) {
+    const { location, date, start_time, end_time, slot_capacity, stocks, slot_minutes, breaks } = row;
+    await createPresence({ location, date, start_time, end_time, slot_capacity, stocks, slot_minutes, breaks }, { actor: adminActor(req) });
+  }
+}
+
+// Duplication d'une présence (?presence=ID) ou de toutes celles d'une semaine (?week=date) sur les semaines suivantes
+async function duplicationSources(query) {
+  if (query.presence) {
+    const presence = await getPresenceById(Number(query.presence));
+    return presence ? { presences: [presence], week: null } : null;
+  }
+  const date = normalizeDate(query.week);
+  if (!date) return null;
+  const week = weekStart(date);
+  const rows = await listPresencesWithCounts({ from: week, to: addDays(week, 6) });
+  return { presences: await Promise.all(rows.map((p) => getPresenceById(p.id))), week };
+}
+function sourcePresence(p) {
+  return {
+    location: p.location,
+    date: toIsoDate(p.date),
+    start_time: String(p.start_time).slice(0, 5),
+    end_time: String(p.end_time).slice(0, 5),
+    slot_minutes: p.slot_minutes,
+    breaks: p.breaks || [],
+    slot_capacity: p.slot_capacity,
+    stocks: p.stocks || {}
+  };
+}
+app.get("/admin/presences/duplicate", requireAdmin("organiser"), async (req, res) => {
+  const source = await duplicationSources(req.query);
+  if (!source) return res.status(404).send("Présence introuvable");
+  res.render("admin/presences_duplicate", { BRAND, source, query: req.query, values: {}, maxWeeks: MAX_DUPLICATE_WEEKS, error: null });
+});
+app.post("/admin/presences/duplicate", requireAdmin("organiser"), async (req, res) => {
+  const source = await duplicationSources(req.query);
+  if (!source) return res.status(404).send("Présence introuvable");
+  const renderForm = (error) => res.render("admin/presences_duplicate", {
+    BRAND, source, query: req.query, values: req.body, maxWeeks: MAX_DUPLICATE_WEEKS, error
+  });
+  if (req.body.mode === "edit") return renderForm(null);
+  if (!source.presences.length) return renderForm("Aucune présence cette semaine");
+  const weeks = parseInt(req.body.weeks, 10);
+  if (isNaN(weeks) || weeks < 1 || weeks > MAX_DUPLICATE_WEEKS) {
+    return renderForm(`Le nombre de semaines doit être compris entre 1 et ${MAX_DUPLICATE_WEEKS}`);
+  }
+  const excluded = parseDateList(req.body.excluded);
+  if (excluded.error) return renderForm(excluded.error);
+  const copies = duplicateWeeks(source.presences.map(sourcePresence), weeks, excluded.dates)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time));
+  if (!copies.length) return renderForm("Toutes les dates sont exclues");
+  if (copies.length > MAX_OCCURRENCES) return renderForm(`Maximum ${MAX_OCCURRENCES} présences à la fois (${copies.length} demandées)`);
+  const existing = await listPresencesWithCounts({ from: copies[0].date, to: copies[copies.length - 1].date });
+  const rows = planPresences(copies, existing);
+  if (req.body.mode !== "confirm") {
+    const action = `/admin/presences/duplicate?${new URLSearchParams(req.query.presence ? { presence: req.query.presence } : { week: source.week })}`;
+    return res.render("admin/presences_preview", {
+      BRAND, title: source.week ? `Dupliquer la semaine du ${source.week}` : "Dupliquer la présence", action, form: req.body, rows, weekdays: WEEKDAYS
+    });
   }
-  await createPresence({ location, date, start_time, end_time });
+  await createPresences(rows, req);
   res.redirect("/admin/presences");
 });
 
+// Import CSV de présences: aperçu obligatoire, création seulement si tout est valide
+app.get("/admin/presences/import", requireAdmin("organiser"), (req, res) => {
+  res.render("admin/presences_import", { BRAND, csv: "", result: null, created: null });
+});
+app.post("/admin/presences/import", requireAdmin("organiser"), async (req, res) => {
+  const csv = String(req.body.csv || "");
+  const result = validatePresenceImport(csv, await listPresencesWithCounts());
+  if (req.body.mode !== "confirm" || !result.valid) {
+    return res.render("admin/presences_import", { BRAND, csv, result, created: null });
+  }
+  for (const row of result.rows) {
+    await createPresence({ location: row.location, date: row.date, start_time: row.start_time, end_time: row.end_time }, { actor: adminActor(req) });
+  }
+  res.render("admin/presences_import", { BRAND, csv: "", result: null, created: result.rows.length });
+});
+
 // Gestion présences
-app.get("/admin/presences", requireAdmin, async (req, res) => {
+app.get("/admin/presences", requireAdmin(), async (req, res) => {
   const rows = await listPresencesWithCounts();
   res.render("admin/presences_index", { BRAND, presences: rows });
 });
-app.get("/admin/presences/:id/edit", requireAdmin, async (req, res) => {
+app.get("/admin/presences/:id/edit", requireAdmin("organiser"), async (req, res) => {
   const id = Number(req.params.id);
   const presence = await getPresenceById(id);
   if (!presence) return res.status(404).send("Présence introuvable");
-  const reservationsCount = await countReservationsForPresence(id);
-  res.render("admin/presences_edit", { BRAND, presence, reservationsCount, error: null });
+  const [reservationsCount, products] = await Promise.all([
+    countReservationsForPresence(id),
+    listProducts({ activeOnly: true })
+  ]);
+  res.render("admin/presences_edit", { BRAND, presence, products, reservationsCount, error: null });
 });
-app.post("/admin/presences/:id/edit", requireAdmin, async (req, res) => {
+app.post("/admin/presences/:id/edit", requireAdmin("organiser"), async (req, res) => {
   const id = Number(req.params.id);
   const presence = await getPresenceById(id);
   if (!presence) return res.status(404).send("Présence introuvable");
 
-  const { location, date, start_time, end_time, confirm_impact } = req.body;
+  const products = await listProducts({ activeOnly: true });
+  const { location, date, start_time, end_time, confirm_plan, plan_key } = req.body;
   if (!location || !date || !start_time || !end_time) {
     const reservationsCount = await countReservationsForPresence(id);
-    return res.render("admin/presences_edit", { BRAND, presence, reservationsCount, error: "Tous les champs sont requis" });
+    return res.render("admin/presences_edit", { BRAND, presence, products, reservationsCount, error: "Tous les champs sont requis" });
   }
   const start = new Date(`${date}T${start_time}:00Z`);
   const end = new Date(`${date}T${end_time}:00Z`);
   if (!(start < end)) {
     const reservationsCount = await countReservationsForPresence(id);
-    return res.render("admin/presences_edit", { BRAND, presence, reservationsCount, error: "L'heure de fin doit être après l'heure de début" });
+    return res.render("admin/presences_edit", { BRAND, presence, products, reservationsCount, error: "L'heure de fin doit être après l'heure de début" });
   }
+  const capacity = parseCapacityFields(req.body, products);
+  const slotting = parseSlotFields(req.body);
   const reservationsCount = await countReservationsForPresence(id);
-  if (reservationsCount > 0 && !confirm_impact) {
+  if (capacity.error || slotting.error) {
+    const { slot_capacity, slot_minutes, breaks } = req.body;
+    const stocks = Object.fromEntries(products.map((pr) => [pr.id, req.body[`stock_${pr.id}`]]));
     return res.render("admin/presences_edit", {
       BRAND,
-      presence: { id, location, date, start_time, end_time },
+      presence: { id, location, date, start_time, end_time, slot_capacity, stocks, slot_minutes, breaks },
+      products,
       reservationsCount,
-      error: "Cette modification va régénérer les créneaux et peut supprimer des réservations. Coche la case pour confirmer."
+      error: capacity.error || slotting.error
     });
   }
-  await updatePresenceWithRegeneration(id, { location, date, start_time, end_time });
+  const fields = { location, date, start_time, end_time, ...capacity, ...slotting };
+  const previous = { location: presence.location, date: toIsoDate(presence.date) };
+  const placeChanged = previous.location !== location || previous.date !== date;
+
+  // Aperçu obligatoire dès qu'une réservation est déplacée, annulée ou change de date/lieu
+  let plan = null;
+  if (!confirm_plan) {
+    plan = await previewPresenceEdit(id, fields);
+    if (plan.moves.length || plan.orphans.length || (placeChanged && plan.reservations.length)) {
+      return res.render("admin/presences_edit_preview", { BRAND, presence, fields, plan, changed: false });
+    }
+  }
+  let result;
+  try {
+    result = await updatePresenceWithRegeneration(id, fields, { expectedKey: plan ? plan.key : (plan_key || ""), actor: adminActor(req) });
+  } catch (e) {
+    if (!(e instanceof PlanChangedError)) throw e;
+    return res.render("admin/presences_edit_preview", { BRAND, presence, fields, plan: e.plan, changed: true });
+  }
+  await notifyPresenceEdit(result, { previous, fields });
+  await offerWaitlistSpots(id);
   res.redirect("/admin/presences");
 });
-app.get("/admin/presences/:id/delete", requireAdmin, async (req, res) => {
+// Feuille de retrait imprimable (HTML) et PDF
+async function loadPickupSheet(id) {
+  const presence = await getPresenceById(id);
+  if (!presence) return null;
+  const [reservations, reservationsCount] = await Promise.all([
+    listReservations({ presenceId: id, limit: null }),
+    countReservationsForPresence(id)
+  ]);
+  return { presence, sheet: buildPickupSheet(reservations), reservationsCount };
+}
+app.get("/admin/presences/:id/sheet", requireAdmin(), async (req, res) => {
+  const data = await loadPickupSheet(Number(req.params.id));
+  if (!data) return res.status(404).send("Présence introuvable");
+  res.render("admin/pickup_sheet", { BRAND, ...data, layout: false });
+});
+app.get("/admin/presences/:id/sheet.pdf", requireAdmin(), async (req, res) => {
+  const data = await loadPickupSheet(Number(req.params.id));
+  if (!data) return res.status(404).send("Présence introuvable");
+  const pdf = await pickupSheetToPdf(data);
+  res.set("Content-Type", "application/pdf");
+  res.set("Content-Disposition", `inline; filename="retrait-${data.presence.date}-${data.presence.id}.pdf"`);
+  res.send(pdf);
+});
+app.get("/admin/presences/:id/delete", requireAdmin("organiser"), async (req, res) => {
   const id = Number(req.params.id);
   const presence = await getPresenceById(id);
   if (!presence) return res.status(404).send("Présence introuvable");
   const reservationsCount = await countReservationsForPresence(id);
   res.render("admin/presences_delete_confirm", { BRAND, presence, reservationsCount });
 });
-app.post("/admin/presences/:id/delete", requireAdmin, async (req, res) => {
+app.post("/admin/presences/:id/delete", requireAdmin("organiser"), async (req, res) => {
   const id = Number(req.params.id);
   const presence = await getPresenceById(id);
   if (!presence) return res.status(404).send("Présence introuvable");
-  await deletePresence(id);
+  const reservations = await listReservationsForPresence(id);
+  await deletePresence(id, { actor: adminActor(req) });
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  for (const r of reservations) {
+    if (!r.email) continue;
+    await safely("envoi email", () => sendReservationCancelledEmail({
+      to: r.email,
+      reservation: r,
+      reason: "presence_deleted",
+      baseUrl
+    }));
+  }
+  await recordOrderChanges(reservations.map((r) => ({ kind: "cancelled", actor: "admin", reservation: r })));
   res.redirect("/admin/presences");
 });
 
+// Catalogue produits: un produit n'est jamais supprimé, il est retiré de la vente
+function parseProductFields(body) {
+  const name = String(body.name || "").trim();
+  if (!name) return { error: "Le nom du produit est requis" };
+  const price_cents = parsePrice(body.price);
+  if (price_cents === null) return { error: "Prix invalide (ex: 12,50)" };
+  const sort_order = parseInt(body.sort_order, 10) || 0;
+  return { name, price_cents, sort_order };
+}
+app.get("/admin/products", requireAdmin("organiser"), async (req, res) => {
+  const products = await listProducts();
+  res.render("admin/products_index", { BRAND, products, form: {}, error: null });
+});
+app.post("/admin/products", requireAdmin("organiser"), async (req, res) => {
+  const fields = parseProductFields(req.body);
+  if (fields.error) {
+    const products = await listProducts();
+    return res.render("admin/products_index", { BRAND, products, form: req.body, error: fields.error });
+  }
+  await createProduct(fields);
+  res.redirect("/admin/products");
+});
+app.get("/admin/products/:id/edit", requireAdmin("organiser"), async (req, res) => {
+  const product = await getProductById(Number(req.params.id));
+  if (!product) return res.status(404).send("Produit introuvable");
+  res.render("admin/products_edit", {
+    BRAND,
+    product: { ...product, price: formatPrice(product.price_cents).replace(" €", "") },
+    error: null
+  });
+});
+app.post("/admin/products/:id/edit", requireAdmin("organiser"), async (req, res) => {
+  const id = Number(req.params.id);
+  const product = await getProductById(id);
+  if (!product) return res.status(404).send("Produit introuvable");
+  const fields = parseProductFields(req.body);
+  const active = req.body.active === "1";
+  if (fields.error) {
+    return res.render("admin/products_edit", {
+      BRAND,
+      product: { id, name: req.body.name, price: req.body.price, sort_order: req.body.sort_order, active },
+      error: fields.error
+    });
+  }
+  await updateProduct(id, { ...fields, active });
+  res.redirect("/admin/products");
+});
+
+// Check-in au stand: scan du QR code (URL de check-in) ou recherche par nom/téléphone.
+app.get("/admin/checkin", requireAdmin("volunteer"), async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const allDays = req.query.tous === "1";
+  const results = q ? await searchReservationsForCheckin({ q, date: allDays ? null : todayLocal() }) : null;
+  res.render("admin/checkin", { BRAND, q, allDays, results, done: req.query.ok || null, error: null });
+});
+app.get("/admin/checkin/scan", requireAdmin("volunteer"), (req, res) => {
+  const token = tokenFromScan(req.query.code);
+  if (!token) {
+    return res.status(400).render("admin/checkin", { BRAND, q: "", allDays: false, results: null, done: null, error: "QR code non reconnu" });
+  }
+  res.redirect(`/admin/checkin/${token}`);
+});
+app.get("/admin/checkin/:token", requireAdmin("volunteer"), async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) return res.status(404).render("admin/checkin", { BRAND, q: "", allDays: false, results: null, done: null, error: "Réservation introuvable" });
+  res.render("admin/checkin_order", { BRAND, r });
+});
+app.post("/admin/checkin/:token", requireAdmin("volunteer"), async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) return res.status(404).send("Réservation introuvable");
+  const due = r.total_cents - r.amount_paid_cents;
+  if (req.body.cash === "1" && due > 0) {
+    await recordPayment({ reservation_id: r.id, amount_cents: due, method: "cash", communication: `Retrait – ${req.admin.name}` });
+  }
+  await markCollected(r.token, req.admin.name, { actor: adminActor(req) });
+  res.redirect(`/admin/checkin?ok=${encodeURIComponent(`${r.first_name} ${r.last_name}`)}`);
+});
+app.post("/admin/checkin/:token/undo", requireAdmin("volunteer"), async (req, res) => {
+  await unmarkCollected(req.params.token, { actor: adminActor(req) });
+  res.redirect(`/admin/checkin/${req.params.token}`);
+});
+
+// Paiements: suivi par statut, encaissements manuels et virements non rapprochés
+const PAYMENT_FILTERS = ["unpaid", "partial", "overpaid", "paid"];
+app.get("/admin/payments", requireAdmin("treasurer"), async (req, res) => {
+  const status = PAYMENT_FILTERS.includes(req.query.statut) ? req.query.statut : "unpaid";
+  const [reservations, unmatched] = await Promise.all([
+    listReservations({ payment: status, limit: null }),
+    listUnmatchedPayments()
+  ]);
+  res.render("admin/payments_index", { BRAND, status, reservations, unmatched, error: req.query.erreur || null });
+});
+app.post("/admin/payments", requireAdmin("treasurer"), async (req, res) => {
+  const back = `/admin/payments?statut=${encodeURIComponent(req.body.statut || "unpaid")}`;
+  const amount_cents = parseAmount(req.body.amount);
+  const method = PAYMENT_METHODS[req.body.method] ? req.body.method : null;
+  const reservationId = Number(req.body.reservation_id);
+  if (!amount_cents || !method || !reservationId) {
+    return res.redirect(`${back}&erreur=${encodeURIComponent("Montant ou mode de paiement invalide")}`);
+  }
+  await recordPayment({ reservation_id: reservationId, amount_cents, method, communication: req.body.note || null });
+  res.redirect(back);
+});
+app.post("/admin/payments/:id/assign", requireAdmin("treasurer"), async (req, res) => {
+  const reference = extractReference(req.body.reference) || extractReference(`+++${req.body.reference}+++`);
+  const reservation = reference ? await getReservationByReference(reference) : null;
+  if (!reservation) {
+    return res.redirect(`/admin/payments?erreur=${encodeURIComponent("Aucune réservation avec cette communication structurée")}`);
+  }
+  await assignPayment(Number(req.params.id), reservation.id);
+  res.redirect("/admin/payments");
+});
+app.post("/admin/payments/:id/delete", requireAdmin("treasurer"), async (req, res) => {
+  await deletePayment(Number(req.params.id));
+  res.redirect(`/admin/payments?statut=${encodeURIComponent(req.body.statut || "unpaid")}`);
+});
+// Import d'extraits bancaires (CSV ou CODA): aperçu du rapprochement puis import
+app.get("/admin/payments/import", requireAdmin("treasurer"), (req, res) => {
+  res.render("admin/payments_import", { BRAND, statement: "", result: null, imported: null });
+});
+app.post("/admin/payments/import", requireAdmin("treasurer"), async (req, res) => {
+  const statement = String(req.body.statement || "");
+  const { transfers, error } = parseBankStatement(statement);
+  if (error) {
+    return res.render("admin/payments_import", { BRAND, statement, result: { error, transfers: [] }, imported: null });
+  }
+  if (req.body.mode !== "confirm") {
+    const matched = await matchBankTransfers(transfers);
+    return res.render("admin/payments_import", { BRAND, statement, result: { error: null, transfers: matched }, imported: null });
+  }
+  const imported = await importBankTransfers(transfers);
+  res.render("admin/payments_import", { BRAND, statement: "", result: null, imported });
+});
+
 // Liste réservations
-app.get("/admin/reservations", requireAdmin, async (req, res) => {
+const RESERVATIONS_PAGE_SIZE = 100;
+app.get("/admin/reservations", requireAdmin(), async (req, res) => {
   const { date, lieu } = req.query;
-  const reservations = await listReservations({ date: date || null, location: lieu || "" });
-  res.render("admin/reservations", { BRAND, reservations, query: { date: date || "", lieu: lieu || "" } });
+  const pageNumber = /^\d+$/.test(req.query.page || "") ? Math.max(1, Number(req.query.page)) : 1;
+  const { rows: reservations, total } = await pageReservations(
+    { date: date || null, location: lieu || "" },
+    { limit: RESERVATIONS_PAGE_SIZE, offset: (pageNumber - 1) * RESERVATIONS_PAGE_SIZE }
+  );
+  const pages = Math.max(1, Math.ceil(total / RESERVATIONS_PAGE_SIZE));
+  const pageQuery = (n) => new URLSearchParams({ date: date || "", lieu: lieu || "", page: n }).toString();
+  res.render("admin/reservations", {
+    BRAND,
+    reservations,
+    query: { date: date || "", lieu: lieu || "" },
+    pagination: {
+      page: pageNumber,
+      pages,
+      total,
+      first: (pageNumber - 1) * RESERVATIONS_PAGE_SIZE + 1,
+      prevQuery: pageNumber > 1 ? pageQuery(Math.min(pageNumber - 1, pages)) : null,
+      nextQuery: pageNumber < pages ? pageQuery(pageNumber + 1) : null
+    },
+    notice: req.query.ok || null
+  });
+});
+// Exports sans limite de lignes, mêmes filtres que la liste
+app.get("/admin/reservations/export.csv", requireAdmin("treasurer"), async (req, res) => {
+  const { date, lieu } = req.query;
+  const reservations = await listReservations({ date: date || null, location: lieu || "", limit: null });
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.attachment(`reservations${date ? "-" + date : ""}.csv`);
+  res.send(reservationsToCsv(reservations));
+});
+app.get("/admin/reservations/export.xlsx", requireAdmin("treasurer"), async (req, res) => {
+  const { date, lieu } = req.query;
+  const reservations = await listReservations({ date: date || null, location: lieu || "", limit: null });
+  const buffer = await reservationsToXlsx(reservations);
+  res.set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.attachment(`reservations${date ? "-" + date : ""}.xlsx`);
+  res.send(Buffer.from(buffer));
 });
-app.post("/admin/reservations/delete", requireAdmin, async (req, res) => {
+app.post("/admin/reservations/delete", requireAdmin("organiser"), async (req, res) => {
   const { token } = req.body;
-  if (token) await deleteReservationByToken(token);
+  const r = token ? await getReservationByToken(token) : null;
+  if (r) {
+    await deleteReservationByToken(token, { actor: adminActor(req) });
+    if (r.email) {
+      const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+      await safely("envoi email", () => sendReservationCancelledEmail({ to: r.email, reservation: r, baseUrl }));
+    }
+    await recordOrderChanges([{ kind: "cancelled", actor: "admin", reservation: r }]);
+    await offerWaitlistSpots(r.presence_id);
+  }
   res.redirect("/admin/reservations");
 });
 
-export default app;
\ No newline at end of file
+// Saisie par un admin (commandes par téléphone, ventes au stand): n'importe quel créneau,
+// même passé ou commencé. Le client n'est prévenu par email que si "notify" est coché.
+// Par défaut les présences des 7 derniers jours et à venir; "depuis" élargit la liste.
+const ADMIN_SLOT_DAYS_BACK = 7;
+// Produits en vente, plus les lignes existantes; le stock dépend du créneau choisi
+async function adminOrderProducts(items = []) {
+  const products = await listProducts({ activeOnly: true });
+  return orderFormProducts(products.map((p) => ({ product_id: p.id, name: p.name, price_cents: p.price_cents, remaining: null })), items);
+}
+// Créneaux proposés et stock restant par présence (produit => reste, null si illimité);
+// les lignes de la réservation modifiée restent disponibles sur sa présence actuelle
+async function adminSlotChoices(req, slotId, r = null) {
+  const from = /^\d{4}-\d{2}-\d{2}$/.test(req.query.depuis || "") ? req.query.depuis : addDays(todayLocal(), -ADMIN_SLOT_DAYS_BACK);
+  const slots = await listSlotChoices({ from, slotId });
+  const stock = {};
+  for (const a of await listProductAvailability([...new Set(slots.map((s) => s.presence_id))])) {
+    const own = r && r.presence_id === a.presence_id ? r.items.find((i) => i.product_id === a.product_id)?.quantity || 0 : 0;
+    (stock[a.presence_id] ||= {})[a.product_id] = a.remaining === null ? null : a.remaining + own;
+  }
+  return { from, slots, stock };
+}
+function adminReservationForm(res, status, { r = null, form, choices, products, error = null }) {
+  const slot = choices.slots.find((s) => s.slot_id === Number(form.slot_id));
+  const stock = slot ? choices.stock[slot.presence_id] || {} : {};
+  const withStock = products.map((p) => (p.product_id in stock ? { ...p, max: stock[p.product_id] } : p));
+  res.status(status).render("admin/reservations_form", { BRAND, r, form, ...choices, products: withStock, languages: LANGUAGES, error });
+}
+// Champs du formulaire admin => champs de createReservation / updateReservation
+function parseAdminReservation(req, products) {
+  const { first_name, last_name, email, comment } = req.body;
+  if (!first_name || !last_name || !req.body.phone) return { error: "Prénom, nom et téléphone sont requis" };
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) return { error: req.t("errors.invalid_phone") };
+  const slot_id = Number(req.body.slot_id);
+  if (!Number.isInteger(slot_id) || slot_id <= 0) return { error: "Choisis un créneau" };
+  const order = parseItems(req.body, products, req.t);
+  if (order.error) return { error: order.error };
+  const language = isLanguage(req.body.language) ? req.body.language : DEFAULT_LANGUAGE;
+  return { fields: { slot_id, first_name, last_name, phone, email: email || null, items: order.items, comment: comment || null, language } };
+}
+
+app.get("/admin/reservations/new", requireAdmin("organiser"), async (req, res) => {
+  const slotId = Number(req.query.slot) || null;
+  const choices = await adminSlotChoices(req, slotId);
+  adminReservationForm(res, 200, { form: { slot_id: slotId, language: DEFAULT_LANGUAGE }, choices, products: await adminOrderProducts() });
+});
+app.post("/admin/reservations/new", requireAdmin("organiser"), async (req, res) => {
+  const products = await adminOrderProducts();
+  const redisplay = async (status, error) => adminReservationForm(res, status, {
+    form: req.body,
+    choices: await adminSlotChoices(req, Number(req.body.slot_id) || null),
+    products: withQuantities(products, req.body),
+    error
+  });
+  const { fields, error } = parseAdminReservation(req, products);
+  if (error) return redisplay(400, error);
+  const token = uuidv4();
+  try {
+    await createReservation({ ...fields, token }, { actor: adminActor(req) });
+  } catch (e) {
+    if (!(e instanceof CapacityError)) throw e;
+    return redisplay(409, capacityMessage(req.t, e));
+  }
+  const reservation = await getReservationByToken(token);
+  if (req.body.notify && reservation.email) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendConfirmationEmail({ to: reservation.email, reservation, baseUrl }));
+  }
+  await recordOrderChanges([{ kind: "created", actor: "admin", reservation }]);
+  const ok = `Réservation de ${reservation.first_name} ${reservation.last_name} enregistrée`;
+  res.redirect(`/admin/reservations?${new URLSearchParams({ date: reservation.date, ok })}`);
+});
+// Modifier tous les champs, ou déplacer vers un autre créneau / une autre présence
+app.get("/admin/reservations/:token/edit", requireAdmin("organiser"), async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) return res.status(404).send("Réservation introuvable");
+  const choices = await adminSlotChoices(req, r.slot_id, r);
+  adminReservationForm(res, 200, { r, form: { ...r, phone: formatPhone(r.phone) }, choices, products: await adminOrderProducts(r.items) });
+});
+app.post("/admin/reservations/:token/edit", requireAdmin("organiser"), async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) return res.status(404).send("Réservation introuvable");
+  const products = await adminOrderProducts(r.items);
+  const redisplay = async (status, error) => adminReservationForm(res, status, {
+    r,
+    form: req.body,
+    choices: await adminSlotChoices(req, r.slot_id, r),
+    products: withQuantities(products, req.body),
+    error
+  });
+  const { fields, error } = parseAdminReservation(req, products);
+  if (error) return redisplay(400, error);
+  try {
+    await updateReservation(req.params.token, fields, { actor: adminActor(req) });
+  } catch (e) {
+    if (!(e instanceof CapacityError)) throw e;
+    return redisplay(409, capacityMessage(req.t, e));
+  }
+  const updated = await getReservationByToken(req.params.token);
+  const moved = updated.slot_id !== r.slot_id;
+  if (req.body.notify && updated.email) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => (moved
+      ? sendReservationMovedEmail({ to: updated.email, reservation: updated, previous: r, baseUrl })
+      : sendReservationModifiedEmail({ to: updated.email, reservation: updated, baseUrl })));
+  }
+  await recordOrderChanges([{ kind: "updated", actor: "admin", reservation: updated }]);
+  // Places ou stock libérés sur la présence d'origine
+  await offerWaitlistSpots(r.presence_id);
+  const ok = `Réservation de ${updated.first_name} ${updated.last_name} ${moved ? "déplacée" : "modifiée"}`;
+  res.redirect(`/admin/reservations?${new URLSearchParams({ date: updated.date, ok })}`);
+});
+
+// Clients: coordonnées et historique des commandes, fusion des doublons (organisateur)
+app.get("/admin/customers", requireAdmin("treasurer"), async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const customers = await listCustomers({ q });
+  res.render("admin/customers_index", { BRAND, customers, q });
+});
+app.get("/admin/customers/:id", requireAdmin("treasurer"), async (req, res) => {
+  const customer = await getCustomer(Number(req.params.id));
+  if (!customer) return res.status(404).send("Client introuvable");
+  const duplicates = await listDuplicateCustomers(customer.id);
+  res.render("admin/customers_show", { BRAND, customer, duplicates, notice: req.query.ok || null, error: req.query.erreur || null });
+});
+app.post("/admin/customers/:id/merge", requireAdmin("organiser"), async (req, res) => {
+  const id = Number(req.params.id);
+  const mergedId = Number(req.body.merge_id);
+  const back = (params) => res.redirect(`/admin/customers/${id}?${new URLSearchParams(params)}`);
+  if (!Number.isInteger(mergedId) || mergedId === id) return back({ erreur: "Choisis un autre client à fusionner" });
+  if (!(await mergeCustomers(id, mergedId))) return back({ erreur: `Client n° ${mergedId} introuvable` });
+  back({ ok: `Client n° ${mergedId} fusionné: ses numéros et réservations sont rattachés à cette fiche` });
+});
+
+// Statistiques de la saison (?saison=2025), comparée par défaut à la précédente (?comparer=aucune pour ne pas comparer)
+async function seasonStatsFor(req) {
+  const seasons = await listSeasons();
+  const requested = Number(req.query.saison);
+  const season = Number.isInteger(requested) && requested > 0 ? requested : seasons[0] || Number(todayLocal().slice(0, 4));
+  const compared = req.query.comparer === "aucune" ? null : Number(req.query.comparer) || season - 1;
+  const [stats, previous] = await Promise.all([getSeasonStats(season), compared ? getSeasonStats(compared) : null]);
+  return { seasons, stats, previous };
+}
+app.get("/admin/analytics", requireAdmin("treasurer"), async (req, res) => {
+  const { seasons, stats, previous } = await seasonStatsFor(req);
+  const query = new URLSearchParams({ saison: stats.season, comparer: previous ? previous.season : "aucune" }).toString();
+  res.render("admin/analytics", {
+    BRAND,
+    seasons,
+    stats,
+    previous,
+    query,
+    figures: FIGURES,
+    comparison: compareSeasons(stats, previous),
+    chart: cumulativeChart(stats, previous),
+    fillRate
+  });
+});
+app.get("/admin/analytics/:figure.csv", requireAdmin("treasurer"), async (req, res) => {
+  const figure = req.params.figure;
+  if (!Object.hasOwn(FIGURES, figure)) return res.status(404).send("Statistique inconnue");
+  const { stats, previous } = await seasonStatsFor(req);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.attachment(`statistiques-${stats.season}-${figure}.csv`);
+  res.send(figureToCsv(figure, stats, previous));
+});
+
+// Journal d'audit: filtres, puis historique d'une réservation ou d'une présence
+const AUDIT_PAGE_SIZE = 100;
+app.get("/admin/audit", requireAdmin("organiser"), async (req, res) => {
+  const pick = (value, allowed) => (allowed[value] ? value : null);
+  const query = {
+    entity: pick(req.query.objet, AUDIT_ENTITIES),
+    action: pick(req.query.action, AUDIT_ACTIONS),
+    actorType: pick(req.query.auteur, AUDIT_ACTORS),
+    date: /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || "") ? req.query.date : null,
+    q: String(req.query.q || "").trim(),
+    beforeId: /^\d+$/.test(req.query.avant || "") ? req.query.avant : null
+  };
+  const entries = await listAuditLog({ ...query, limit: AUDIT_PAGE_SIZE });
+  const nextQuery = entries.length === AUDIT_PAGE_SIZE
+    ? new URLSearchParams({ ...req.query, avant: entries[entries.length - 1].id }).toString()
+    : null;
+  res.render("admin/audit_index", { BRAND, entries, query, nextQuery });
+});
+app.get("/admin/audit/:entity/:id", requireAdmin("organiser"), async (req, res) => {
+  const { entity } = req.params;
+  const id = Number(req.params.id);
+  if (!AUDIT_ENTITIES[entity] || !Number.isInteger(id)) return res.status(404).send("Historique introuvable");
+  const entries = await getAuditHistory(entity, id);
+  res.render("admin/audit_history", { BRAND, entity, id, entries });
+});
+
+// Mon compte: changement de mot de passe (les autres sessions sont fermées)
+app.get("/admin/account", requireAdmin(), (req, res) => {
+  res.render("admin/account", { BRAND, error: null, saved: false });
+});
+app.post("/admin/account", requireAdmin(), async (req, res) => {
+  const user = await getAdminUserById(req.admin.id);
+  if (!(await verifyPassword(req.body.current_password, user.password_hash))) {
+    return res.status(400).render("admin/account", { BRAND, error: "Mot de passe actuel incorrect", saved: false });
+  }
+  const problem = passwordProblem(req.body.password, req.body.password_confirm);
+  if (problem) return res.status(400).render("admin/account", { BRAND, error: problem, saved: false });
+  const sessionVersion = await setAdminPassword(user.id, await hashPassword(req.body.password));
+  setAdminCookie(req, res, { id: user.id, session_version: sessionVersion });
+  res.render("admin/account", { BRAND, error: null, saved: true });
+});
+
+// Comptes admin (organisateurs): création par invitation email, rôles, désactivation
+function parseAdminUserFields(body) {
+  const name = String(body.name || "").trim();
+  const email = String(body.email || "").trim();
+  const role = ROLES[body.role] ? body.role : null;
+  if (!name) return { error: "Le nom est requis" };
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) return { error: "Email invalide" };
+  if (!role) return { error: "Rôle invalide" };
+  return { name, email, role };
+}
+async function renderAdminUsers(res, { form = {}, error = null, notice = null } = {}) {
+  const users = await listAdminUsers();
+  res.status(error ? 400 : 200).render("admin/users_index", { BRAND, users, form, error, notice });
+}
+app.get("/admin/users", requireAdmin("organiser"), async (req, res) => {
+  await renderAdminUsers(res, { notice: req.query.ok || null });
+});
+app.post("/admin/users", requireAdmin("organiser"), async (req, res) => {
+  const fields = parseAdminUserFields(req.body);
+  if (fields.error) return renderAdminUsers(res, { form: req.body, error: fields.error });
+  if (await getAdminUserByEmail(fields.email)) return renderAdminUsers(res, { form: req.body, error: "Un compte existe déjà avec cet email" });
+  const id = await createAdminUser(fields);
+  const user = await getAdminUserById(id);
+  try {
+    await sendPasswordLink(user, { invite: true });
+  } catch (e) {
+    console.error("Erreur envoi email:", e);
+    return renderAdminUsers(res, { error: `Compte créé mais l’invitation n’a pas pu être envoyée à ${user.email}. Renvoie-la depuis la fiche du compte.` });
+  }
+  res.redirect(`/admin/users?ok=${encodeURIComponent(`Invitation envoyée à ${user.email}`)}`);
+});
+app.get("/admin/users/:id/edit", requireAdmin("organiser"), async (req, res) => {
+  const user = await getAdminUserById(Number(req.params.id));
+  if (!user) return res.status(404).send("Compte introuvable");
+  res.render("admin/users_edit", { BRAND, user, error: null, notice: req.query.ok || null });
+});
+app.post("/admin/users/:id/edit", requireAdmin("organiser"), async (req, res) => {
+  const id = Number(req.params.id);
+  const user = await getAdminUserById(id);
+  if (!user) return res.status(404).send("Compte introuvable");
+  const fields = parseAdminUserFields(req.body);
+  const active = req.body.active === "1";
+  const redisplay = (error) =>
+    res.status(400).render("admin/users_edit", { BRAND, user: { ...user, ...req.body, active }, error, notice: null });
+  if (fields.error) return redisplay(fields.error);
+  const other = await getAdminUserByEmail(fields.email);
+  if (other && other.id !== id) return redisplay("Un compte existe déjà avec cet email");
+  // Toujours garder au moins un organisateur actif
+  if ((!active || fields.role !== "organiser") && (await countActiveOrganisers(id)) === 0) {
+    return redisplay("Il faut garder au moins un organisateur actif");
+  }
+  await updateAdminUser(id, { ...fields, active });
+  res.redirect(`/admin/users?ok=${encodeURIComponent(`Compte de ${fields.name} enregistré`)}`);
+});
+app.post("/admin/users/:id/reset", requireAdmin("organiser"), async (req, res) => {
+  const id = Number(req.params.id);
+  const user = await getAdminUserById(id);
+  if (!user || !user.active) return res.status(404).send("Compte introuvable");
+  try {
+    await sendPasswordLink(user, { invite: !user.password_hash });
+  } catch (e) {
+    console.error("Erreur envoi email:", e);
+    return res.render("admin/users_edit", { BRAND, user, error: "L’email n’a pas pu être envoyé", notice: null });
+  }
+  res.redirect(`/admin/users/${id}/edit?ok=${encodeURIComponent(`Lien envoyé à ${user.email}`)}`);
+});
+
+// Migrations du schéma: état et application des migrations en attente
+app.get("/admin/migrations", requireAdmin("organiser"), async (req, res) => {
+  res.render("admin/migrations", { BRAND, migrations: await migrationStatus(), applied: null });
+});
+app.post("/admin/migrations", requireAdmin("organiser"), async (req, res) => {
+  const applied = await migrate();
+  res.render("admin/migrations", { BRAND, migrations: await migrationStatus(), applied });
+});
+
+// Clés d'API: le secret n'est affiché qu'une fois, à la création
+const API_ACCESS = { read: "Lecture", write: "Lecture et écriture" };
+async function renderApiKeys(res, { form = {}, error = null, created = null } = {}) {
+  const keys = await listApiKeys();
+  res.status(error ? 400 : 200).render("admin/api_keys", { BRAND, keys, form, error, created, API_ACCESS });
+}
+app.get("/admin/api-keys", requireAdmin("organiser"), async (req, res) => {
+  await renderApiKeys(res);
+});
+app.post("/admin/api-keys", requireAdmin("organiser"), async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  const access = API_ACCESS[req.body.access] ? req.body.access : null;
+  if (!name) return renderApiKeys(res, { form: req.body, error: "Le nom de la clé est requis" });
+  if (!access) return renderApiKeys(res, { form: req.body, error: "Accès invalide" });
+  const { key, prefix, keyHash } = newApiKey();
+  await createApiKey({ name, prefix, key_hash: keyHash, access, created_by: req.admin.name });
+  await renderApiKeys(res, { created: { name, key } });
+});
+app.post("/admin/api-keys/:id/revoke", requireAdmin("organiser"), async (req, res) => {
+  await revokeApiKey(Number(req.params.id));
+  res.redirect("/admin/api-keys");
+});
+
+// API JSON v1 (/api/v1): clé d'API en "Authorization: Bearer <clé>" ou "X-API-Key: <clé>"
+const api = express.Router();
+api.use(express.json({ limit: "100kb" }));
+// Express 4 ne transmet pas les rejets des handlers async au gestionnaire d'erreurs
+const apiRoute = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+// Une clé en écriture peut aussi lire
+function requireApiKey(access) {
+  return (req, res, next) => {
+    const header = String(req.headers.authorization || "");
+    const key = header.startsWith("Bearer ") ? header.slice(7).trim() : String(req.headers["x-api-key"] || "").trim();
+    if (!key) return next(new ApiError(401, "unauthorized", "Clé d'API manquante"));
+    findActiveApiKey(hashApiKey(key))
+      .then((apiKey) => {
+        if (!apiKey) throw new ApiError(401, "unauthorized", "Clé d'API invalide ou révoquée");
+        if (access === "write" && apiKey.access !== "write") throw new ApiError(403, "forbidden", "Cette clé d'API est en lecture seule");
+        req.apiKey = apiKey;
+        next();
+      })
+      .catch(next);
+  };
+}
+function apiActor(req) {
+  return { type: "api", id: req.apiKey.id, name: `API – ${req.apiKey.name}` };
+}
+// Identifiant numérique d'une URL; sinon 404 comme un objet inexistant
+function apiId(value, label) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw new ApiError(404, "not_found", `${label} introuvable`);
+  return id;
+}
+function apiInt(query, name) {
+  const value = query[name];
+  if (value === undefined || value === "") return null;
+  if (!/^\d+$/.test(value)) throw new ApiError(400, "invalid_parameter", `${name} doit être un entier`, { parameter: name });
+  return Number(value);
+}
+function apiDate(query, name) {
+  const value = query[name];
+  if (value === undefined || value === "") return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new ApiError(400, "invalid_parameter", `${name} doit être au format AAAA-MM-JJ`, { parameter: name });
+  return value;
+}
+
+// Corps JSON d'une présence => champs validés comme dans le formulaire admin;
+// `current` donne la valeur des champs absents (PATCH)
+function presenceFieldsFromJson(body, products, current = null) {
+  const value = (key, fallback) => (body[key] === undefined ? fallback : body[key]);
+  const location = stringField(body, "location", { required: true, fallback: current?.location });
+  const date = stringField(body, "date", { required: true, fallback: current && toIsoDate(current.date) });
+  const start_time = stringField(body, "start_time", { required: true, fallback: current && String(current.start_time).slice(0, 5) });
+  const end_time = stringField(body, "end_time", { required: true, fallback: current && String(current.end_time).slice(0, 5) });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`))) {
+    throw invalidField("date", "date doit être au format AAAA-MM-JJ");
+  }
+  for (const [field, time] of [["start_time", start_time], ["end_time", end_time]]) {
+    if (!/^\d{2}:\d{2}$/.test(time)) throw invalidField(field, `${field} doit être au format HH:MM`);
+  }
+  if (!(toMinutes(start_time) < toMinutes(end_time))) throw invalidField("end_time", "L'heure de fin doit être après l'heure de début");
+  const breaks = value("breaks", current?.breaks || []);
+  if (!Array.isArray(breaks)) throw invalidField("breaks", "breaks doit être une liste de { start, end }");
+  const stocks = value("stocks", current?.stocks || {});
+  if (!stocks || typeof stocks !== "object" || Array.isArray(stocks)) {
+    throw invalidField("stocks", "stocks doit être un objet { product_id: stock }");
+  }
+  const unknown = body.stocks && Object.keys(stocks).find((id) => !products.some((p) => String(p.id) === id));
+  if (unknown) throw invalidField("stocks", `Produit inconnu ou retiré de la vente: ${unknown}`);
+  const form = {
+    start_time,
+    end_time,
+    slot_capacity: value("slot_capacity", current?.slot_capacity) ?? "",
+    slot_minutes: value("slot_minutes", current?.slot_minutes) ?? "",
+    breaks: formatBreaks(breaks),
+    ...Object.fromEntries(products.map((p) => [`stock_${p.id}`, stocks[p.id] ?? ""]))
+  };
+  const capacity = parseCapacityFields(form, products);
+  if (capacity.error) throw new ApiError(422, "validation_error", capacity.error);
+  const slotting = parseSlotFields(form);
+  if (slotting.error) throw new ApiError(422, "validation_error", slotting.error);
+  return { location, date, start_time, end_time, ...capacity, ...slotting };
+}
+async function presenceData(id) {
+  const { rows } = await pagePresences({ id }, { limit: 1 });
+  if (!rows[0]) return null;
+  return presenceJson(rows[0], await listProductAvailability([id]));
+}
+function phoneField(body, fallback) {
+  const phone = normalizePhone(stringField(body, "phone", { required: true, fallback }));
+  if (!phone) throw invalidField("phone", "phone doit être un numéro de téléphone valide (ex: +32470123456)");
+  return phone;
+}
+// Langue des emails envoyés au client
+function languageField(body, fallback) {
+  const value = body.language === undefined || body.language === null ? fallback : body.language;
+  if (!isLanguage(value)) throw invalidField("language", `language doit valoir ${Object.keys(LANGUAGES).join(", ")}`);
+  return value;
+}
+// Champs client d'une réservation; `current` donne la valeur des champs absents (PATCH)
+function reservationFieldsFromJson(body, current = null) {
+  const email = stringField(body, "email", { fallback: current?.email });
+  if (email && !/^[^@\s]+@[^@\s]+$/.test(email)) throw invalidField("email", "Email invalide");
+  return {
+    first_name: stringField(body, "first_name", { required: true, fallback: current?.first_name }),
+    last_name: stringField(body, "last_name", { required: true, fallback: current?.last_name }),
+    phone: phoneField(body, current?.phone),
+    email,
+    comment: stringField(body, "comment", { fallback: current?.comment }),
+    language: languageField(body, current?.language ?? DEFAULT_LANGUAGE)
+  };
+}
+
+api.get("/openapi.json", (req, res) => {
+  res.json(openApiSpec(process.env.BASE_URL || `http://localhost:3000`));
+});
+
+api.get("/presences", requireApiKey("read"), apiRoute(async (req, res) => {
+  const page = parsePagination(req.query);
+  const filters = { from: apiDate(req.query, "from"), to: apiDate(req.query, "to"), location: String(req.query.location || "") };
+  const { rows, total } = await pagePresences(filters, page);
+  const availability = await listProductAvailability(rows.map((p) => p.id));
+  const data = rows.map((p) => presenceJson(p, availability.filter((a) => a.presence_id === p.id)));
+  res.json(pageBody(data, page, total));
+}));
+api.get("/presences/:id", requireApiKey("read"), apiRoute(async (req, res) => {
+  const data = await presenceData(apiId(req.params.id, "Présence"));
+  if (!data) throw new ApiError(404, "not_found", "Présence introuvable");
+  res.json({ data });
+}));
+api.post("/presences", requireApiKey("write"), apiRoute(async (req, res) => {
+  const fields = presenceFieldsFromJson(req.body, await listProducts({ activeOnly: true }));
+  const id = await createPresence(fields, { actor: apiActor(req) });
+  res.status(201).json({ data: await presenceData(id) });
+}));
+// Même règle que l'écran admin: si des réservations sont déplacées, annulées ou
+// changent de date/lieu, le plan doit être confirmé en renvoyant son plan_key
+api.patch("/presences/:id", requireApiKey("write"), apiRoute(async (req, res) => {
+  const id = apiId(req.params.id, "Présence");
+  const presence = await getPresenceById(id);
+  if (!presence) throw new ApiError(404, "not_found", "Présence introuvable");
+  const fields = presenceFieldsFromJson(req.body, await listProducts({ activeOnly: true }), presence);
+  const previous = { location: presence.location, date: toIsoDate(presence.date) };
+  const placeChanged = previous.location !== fields.location || previous.date !== fields.date;
+  const plan = await previewPresenceEdit(id, fields);
+  if ((plan.moves.length || plan.orphans.length || (placeChanged && plan.reservations.length)) && req.body.plan_key !== plan.key) {
+    throw new ApiError(409, "plan_confirmation_required", "Des réservations sont impactées: renvoyer la requête avec plan_key pour confirmer", planJson(plan));
+  }
+  const result = await updatePresenceWithRegeneration(id, fields, { expectedKey: plan.key, actor: apiActor(req) });
+  await notifyPresenceEdit(result, { previous, fields });
+  await offerWaitlistSpots(id);
+  res.json({ data: await presenceData(id) });
+}));
+api.delete("/presences/:id", requireApiKey("write"), apiRoute(async (req, res) => {
+  const id = apiId(req.params.id, "Présence");
+  const presence = await getPresenceById(id);
+  if (!presence) throw new ApiError(404, "not_found", "Présence introuvable");
+  const reservations = await listReservationsForPresence(id);
+  await deletePresence(id, { actor: apiActor(req) });
+  const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+  for (const r of reservations) {
+    if (!r.email) continue;
+    await safely("envoi email", () => sendReservationCancelledEmail({
+      to: r.email,
+      reservation: r,
+      reason: "presence_deleted",
+      baseUrl
+    }));
+  }
+  await recordOrderChanges(reservations.map((r) => ({ kind: "cancelled", actor: "api", reservation: r })));
+  res.status(204).end();
+}));
+
+api.get("/slots", requireApiKey("read"), apiRoute(async (req, res) => {
+  const page = parsePagination(req.query);
+  const filters = {
+    dateFilter: apiDate(req.query, "date"),
+    locationFilter: String(req.query.location || ""),
+    presenceId: apiInt(req.query, "presence_id"),
+    availableOnly: flag(req.query.available, false)
+  };
+  const { rows, total } = await pageUpcomingSlots(filters, page);
+  res.json(pageBody(rows.map(slotJson), page, total));
+}));
+api.get("/slots/:id", requireApiKey("read"), apiRoute(async (req, res) => {
+  const slot = await getSlotById(apiId(req.params.id, "Créneau"));
+  if (!slot) throw new ApiError(404, "not_found", "Créneau introuvable");
+  res.json({ data: slotJson(slot) });
+}));
+
+const API_PAYMENT_FILTERS = ["unpaid", "partial", "paid", "overpaid"];
+api.get("/reservations", requireApiKey("read"), apiRoute(async (req, res) => {
+  const page = parsePagination(req.query);
+  const payment = req.query.payment || null;
+  if (payment && !API_PAYMENT_FILTERS.includes(payment)) {
+    throw new ApiError(400, "invalid_parameter", `payment doit valoir ${API_PAYMENT_FILTERS.join(", ")}`, { parameter: "payment" });
+  }
+  const filters = {
+    date: apiDate(req.query, "date"),
+    location: String(req.query.location || ""),
+    presenceId: apiInt(req.query, "presence_id"),
+    payment
+  };
+  const { rows, total } = await pageReservations(filters, page);
+  res.json(pageBody(rows.map(reservationJson), page, total));
+}));
+api.get("/reservations/:token", requireApiKey("read"), apiRoute(async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) throw new ApiError(404, "not_found", "Réservation introuvable");
+  res.json({ data: reservationJson(r) });
+}));
+api.post("/reservations", requireApiKey("write"), apiRoute(async (req, res) => {
+  const slotId = Number(req.body.slot_id);
+  if (!Number.isInteger(slotId)) throw invalidField("slot_id", "slot_id est requis");
+  const fields = reservationFieldsFromJson(req.body);
+  const items = itemsField(req.body);
+  const token = uuidv4();
+  await createReservation({ slot_id: slotId, ...fields, items, token }, { actor: apiActor(req) });
+  const reservation = await getReservationByToken(token);
+  if (reservation.email && flag(req.body.notify, true)) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendConfirmationEmail({ to: reservation.email, reservation, baseUrl }));
+  }
+  await recordOrderChanges([{ kind: "created", actor: "api", reservation }]);
+  res.status(201).json({ data: reservationJson(reservation) });
+}));
+api.patch("/reservations/:token", requireApiKey("write"), apiRoute(async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) throw new ApiError(404, "not_found", "Réservation introuvable");
+  const fields = reservationFieldsFromJson(req.body, r);
+  const items = req.body.items === undefined
+    ? r.items.map((i) => ({ product_id: i.product_id, quantity: i.quantity }))
+    : itemsField(req.body);
+  await updateReservation(req.params.token, { ...fields, items }, { actor: apiActor(req) });
+  const updated = await getReservationByToken(req.params.token);
+  if (updated.email && flag(req.body.notify, true)) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendReservationModifiedEmail({ to: updated.email, reservation: updated, baseUrl }));
+  }
+  await recordOrderChanges([{ kind: "updated", actor: "api", reservation: updated }]);
+  await offerWaitlistSpots(updated.presence_id);
+  res.json({ data: reservationJson(updated) });
+}));
+api.delete("/reservations/:token", requireApiKey("write"), apiRoute(async (req, res) => {
+  const r = await getReservationByToken(req.params.token);
+  if (!r) throw new ApiError(404, "not_found", "Réservation introuvable");
+  await deleteReservationByToken(req.params.token, { actor: apiActor(req) });
+  if (r.email && flag(req.query.notify, true)) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:3000`;
+    await safely("envoi email", () => sendReservationCancelledEmail({ to: r.email, reservation: r, baseUrl }));
+  }
+  await recordOrderChanges([{ kind: "cancelled", actor: "api", reservation: r }]);
+  await offerWaitlistSpots(r.presence_id);
+  res.status(204).end();
+}));
+
+api.use((req, res) => {
+  res.status(404).json({ error: { code: "not_found", message: "Route inconnue" } });
+});
+api.use((err, req, res, next) => {
+  const { status, body } = apiErrorResponse(err);
+  if (status >= 500) console.error("Erreur API:", err);
+  res.status(status).json(body);
+});
+app.use("/api/v1", api);
+
+export default app;
@@ -0,0 +1,64 @@
+import { formatPrice } from "./money.js";
+import { formatTime, localDay } from "./time.js";
+
+// Libellés et lecture des entrées du journal d'audit (before/after = états complets)
+export const AUDIT_ENTITIES = { reservation: "Réservation", presence: "Présence" };
+export const AUDIT_ACTIONS = { create: "Création", update: "Modification", delete: "Suppression" };
+export const AUDIT_ACTORS = { customer: "Client", admin: "Admin", api: "API", system: "Système" };
+
+const text = (v) => (v === null || v === undefined || v === "" ? "—" : String(v));
+const time = (v) => (v ? formatTime(v) : "—");
+const dateTime = (v) => (v ? `${localDay(v)} ${formatTime(v)}` : "—");
+const price = (v) => formatPrice(v);
+const items = (v) => (v || []).map((i) => `${i.quantity} × ${i.name}`).join(", ") || "—";
+const breaks = (v) => (v || []).map((b) => `${b.start}–${b.end}`).join(", ") || "—";
+const stocks = (v) => Object.entries(v || {}).map(([name, n]) => `${name}: ${n}`).join(", ") || "illimité";
+
+const FIELDS = {
+  reservation: [
+    ["first_name", "Prénom", text],
+    ["last_name", "Nom", text],
+    ["phone", "Téléphone", text],
+    ["email", "Email", text],
+    ["location", "Lieu", text],
+    ["date", "Date", text],
+    ["start_at", "Heure", time],
+    ["items", "Articles", items],
+    ["total_cents", "Total", price],
+    ["comment", "Commentaire", text],
+    ["collected_at", "Retrait", dateTime],
+    ["collected_by", "Remis par", text]
+  ],
+  presence: [
+    ["location", "Lieu", text],
+    ["date", "Date", text],
+    ["start_time", "Début", (v) => text(v && String(v).slice(0, 5))],
+    ["end_time", "Fin", (v) => text(v && String(v).slice(0, 5))],
+    ["slot_minutes", "Durée des créneaux (min)", text],
+    ["slot_capacity", "Capacité par créneau", (v) => (v == null ? "illimitée" : String(v))],
+    ["breaks", "Pauses", breaks],
+    ["stocks", "Stocks", stocks]
+  ]
+};
+
+// Champs affichés d'une entrée: ceux qui ont changé pour une modification,
+// tous les champs renseignés pour une création ou une suppression
+export function auditChanges(entry) {
+  const fields = FIELDS[entry.entity] || [];
+  return fields
+    .map(([key, label, format]) => ({
+      label,
+      before: entry.before ? format(entry.before[key]) : null,
+      after: entry.after ? format(entry.after[key]) : null
+    }))
+    .filter((c) => (entry.action === "update" ? c.before !== c.after : (c.after ?? c.before) !== "—"));
+}
+
+// "Jean Dupont – 2025-10-04 10:15 – Place" / "Place – 2025-10-04 09:00–12:00"
+export function auditSummary(entry) {
+  const s = entry.after || entry.before || {};
+  if (entry.entity === "reservation") {
+    return `${s.first_name || ""} ${s.last_name || ""} – ${s.date || ""} ${s.start_at ? formatTime(s.start_at) : ""} – ${s.location || ""}`;
+  }
+  return `${s.location || ""} – ${s.date || ""} ${String(s.start_time || "").slice(0, 5)}–${String(s.end_time || "").slice(0, 5)}`;
+}
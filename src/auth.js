@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Rôles des comptes admin; l'organisateur a accès à tout
+export const ROLES = {
+  organiser: "Organisateur",
+  treasurer: "Trésorier",
+  volunteer: "Bénévole"
+};
+
+export const MIN_PASSWORD_LENGTH = 10;
+
+// Hash stocké: "scrypt$N$r$p$sel$hash" (base64), paramètres relus à la vérification
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+  const [, N, r, p, salt, expected] = parts;
+  const expectedBuf = Buffer.from(expected, "base64");
+  const hash = await scrypt(String(password || ""), Buffer.from(salt, "base64"), expectedBuf.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(hash, expectedBuf);
+}
+
+// Comparaison à durée constante de deux secrets en clair
+export function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(String(a || "")).digest();
+  const right = crypto.createHash("sha256").update(String(b || "")).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// Lien de réinitialisation: seul le hash du jeton est gardé en base
+export function newResetToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashResetToken(token) };
+}
+
+export function hashResetToken(token) {
+  return sha256Hex(token);
+}
+
+// Clés d'API "jdp_…": secret aléatoire de 32 octets, un sha256 suffit pour le stocker
+export function newApiKey() {
+  const key = `jdp_${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix: key.slice(0, 10), keyHash: hashApiKey(key) };
+}
+
+export function hashApiKey(key) {
+  return sha256Hex(key);
+}
+
+// CSRF: secret aléatoire dans un cookie, jeton des formulaires = HMAC du secret
+export function newCsrfSecret() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export function csrfTokenFor(secret, key) {
+  return crypto.createHmac("sha256", String(key)).update(String(secret || "")).digest("base64url");
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value || "")).digest("hex");
+}
+
+export function passwordProblem(password, confirmation) {
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) return `Le mot de passe doit faire au moins ${MIN_PASSWORD_LENGTH} caractères`;
+  if (password !== confirmation) return "Les deux mots de passe ne correspondent pas";
+  return null;
+}
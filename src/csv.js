@@ -0,0 +1,65 @@
+// CSV minimal: point-virgule par défaut (Excel en français), BOM UTF-8
+
+// Texte lu comme une formule par Excel (=, +, -, @): préfixé d'une apostrophe (injection CSV).
+// Les nombres, même négatifs, restent des nombres.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+([.,]\d+)?$/;
+
+function escapeCell(value, delimiter) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: (row) => ... }]
+export function toCsv(rows, columns, { delimiter = ";" } = {}) {
+  const lines = [columns.map((c) => escapeCell(c.header, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(c.value(row), delimiter)).join(delimiter));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Détecte "," ou ";" sur la première ligne; gère les champs entre guillemets
+export function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = input.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
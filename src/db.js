@@ -1,142 +1,522 @@
-import { sql } from "@vercel/postgres";
-
-// Création du schéma (idempotent)
-let schemaEnsured = false;
-async function ensureSchema() {
-  if (schemaEnsured) return;
-  await sql`CREATE TABLE IF NOT EXISTS presences (
-    id SERIAL PRIMARY KEY,
-    location TEXT NOT NULL,
-    date DATE NOT NULL,
-    start_time TIME NOT NULL,
-    end_time TIME NOT NULL
-  );`;
-
-  await sql`CREATE TABLE IF NOT EXISTS slots (
-    id SERIAL PRIMARY KEY,
-    presence_id INTEGER NOT NULL REFERENCES presences(id) ON DELETE CASCADE,
-    start_at TIMESTAMPTZ NOT NULL,
-    UNIQUE (presence_id, start_at)
-  );`;
-
-  await sql`CREATE TABLE IF NOT EXISTS reservations (
-    id SERIAL PRIMARY KEY,
-    slot_id INTEGER NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
-    first_name TEXT NOT NULL,
-    last_name TEXT NOT NULL,
-    phone TEXT NOT NULL,
-    quantity INTEGER NOT NULL CHECK (quantity >= 1),
-    comment TEXT,
-    token TEXT NOT NULL UNIQUE,
-    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-  );`;
-  schemaEnsured = true;
-}
-
-export async function createPresence({ location, date, start_time, end_time }) {
-  await ensureSchema();
-  const { rows } = await sql.begin(async (tx) => {
-    const inserted = await tx`
-      INSERT INTO presences (location, date, start_time, end_time)
-      VALUES (${location}, ${date}, ${start_time}, ${end_time})
-      RETURNING id
+import { sql, transaction } from "./storage.js";
+import { computeSlotTimes, planSlotRemap, planKey, DEFAULT_SLOT_MINUTES } from "./slots.js";
+import { TIMEZONE } from "./time.js";
+import { referenceForId } from "./payments.js";
+
+// Journal d'audit. actor = { type: "customer" | "admin" | "api" | "system", id, name };
+// les écritures se font dans la transaction du changement audité.
+export const SYSTEM_ACTOR = { type: "system", id: null, name: "Système" };
+
+async function writeAudit(tx, { entity, entityId, action, actor = SYSTEM_ACTOR, before = null, after = null, note = null, cascadePresenceId = null }) {
+  await tx.sql`
+    INSERT INTO audit_log (entity, entity_id, action, actor_type, actor_id, actor_name, before, after, note, cascade_presence_id)
+    VALUES (${entity}, ${entityId}, ${action}, ${actor.type}, ${actor.id == null ? null : String(actor.id)}, ${actor.name || null},
+            ${before ? JSON.stringify(before) : null}::jsonb, ${after ? JSON.stringify(after) : null}::jsonb, ${note}, ${cascadePresenceId})
+  `;
+}
+
+// État complet des réservations (créneau, lieu, lignes) par id, filtré par ids ou par présence
+async function reservationSnapshots(tx, { ids = null, presenceId = null }) {
+  const { rows } = await tx.sql`
+    SELECT r.id, to_jsonb(r) || jsonb_build_object(
+      'start_at', s.start_at,
+      'presence_id', s.presence_id,
+      'location', p.location,
+      'date', p.date,
+      'items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('product_id', ri.product_id, 'name', pr.name, 'quantity', ri.quantity, 'unit_price_cents', ri.unit_price_cents) ORDER BY pr.sort_order, pr.id)
+        FROM reservation_items ri JOIN products pr ON pr.id = ri.product_id
+        WHERE ri.reservation_id = r.id
+      ), '[]'::jsonb)
+    ) AS snapshot
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE (${ids}::int[] IS NULL OR r.id = ANY(${ids}::int[]))
+      AND (${presenceId}::int IS NULL OR s.presence_id = ${presenceId}::int)
+  `;
+  return new Map(rows.map((row) => [row.id, row.snapshot]));
+}
+
+async function presenceSnapshot(tx, presenceId) {
+  const { rows } = await tx.sql`
+    SELECT (to_jsonb(p) - 'bottle_stock') || jsonb_build_object('stocks', COALESCE((
+      SELECT jsonb_object_agg(pr.name, ps.stock)
+      FROM presence_product_stock ps JOIN products pr ON pr.id = ps.product_id
+      WHERE ps.presence_id = p.id
+    ), '{}'::jsonb)) AS snapshot
+    FROM presences p
+    WHERE p.id = ${presenceId}
+  `;
+  return rows[0]?.snapshot || null;
+}
+
+// Compare les réservations d'une présence avant/après une opération en cascade
+// (deleted: la présence a été supprimée); les entrées sont rattachées à la présence
+async function auditReservationCascade(tx, before, { presenceId, deleted = false, actor, note }) {
+  const after = deleted ? new Map() : await reservationSnapshots(tx, { presenceId });
+  for (const [id, snapshot] of before) {
+    const current = after.get(id);
+    if (!current) {
+      await writeAudit(tx, { entity: "reservation", entityId: id, action: "delete", actor, before: snapshot, note, cascadePresenceId: presenceId });
+    } else if (JSON.stringify(current) !== JSON.stringify(snapshot)) {
+      await writeAudit(tx, { entity: "reservation", entityId: id, action: "update", actor, before: snapshot, after: current, note, cascadePresenceId: presenceId });
+    }
+  }
+}
+
+// Page d'une requête triée: { rows, total } (LIMIT/OFFSET, total sur toute la requête)
+async function paginate(q, params, { limit, offset = 0 }) {
+  const [{ rows }, { rows: count }] = await Promise.all([
+    sql.query(`${q} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`, [...params, limit, offset]),
+    sql.query(`SELECT COUNT(*)::int AS total FROM (${q}) c`, params)
+  ]);
+  return { rows, total: count[0].total };
+}
+
+// Crée les créneaux d'une présence selon sa durée de créneau et ses pauses.
+// Les heures sont locales au fuseau de la présence (changements d'heure inclus).
+async function insertSlots(tx, presenceId, { date, start_time, end_time, slot_minutes, breaks, timezone }) {
+  const times = computeSlotTimes({ start_time, end_time, slot_minutes, breaks });
+  await tx.sql`
+    INSERT INTO slots (presence_id, start_at)
+    SELECT ${presenceId}, (${date}::date + t::time) AT TIME ZONE ${timezone}
+    FROM unnest(${times}::text[]) AS t
+    ON CONFLICT DO NOTHING
+  `;
+}
+
+// Erreur levée quand un créneau est complet ou que le stock est insuffisant;
+// params complète le code pour traduire le message (produit, quantité restante)
+export class CapacityError extends Error {
+  constructor(message, code, params = {}) {
+    super(message);
+    this.name = "CapacityError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Disponibilité par présence et par produit actif (remaining NULL = illimité)
+const PRODUCT_AVAILABILITY = `
+  SELECT p.id AS presence_id, pr.id AS product_id, pr.name, pr.price_cents, pr.sort_order, ps.stock,
+    CASE WHEN ps.stock IS NULL THEN NULL
+         ELSE GREATEST(ps.stock - COALESCE(used.qty, 0), 0)::int END AS remaining
+  FROM presences p
+  CROSS JOIN products pr
+  LEFT JOIN presence_product_stock ps ON ps.presence_id = p.id AND ps.product_id = pr.id
+  LEFT JOIN (
+    SELECT s.presence_id, ri.product_id, SUM(ri.quantity) AS qty
+    FROM reservation_items ri
+    JOIN reservations r ON r.id = ri.reservation_id
+    JOIN slots s ON s.id = r.slot_id
+    GROUP BY s.presence_id, ri.product_id
+  ) used ON used.presence_id = p.id AND used.product_id = pr.id
+  WHERE pr.active
+`;
+
+export async function listProductAvailability(presenceIds) {
+  if (!presenceIds.length) return [];
+  const { rows } = await sql.query(
+    `SELECT * FROM (${PRODUCT_AVAILABILITY}) a
+     WHERE a.presence_id = ANY($1::int[])
+     ORDER BY a.presence_id, a.sort_order, a.product_id`,
+    [presenceIds]
+  );
+  return rows;
+}
+
+// Lignes de commande avec prix: un produit déjà commandé garde son prix et
+// reste commandable même désactivé, les autres doivent être actifs.
+async function resolveItems(tx, items, existingLines = []) {
+  const wanted = items.filter((i) => i.quantity > 0);
+  if (!wanted.length) throw new CapacityError("Choisis au moins un produit", "no_items");
+  const { rows: products } = await tx.sql`
+    SELECT id, name, price_cents, active FROM products WHERE id = ANY(${wanted.map((i) => i.product_id)}::int[])
+  `;
+  const byId = new Map(products.map((pr) => [pr.id, pr]));
+  const previous = new Map(existingLines.map((l) => [l.product_id, l]));
+  const lines = wanted.map((i) => {
+    const product = byId.get(i.product_id);
+    const kept = previous.get(i.product_id);
+    if (!product || (!product.active && !kept)) throw new CapacityError("Produit indisponible", "product_unavailable");
+    const unit_price_cents = kept ? kept.unit_price_cents : product.price_cents;
+    return { product_id: product.id, name: product.name, quantity: i.quantity, unit_price_cents };
+  });
+  return {
+    lines,
+    quantity: lines.reduce((sum, l) => sum + l.quantity, 0),
+    total_cents: lines.reduce((sum, l) => sum + l.quantity * l.unit_price_cents, 0)
+  };
+}
+
+async function replaceItems(tx, reservationId, lines) {
+  await tx.sql`DELETE FROM reservation_items WHERE reservation_id=${reservationId}`;
+  for (const l of lines) {
+    await tx.sql`
+      INSERT INTO reservation_items (reservation_id, product_id, quantity, unit_price_cents)
+      VALUES (${reservationId}, ${l.product_id}, ${l.quantity}, ${l.unit_price_cents})
     `;
-    const presenceId = inserted.rows[0].id;
+  }
+}
 
-    const ts = `${date} ${start_time}:00+00`;
-    const te = `${date} ${end_time}:00+00`;
+// Verrouille la présence du créneau puis vérifie places et stock de chaque produit.
+// À appeler dans une transaction: deux réservations concurrentes sur la même
+// présence sont ainsi sérialisées.
+// Les offres de liste d'attente en cours comptent comme des places prises, sauf
+// celle qui est en train d'être acceptée (claimEntryId).
+async function assertCapacity(tx, slotId, lines, excludeReservationId = null, claimEntryId = null) {
+  const { rows } = await tx.sql`
+    SELECT p.id, p.slot_capacity
+    FROM slots s
+    JOIN presences p ON p.id = s.presence_id
+    WHERE s.id = ${slotId}
+    FOR UPDATE OF p
+  `;
+  const presence = rows[0];
+  if (!presence) throw new CapacityError("Créneau introuvable", "slot_not_found");
+  const excludeId = excludeReservationId || 0;
 
-    await tx`
-      INSERT INTO slots (presence_id, start_at)
-      SELECT ${presenceId}, gs
-      FROM generate_series(
-        ${tx.unsafe(ts)}::timestamptz,
-        (${tx.unsafe(te)}::timestamptz - interval '15 minutes'),
-        interval '15 minutes'
-      ) AS gs
-      ON CONFLICT DO NOTHING
+  if (presence.slot_capacity != null) {
+    const { rows: c } = await tx.sql`
+      SELECT (
+        (SELECT COUNT(*) FROM reservations WHERE slot_id = ${slotId} AND id <> ${excludeId})
+        + (SELECT COUNT(*) FROM waitlist_entries
+           WHERE offered_slot_id = ${slotId} AND status = 'offered' AND offer_expires_at > NOW() AND id <> ${claimEntryId || 0})
+      )::int AS cnt
+    `;
+    if (c[0].cnt >= presence.slot_capacity) {
+      throw new CapacityError("Ce créneau est complet", "slot_full");
+    }
+  }
+  for (const line of lines) {
+    const { rows: st } = await tx.sql`
+      SELECT ps.stock, COALESCE((
+        SELECT SUM(ri.quantity)
+        FROM reservation_items ri
+        JOIN reservations r ON r.id = ri.reservation_id
+        JOIN slots s ON s.id = r.slot_id
+        WHERE s.presence_id = ${presence.id} AND ri.product_id = ${line.product_id} AND r.id <> ${excludeId}
+      ), 0)::int AS used
+      FROM presence_product_stock ps
+      WHERE ps.presence_id = ${presence.id} AND ps.product_id = ${line.product_id}
     `;
-    return inserted;
+    if (!st.length) continue;
+    const left = Math.max(st[0].stock - st[0].used, 0);
+    if (line.quantity > left) {
+      throw new CapacityError(
+        left > 0 ? `Stock insuffisant pour « ${line.name} »: il en reste ${left}` : `« ${line.name} » n’est plus disponible pour cette présence`,
+        "stock_exceeded",
+        { name: line.name, left }
+      );
+    }
+  }
+}
+
+// stocks: { [product_id]: nombre | null }
+async function replacePresenceStocks(tx, presenceId, stocks) {
+  await tx.sql`DELETE FROM presence_product_stock WHERE presence_id=${presenceId}`;
+  for (const [productId, stock] of Object.entries(stocks || {})) {
+    if (stock === null || stock === undefined) continue;
+    await tx.sql`
+      INSERT INTO presence_product_stock (presence_id, product_id, stock)
+      VALUES (${presenceId}, ${Number(productId)}, ${stock})
+    `;
+  }
+}
+
+export async function createPresence({
+  location, date, start_time, end_time,
+  slot_capacity = null, stocks = {},
+  slot_minutes = DEFAULT_SLOT_MINUTES, breaks = []
+}, { actor = SYSTEM_ACTOR } = {}) {
+  return transaction(async (tx) => {
+    const inserted = await tx.sql`
+      INSERT INTO presences (location, date, start_time, end_time, slot_capacity, slot_minutes, breaks, timezone)
+      VALUES (${location}, ${date}, ${start_time}, ${end_time}, ${slot_capacity},
+              ${slot_minutes}, ${JSON.stringify(breaks)}::jsonb, ${TIMEZONE})
+      RETURNING id
+    `;
+    const presenceId = inserted.rows[0].id;
+    await replacePresenceStocks(tx, presenceId, stocks);
+    await insertSlots(tx, presenceId, { date, start_time, end_time, slot_minutes, breaks, timezone: TIMEZONE });
+    await writeAudit(tx, { entity: "presence", entityId: presenceId, action: "create", actor, after: await presenceSnapshot(tx, presenceId) });
+    return presenceId;
   });
-  return rows[0].id;
 }
 
-export async function listUpcomingSlots({ dateFilter = null, locationFilter = "" } = {}) {
-  await ensureSchema();
+// Complet: plus de place dans le créneau, ou plus aucun produit commandable
+function upcomingSlotsQuery({ dateFilter = null, locationFilter = "", presenceId = null, availableOnly = false }) {
   let q = `
-    SELECT s.id AS slot_id, s.start_at, p.location, p.date
+    SELECT s.id AS slot_id, s.start_at, p.location, p.date, p.id AS presence_id,
+           p.slot_capacity,
+           COALESCE(sr.cnt, 0)::int AS reservations_count,
+           ((p.slot_capacity IS NOT NULL AND COALESCE(sr.cnt, 0) >= p.slot_capacity)
+             OR NOT COALESCE(pa.can_order, FALSE)) AS is_full
     FROM slots s
     JOIN presences p ON p.id = s.presence_id
+    LEFT JOIN (
+      SELECT slot_id, COUNT(*) AS cnt FROM reservations GROUP BY slot_id
+    ) sr ON sr.slot_id = s.id
+    LEFT JOIN (
+      SELECT a.presence_id, bool_or(a.remaining IS NULL OR a.remaining > 0) AS can_order
+      FROM (${PRODUCT_AVAILABILITY}) a
+      GROUP BY a.presence_id
+    ) pa ON pa.presence_id = p.id
     WHERE s.start_at >= NOW()
   `;
   const params = [];
   if (dateFilter) {
     params.push(dateFilter);
-    q += ` AND s.start_at::date = $${params.length}`;
+    q += ` AND p.date = $${params.length}`;
   }
   if (locationFilter) {
     params.push(`%${locationFilter}%`);
     q += ` AND p.location ILIKE $${params.length}`;
   }
-  q += ` ORDER BY p.date ASC, p.location ASC, s.start_at ASC`;
+  if (presenceId) {
+    params.push(presenceId);
+    q += ` AND p.id = $${params.length}`;
+  }
+  if (availableOnly) {
+    q += ` AND (p.slot_capacity IS NULL OR COALESCE(sr.cnt, 0) < p.slot_capacity) AND COALESCE(pa.can_order, FALSE)`;
+  }
+  q += ` ORDER BY p.date ASC, p.location ASC, s.start_at ASC, s.id ASC`;
+  return { q, params };
+}
+
+export async function listUpcomingSlots(filters = {}) {
+  const { q, params } = upcomingSlotsQuery(filters);
   const { rows } = await sql.query(q, params);
   return rows;
 }
 
+export async function pageUpcomingSlots(filters, page) {
+  const { q, params } = upcomingSlotsQuery(filters);
+  return paginate(q, params, page);
+}
+
 export async function getSlotById(slotId) {
-  await ensureSchema();
   const { rows } = await sql`
-    SELECT s.*, p.location, p.date
+    SELECT s.*, p.location, p.date, p.slot_capacity,
+      (SELECT COUNT(*) FROM reservations r WHERE r.slot_id = s.id)::int AS reservations_count
     FROM slots s
     JOIN presences p ON p.id = s.presence_id
     WHERE s.id = ${slotId}
     LIMIT 1
   `;
-  return rows[0] || null;
+  const slot = rows[0];
+  if (!slot) return null;
+  slot.products = await listProductAvailability([slot.presence_id]);
+  return slot;
 }
 
-export async function createReservation({ slot_id, first_name, last_name, phone, quantity, comment, token }) {
-  await ensureSchema();
-  const { rows } = await sql`
-    INSERT INTO reservations (slot_id, first_name, last_name, phone, quantity, comment, token)
-    VALUES (${slot_id}, ${first_name}, ${last_name}, ${phone}, ${quantity}, ${comment}, ${token})
-    RETURNING id
+// Client d'un numéro (E.164), créé au besoin; nom et email suivent la dernière réservation
+async function upsertCustomer(tx, { first_name, last_name, phone, email }) {
+  const { rows } = await tx.sql`SELECT customer_id FROM customer_phones WHERE phone=${phone} FOR UPDATE`;
+  if (rows[0]) {
+    await tx.sql`
+      UPDATE customers SET first_name=${first_name}, last_name=${last_name}, email=COALESCE(${email}, email), updated_at=NOW()
+      WHERE id=${rows[0].customer_id}
+    `;
+    return rows[0].customer_id;
+  }
+  const { rows: created } = await tx.sql`
+    INSERT INTO customers (first_name, last_name, email) VALUES (${first_name}, ${last_name}, ${email}) RETURNING id
   `;
-  return rows[0].id;
+  // Numéro enregistré entre-temps par une autre réservation: on rejoint ce client
+  const { rows: linked } = await tx.sql`
+    INSERT INTO customer_phones (phone, customer_id) VALUES (${phone}, ${created[0].id})
+    ON CONFLICT (phone) DO NOTHING
+    RETURNING customer_id
+  `;
+  if (linked[0]) return created[0].id;
+  await tx.sql`DELETE FROM customers WHERE id=${created[0].id}`;
+  return upsertCustomer(tx, { first_name, last_name, phone, email });
+}
+
+// items: [{ product_id, quantity }]
+// waitlistEntryId: réservation faite depuis une offre de liste d'attente (place réservée)
+export async function createReservation({ slot_id, first_name, last_name, phone, email = null, items, comment, token, language = "fr" }, { actor = SYSTEM_ACTOR, waitlistEntryId = null } = {}) {
+  return transaction(async (tx) => {
+    const order = await resolveItems(tx, items);
+    await assertCapacity(tx, slot_id, order.lines, null, waitlistEntryId);
+    const customerId = await upsertCustomer(tx, { first_name, last_name, phone, email });
+    const { rows } = await tx.sql`
+      INSERT INTO reservations (slot_id, customer_id, first_name, last_name, phone, email, quantity, total_cents, comment, token, language)
+      VALUES (${slot_id}, ${customerId}, ${first_name}, ${last_name}, ${phone}, ${email}, ${order.quantity}, ${order.total_cents}, ${comment}, ${token}, ${language})
+      RETURNING id
+    `;
+    await replaceItems(tx, rows[0].id, order.lines);
+    await tx.sql`UPDATE reservations SET payment_reference=${referenceForId(rows[0].id)} WHERE id=${rows[0].id}`;
+    if (waitlistEntryId) {
+      await tx.sql`UPDATE waitlist_entries SET status='claimed', reservation_id=${rows[0].id} WHERE id=${waitlistEntryId}`;
+    }
+    const after = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await writeAudit(tx, { entity: "reservation", entityId: rows[0].id, action: "create", actor, after });
+    return rows[0].id;
+  });
 }
 
 export async function getReservationByToken(token) {
-  await ensureSchema();
   const { rows } = await sql`
-    SELECT r.*, s.start_at, p.location, p.date
+    SELECT r.*, s.start_at, s.presence_id, p.location, p.date, p.slot_minutes
     FROM reservations r
     JOIN slots s ON s.id = r.slot_id
     JOIN presences p ON p.id = s.presence_id
     WHERE r.token = ${token}
     LIMIT 1
   `;
-  return rows[0] || null;
+  const reservation = rows[0];
+  if (!reservation) return null;
+  reservation.items = await listReservationItems(reservation.id);
+  reservation.amount_paid_cents = await sumPayments(reservation.id);
+  return reservation;
 }
 
-export async function updateReservation(token, { first_name, last_name, phone, quantity, comment }) {
-  await ensureSchema();
-  await sql`
-    UPDATE reservations
-    SET first_name=${first_name}, last_name=${last_name}, phone=${phone}, quantity=${quantity}, comment=${comment}
-    WHERE token=${token}
+export async function listReservationItems(reservationId) {
+  const { rows } = await sql`
+    SELECT ri.product_id, ri.quantity, ri.unit_price_cents, pr.name,
+           (ri.quantity * ri.unit_price_cents)::int AS line_cents
+    FROM reservation_items ri
+    JOIN products pr ON pr.id = ri.product_id
+    WHERE ri.reservation_id = ${reservationId}
+    ORDER BY pr.sort_order, pr.id
   `;
+  return rows;
+}
+
+// language: null = inchangée; slot_id: null = même créneau, sinon déplacement
+// (places et stock vérifiés sur le nouveau créneau, prix des lignes conservés)
+export async function updateReservation(token, { first_name, last_name, phone, email = null, items, comment, language = null, slot_id = null }, { actor = SYSTEM_ACTOR } = {}) {
+  await transaction(async (tx) => {
+    const { rows } = await tx.sql`SELECT id, slot_id FROM reservations WHERE token=${token}`;
+    const current = rows[0];
+    if (!current) return;
+    const slotId = slot_id || current.slot_id;
+    const before = (await reservationSnapshots(tx, { ids: [current.id] })).get(current.id);
+    const { rows: existing } = await tx.sql`
+      SELECT product_id, unit_price_cents FROM reservation_items WHERE reservation_id=${current.id}
+    `;
+    const order = await resolveItems(tx, items, existing);
+    await assertCapacity(tx, slotId, order.lines, current.id);
+    const customerId = await upsertCustomer(tx, { first_name, last_name, phone, email });
+    await tx.sql`
+      UPDATE reservations
+      SET slot_id=${slotId}, customer_id=${customerId}, first_name=${first_name}, last_name=${last_name}, phone=${phone}, email=${email},
+          quantity=${order.quantity}, total_cents=${order.total_cents}, comment=${comment}, language=COALESCE(${language}, language)
+      WHERE id=${current.id}
+    `;
+    await replaceItems(tx, current.id, order.lines);
+    const after = (await reservationSnapshots(tx, { ids: [current.id] })).get(current.id);
+    await writeAudit(tx, { entity: "reservation", entityId: current.id, action: "update", actor, before, after });
+  });
 }
 
-export async function deleteReservationByToken(token) {
-  await ensureSchema();
-  await sql`DELETE FROM reservations WHERE token=${token}`;
+// Réservations à venir liées à un email ou à un téléphone (9 derniers chiffres,
+// pour accepter 0470… comme +32 470…)
+export async function findUpcomingReservationsByContact({ email = null, phone = null }) {
+  const digits = phone ? String(phone).replace(/\D/g, "").slice(-9) : null;
+  const { rows } = await sql`
+    SELECT r.*, s.start_at, p.location, p.date
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE s.start_at >= NOW()
+      AND r.email IS NOT NULL
+      AND (
+        (${email}::text IS NOT NULL AND lower(r.email) = lower(${email}::text))
+        OR (${digits}::text IS NOT NULL AND right(regexp_replace(r.phone, '[^0-9]', '', 'g'), 9) = ${digits}::text)
+      )
+    ORDER BY s.start_at ASC
+  `;
+  return rows;
+}
+
+export async function deleteReservationByToken(token, { actor = SYSTEM_ACTOR, note = null } = {}) {
+  await transaction(async (tx) => {
+    const { rows } = await tx.sql`SELECT id FROM reservations WHERE token=${token} FOR UPDATE`;
+    if (!rows.length) return;
+    const before = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await tx.sql`DELETE FROM reservations WHERE id=${rows[0].id}`;
+    await writeAudit(tx, { entity: "reservation", entityId: rows[0].id, action: "delete", actor, before, note });
+  });
 }
 
-export async function listReservations({ date = null, location = "" } = {}) {
-  await ensureSchema();
+// Check-in au stand
+export async function markCollected(token, collectedBy, { actor = SYSTEM_ACTOR } = {}) {
+  await transaction(async (tx) => {
+    const { rows } = await tx.sql`SELECT id FROM reservations WHERE token = ${token} AND collected_at IS NULL FOR UPDATE`;
+    if (!rows.length) return;
+    const before = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await tx.sql`UPDATE reservations SET collected_at = NOW(), collected_by = ${collectedBy} WHERE id = ${rows[0].id}`;
+    const after = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await writeAudit(tx, { entity: "reservation", entityId: rows[0].id, action: "update", actor, before, after, note: "Retrait au stand" });
+  });
+}
+export async function unmarkCollected(token, { actor = SYSTEM_ACTOR } = {}) {
+  await transaction(async (tx) => {
+    const { rows } = await tx.sql`SELECT id FROM reservations WHERE token = ${token} AND collected_at IS NOT NULL FOR UPDATE`;
+    if (!rows.length) return;
+    const before = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await tx.sql`UPDATE reservations SET collected_at = NULL, collected_by = NULL WHERE id = ${rows[0].id}`;
+    const after = (await reservationSnapshots(tx, { ids: [rows[0].id] })).get(rows[0].id);
+    await writeAudit(tx, { entity: "reservation", entityId: rows[0].id, action: "update", actor, before, after, note: "Retrait annulé" });
+  });
+}
+
+// Recherche par nom ou téléphone pour le check-in (sans QR code)
+export async function searchReservationsForCheckin({ q, date = null }) {
+  const pattern = `%${String(q).trim()}%`;
+  // Téléphones en E.164: "0470…" est cherché comme "470…"
+  const digits = String(q).replace(/[^0-9]/g, "").replace(/^0+/, "");
+  const { rows } = await sql`
+    SELECT r.token, r.first_name, r.last_name, r.phone, r.quantity, r.collected_at, s.start_at, p.location, p.date
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE (${date}::date IS NULL OR p.date = ${date}::date)
+      AND ((r.first_name || ' ' || r.last_name) ILIKE ${pattern}
+        OR (r.last_name || ' ' || r.first_name) ILIKE ${pattern}
+        OR (length(${digits}::text) >= 4 AND regexp_replace(r.phone, '[^0-9]', '', 'g') LIKE ${"%" + digits + "%"}))
+    ORDER BY s.start_at ASC
+    LIMIT 30
+  `;
+  return rows;
+}
+
+// Retirées / en attente par créneau (filtre par jour ou par présence)
+export async function listCollectionBySlot({ date = null, presenceId = null } = {}) {
+  const { rows } = await sql`
+    SELECT s.id AS slot_id, s.start_at, p.id AS presence_id, p.location,
+           COUNT(r.id)::int AS reservations_count,
+           COUNT(r.collected_at)::int AS collected_count
+    FROM slots s
+    JOIN presences p ON p.id = s.presence_id
+    JOIN reservations r ON r.slot_id = s.id
+    WHERE (${date}::date IS NULL OR p.date = ${date}::date)
+      AND (${presenceId}::int IS NULL OR p.id = ${presenceId}::int)
+    GROUP BY s.id, s.start_at, p.id, p.location
+    ORDER BY s.start_at ASC, p.location ASC
+  `;
+  return rows;
+}
+
+// limit: null = toutes les lignes (exports)
+// payment: "unpaid" | "partial" | "paid" | "overpaid" (réservations payantes uniquement)
+function reservationsQuery({ date = null, location = "", presenceId = null, payment = null }) {
   let q = `
-    SELECT r.id, r.first_name, r.last_name, r.phone, r.quantity, r.comment, r.created_at,
-           s.start_at, p.location, p.date, r.token
+    SELECT * FROM (
+    SELECT r.id, r.customer_id, r.first_name, r.last_name, r.phone, r.email, r.quantity, r.total_cents, r.comment, r.created_at,
+           r.slot_id, s.presence_id, s.start_at, p.location, p.date, r.token, r.payment_reference, r.collected_at, r.collected_by,
+           COALESCE((SELECT SUM(pm.amount_cents) FROM payments pm WHERE pm.reservation_id = r.id), 0)::int AS amount_paid_cents,
+           (SELECT string_agg(DISTINCT pm.method, ',') FROM payments pm WHERE pm.reservation_id = r.id) AS payment_methods,
+           (SELECT string_agg(ri.quantity || '× ' || pr.name, ', ' ORDER BY pr.sort_order, pr.id)
+            FROM reservation_items ri JOIN products pr ON pr.id = ri.product_id
+            WHERE ri.reservation_id = r.id) AS items_label,
+           (SELECT json_agg(json_build_object('product_id', pr.id, 'name', pr.name, 'quantity', ri.quantity, 'unit_price_cents', ri.unit_price_cents) ORDER BY pr.sort_order, pr.id)
+            FROM reservation_items ri JOIN products pr ON pr.id = ri.product_id
+            WHERE ri.reservation_id = r.id) AS items
     FROM reservations r
     JOIN slots s ON s.id = r.slot_id
     JOIN presences p ON p.id = s.presence_id
@@ -151,26 +531,80 @@ export async function listReservations({ date = null, location = "" } = {}) {
     params.push(`%${location}%`); 
     q += ` AND p.location ILIKE $${params.length}`; 
   }
+  if (presenceId) {
+    params.push(presenceId);
+    q += ` AND p.id = $${params.length}`;
+  }
+  q += `) l`;
+  const paymentFilters = {
+    unpaid: "l.total_cents > 0 AND l.amount_paid_cents = 0",
+    partial: "l.amount_paid_cents > 0 AND l.amount_paid_cents < l.total_cents",
+    paid: "l.total_cents > 0 AND l.amount_paid_cents = l.total_cents",
+    overpaid: "l.amount_paid_cents > l.total_cents"
+  };
+  if (paymentFilters[payment]) q += ` WHERE ${paymentFilters[payment]}`;
+  q += ` ORDER BY l.date ASC, l.start_at ASC, l.id ASC`;
+  return { q, params };
+}
+
+export async function listReservations({ limit = 100, ...filters } = {}) {
+  let { q, params } = reservationsQuery(filters);
   // Limiter les résultats pour éviter les timeouts
-  q += ` ORDER BY p.date ASC, s.start_at ASC LIMIT 100`;
+  if (limit) {
+    params.push(limit);
+    q += ` LIMIT $${params.length}`;
+  }
   const { rows } = await sql.query(q, params);
   return rows;
 }
 
+export async function pageReservations(filters, page) {
+  const { q, params } = reservationsQuery(filters);
+  return paginate(q, params, page);
+}
+
+export async function listReservationsForPresence(presenceId) {
+  const { rows } = await sql`
+    SELECT r.*, s.start_at, p.location, p.date
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE s.presence_id = ${presenceId}
+    ORDER BY s.start_at ASC, r.created_at ASC
+  `;
+  return rows;
+}
+
+// Créneaux proposés dans les formulaires admin (passés compris): présences depuis `from`,
+// plus celle du créneau `slotId` (réservation modifiée) même si elle est plus ancienne
+export async function listSlotChoices({ from, slotId = null }) {
+  const { rows } = await sql`
+    SELECT s.id AS slot_id, s.start_at, s.presence_id, p.location, p.date, p.slot_capacity,
+      (SELECT COUNT(*) FROM reservations r WHERE r.slot_id = s.id)::int AS reservations_count
+    FROM slots s
+    JOIN presences p ON p.id = s.presence_id
+    WHERE p.date >= ${from}
+      OR p.id = (SELECT presence_id FROM slots WHERE id = ${slotId}::int)
+    ORDER BY p.date, p.start_time, p.id, s.start_at
+  `;
+  return rows;
+}
+
 export async function listPresences() {
-  await ensureSchema();
   const { rows } = await sql`SELECT * FROM presences ORDER BY date ASC, start_time ASC LIMIT 50`;
   return rows;
 }
 
 // Gestion présences
 export async function getPresenceById(id) {
-  await ensureSchema();
   const { rows } = await sql`SELECT * FROM presences WHERE id=${id} LIMIT 1`;
-  return rows[0] || null;
+  const presence = rows[0];
+  if (!presence) return null;
+  const { rows: stocks } = await sql`SELECT product_id, stock FROM presence_product_stock WHERE presence_id=${id}`;
+  presence.stocks = Object.fromEntries(stocks.map((st) => [st.product_id, st.stock]));
+  return presence;
 }
 export async function countReservationsForPresence(presenceId) {
-  await ensureSchema();
   const { rows } = await sql`
     SELECT COUNT(*)::int AS cnt
     FROM reservations r
@@ -179,45 +613,878 @@ export async function countReservationsForPresence(presenceId) {
   `;
   return rows[0]?.cnt || 0;
 }
-export async function updatePresenceWithRegeneration(presenceId, { location, date, start_time, end_time }) {
-  await ensureSchema();
-  await sql.begin(async (tx) => {
-    await tx`
+// Levée quand le plan confirmé par l'admin ne correspond plus à l'état actuel
+export class PlanChangedError extends Error {
+  constructor(plan) {
+    super("Les réservations ont changé depuis l'aperçu");
+    this.name = "PlanChangedError";
+    this.plan = plan;
+  }
+}
+
+// Calcule ce que deviendraient les créneaux et réservations d'une présence
+async function loadSlotRemapPlan(client, presenceId, { start_time, end_time, slot_minutes, breaks, slot_capacity }) {
+  const { rows: slots } = await client.query(
+    `SELECT s.id, s.start_at, to_char(s.start_at AT TIME ZONE p.timezone, 'HH24:MI') AS hm
+     FROM slots s
+     JOIN presences p ON p.id = s.presence_id
+     WHERE s.presence_id = $1
+     ORDER BY s.start_at`,
+    [presenceId]
+  );
+  const { rows: reservations } = await client.query(
+    `SELECT r.*, s.start_at, to_char(s.start_at AT TIME ZONE p.timezone, 'HH24:MI') AS hm
+     FROM reservations r
+     JOIN slots s ON s.id = r.slot_id
+     JOIN presences p ON p.id = s.presence_id
+     WHERE s.presence_id = $1
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [presenceId]
+  );
+  const newTimes = computeSlotTimes({ start_time, end_time, slot_minutes, breaks });
+  return { ...planSlotRemap({ slots, reservations, newTimes, slot_capacity }), reservations };
+}
+
+export async function previewPresenceEdit(presenceId, fields) {
+  const plan = await loadSlotRemapPlan(sql, presenceId, fields);
+  return { ...plan, key: planKey(plan) };
+}
+
+// Met à jour la présence sans supprimer les réservations: les créneaux qui
+// existent encore sont conservés (et déplacés à la nouvelle date), les autres
+// sont recréés; seules les réservations orphelines du plan sont supprimées.
+export async function updatePresenceWithRegeneration(presenceId, {
+  location, date, start_time, end_time,
+  slot_capacity = null, stocks = {},
+  slot_minutes = DEFAULT_SLOT_MINUTES, breaks = []
+}, { expectedKey = null, actor = SYSTEM_ACTOR } = {}) {
+  return transaction(async (tx) => {
+    const { rows: locked } = await tx.sql`SELECT timezone FROM presences WHERE id=${presenceId} FOR UPDATE`;
+    const presenceBefore = await presenceSnapshot(tx, presenceId);
+    const reservationsBefore = await reservationSnapshots(tx, { presenceId });
+    const timezone = locked[0]?.timezone || TIMEZONE;
+    const plan = await loadSlotRemapPlan(tx, presenceId, { start_time, end_time, slot_minutes, breaks, slot_capacity });
+    const key = planKey(plan);
+    if (expectedKey !== null && expectedKey !== key) throw new PlanChangedError({ ...plan, key });
+
+    await tx.sql`
       UPDATE presences
-      SET location=${location}, date=${date}, start_time=${start_time}, end_time=${end_time}
+      SET location=${location}, date=${date}, start_time=${start_time}, end_time=${end_time},
+          slot_capacity=${slot_capacity},
+          slot_minutes=${slot_minutes}, breaks=${JSON.stringify(breaks)}::jsonb
       WHERE id=${presenceId}
     `;
-    await tx`DELETE FROM slots WHERE presence_id=${presenceId}`;
-    const ts = `${date} ${start_time}:00+00`;
-    const te = `${date} ${end_time}:00+00`;
-    await tx`
-      INSERT INTO slots (presence_id, start_at)
-      SELECT ${presenceId}, gs
-      FROM generate_series(
-        ${tx.unsafe(ts)}::timestamptz,
-        (${tx.unsafe(te)}::timestamptz - interval '15 minutes'),
-        interval '15 minutes'
-      ) AS gs
-      ON CONFLICT DO NOTHING
-    `;
+    await replacePresenceStocks(tx, presenceId, stocks);
+
+    const slotIdByHm = new Map();
+    const startByHm = {};
+    for (const slot of plan.kept) {
+      const { rows } = await tx.sql`
+        UPDATE slots SET start_at = (${date}::date + ${slot.hm}::time) AT TIME ZONE ${timezone}
+        WHERE id=${slot.id}
+        RETURNING start_at
+      `;
+      slotIdByHm.set(slot.hm, slot.id);
+      startByHm[slot.hm] = rows[0].start_at;
+    }
+    for (const hm of plan.created) {
+      const { rows } = await tx.sql`
+        INSERT INTO slots (presence_id, start_at)
+        VALUES (${presenceId}, (${date}::date + ${hm}::time) AT TIME ZONE ${timezone})
+        RETURNING id, start_at
+      `;
+      slotIdByHm.set(hm, rows[0].id);
+      startByHm[hm] = rows[0].start_at;
+    }
+    for (const move of plan.moves) {
+      await tx.sql`UPDATE reservations SET slot_id=${slotIdByHm.get(move.to)} WHERE id=${move.reservation.id}`;
+    }
+    const removedIds = plan.removed.map((s) => s.id);
+    if (removedIds.length) {
+      await tx.sql`DELETE FROM slots WHERE id = ANY(${removedIds}::int[])`;
+    }
+    await writeAudit(tx, { entity: "presence", entityId: presenceId, action: "update", actor, before: presenceBefore, after: await presenceSnapshot(tx, presenceId) });
+    await auditReservationCascade(tx, reservationsBefore, { presenceId, actor, note: `Modification de la présence #${presenceId}` });
+    return { ...plan, key, startByHm };
   });
 }
-export async function deletePresence(presenceId) {
-  await ensureSchema();
-  await sql`DELETE FROM presences WHERE id=${presenceId}`;
+export async function deletePresence(presenceId, { actor = SYSTEM_ACTOR } = {}) {
+  await transaction(async (tx) => {
+    const before = await presenceSnapshot(tx, presenceId);
+    if (!before) return;
+    const reservationsBefore = await reservationSnapshots(tx, { presenceId });
+    await tx.sql`DELETE FROM presences WHERE id=${presenceId}`;
+    await writeAudit(tx, { entity: "presence", entityId: presenceId, action: "delete", actor, before });
+    await auditReservationCascade(tx, reservationsBefore, { presenceId, deleted: true, actor, note: `Suppression de la présence #${presenceId}` });
+  });
 }
-export async function listPresencesWithCounts() {
-  await ensureSchema();
-  const { rows } = await sql`
+function presencesWithCountsQuery({ id = null, from = null, to = null, location = "" }) {
+  let q = `
     SELECT p.*,
       COALESCE((
         SELECT COUNT(*) FROM slots s JOIN reservations r ON r.slot_id = s.id WHERE s.presence_id = p.id
       ), 0)::int AS reservations_count,
       COALESCE((
         SELECT COUNT(*) FROM slots s WHERE s.presence_id = p.id
-      ), 0)::int AS slots_count
+      ), 0)::int AS slots_count,
+      COALESCE((
+        SELECT SUM(r.quantity) FROM slots s JOIN reservations r ON r.slot_id = s.id WHERE s.presence_id = p.id
+      ), 0)::int AS bottles_reserved,
+      COALESCE((
+        SELECT COUNT(r.collected_at) FROM slots s JOIN reservations r ON r.slot_id = s.id WHERE s.presence_id = p.id
+      ), 0)::int AS collected_count,
+      (SELECT json_agg(json_build_object('name', a.name, 'stock', a.stock, 'remaining', a.remaining) ORDER BY a.sort_order, a.product_id)
+       FROM (${PRODUCT_AVAILABILITY}) a
+       WHERE a.presence_id = p.id AND a.stock IS NOT NULL) AS stock_summary,
+      (SELECT COUNT(*) FROM waitlist_entries w WHERE w.presence_id = p.id AND w.status = 'waiting')::int AS waitlist_count,
+      (SELECT COUNT(*) FROM waitlist_entries w WHERE w.presence_id = p.id AND w.status = 'offered')::int AS waitlist_offered
     FROM presences p
-    ORDER BY p.date ASC, p.start_time ASC
+    WHERE 1=1
+  `;
+  const params = [];
+  if (id) {
+    params.push(id);
+    q += ` AND p.id = $${params.length}`;
+  }
+  if (from) {
+    params.push(from);
+    q += ` AND p.date >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    q += ` AND p.date <= $${params.length}`;
+  }
+  if (location) {
+    params.push(`%${location}%`);
+    q += ` AND p.location ILIKE $${params.length}`;
+  }
+  q += ` ORDER BY p.date ASC, p.start_time ASC, p.id ASC`;
+  return { q, params };
+}
+
+export async function listPresencesWithCounts(filters = {}) {
+  const { q, params } = presencesWithCountsQuery(filters);
+  const { rows } = await sql.query(q, params);
+  return rows;
+}
+
+export async function pagePresences(filters, page) {
+  const { q, params } = presencesWithCountsQuery(filters);
+  return paginate(q, params, page);
+}
+
+// Flux iCal: présences des `days` derniers jours et à venir, et présences
+// supprimées (retrouvées dans le journal d'audit) pour les publier annulées.
+// sequence = nombre de modifications, pour que les agendas mettent l'événement à jour.
+export async function listPresenceFeed({ days = 30 } = {}) {
+  const { rows: presences } = await sql`
+    SELECT p.id, p.location, p.date,
+      (p.date + p.start_time) AT TIME ZONE p.timezone AS starts_at,
+      (p.date + p.end_time) AT TIME ZONE p.timezone AS ends_at,
+      COALESCE(a.updates, 0)::int AS sequence,
+      a.changed_at AS updated_at
+    FROM presences p
+    LEFT JOIN (
+      SELECT entity_id, COUNT(*) FILTER (WHERE action = 'update') AS updates, MAX(created_at) AS changed_at
+      FROM audit_log WHERE entity = 'presence'
+      GROUP BY entity_id
+    ) a ON a.entity_id = p.id
+    WHERE p.date >= CURRENT_DATE - ${days}::int
+    ORDER BY starts_at ASC, p.id ASC
+  `;
+  const { rows: cancelled } = await sql`
+    SELECT d.entity_id AS id, d.before->>'location' AS location, d.before->>'date' AS date,
+      ((d.before->>'date')::date + (d.before->>'start_time')::time) AT TIME ZONE COALESCE(d.before->>'timezone', ${TIMEZONE}) AS starts_at,
+      ((d.before->>'date')::date + (d.before->>'end_time')::time) AT TIME ZONE COALESCE(d.before->>'timezone', ${TIMEZONE}) AS ends_at,
+      (SELECT COUNT(*) FROM audit_log u WHERE u.entity = 'presence' AND u.entity_id = d.entity_id AND u.action = 'update')::int + 1 AS sequence,
+      d.created_at AS updated_at
+    FROM audit_log d
+    WHERE d.entity = 'presence' AND d.action = 'delete'
+      AND (d.before->>'date')::date >= CURRENT_DATE - ${days}::int
+    ORDER BY starts_at ASC, d.id ASC
+  `;
+  return { presences, cancelled };
+}
+
+// Liste d'attente
+export async function createWaitlistEntry({ presence_id, slot_id = null, first_name, last_name, phone, email, token, language = "fr" }) {
+  const { rows } = await sql`
+    INSERT INTO waitlist_entries (presence_id, slot_id, first_name, last_name, phone, email, token, language)
+    VALUES (${presence_id}, ${slot_id}, ${first_name}, ${last_name}, ${phone}, ${email}, ${token}, ${language})
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+// Entrée avec son lieu, sa date, le créneau offert et sa position parmi les personnes en attente
+export async function getWaitlistEntryByToken(token) {
+  const { rows } = await sql`
+    SELECT w.*, p.location, p.date, ws.start_at AS slot_start_at, os.start_at AS offered_start_at,
+      (w.status = 'offered' AND w.offer_expires_at > NOW()) AS offer_active,
+      (SELECT COUNT(*) FROM waitlist_entries o
+       WHERE o.presence_id = w.presence_id AND o.status = 'waiting'
+         AND (o.created_at, o.id) <= (w.created_at, w.id))::int AS position
+    FROM waitlist_entries w
+    JOIN presences p ON p.id = w.presence_id
+    LEFT JOIN slots ws ON ws.id = w.slot_id
+    LEFT JOIN slots os ON os.id = w.offered_slot_id
+    WHERE w.token = ${token}
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+// Désinscription: une offre en cours est libérée pour la personne suivante
+export async function cancelWaitlistEntry(token) {
+  const { rows } = await sql`
+    UPDATE waitlist_entries SET status='cancelled'
+    WHERE token=${token} AND status IN ('waiting', 'offered')
+    RETURNING presence_id
+  `;
+  return rows[0]?.presence_id || null;
+}
+
+// Présences à venir qui ont des personnes en attente ou des offres arrivées à échéance
+export async function listPresencesWithWaitlist() {
+  const { rows } = await sql`
+    SELECT DISTINCT w.presence_id
+    FROM waitlist_entries w
+    JOIN presences p ON p.id = w.presence_id
+    WHERE w.status IN ('waiting', 'offered') AND p.date >= CURRENT_DATE
+    ORDER BY w.presence_id
+  `;
+  return rows.map((r) => r.presence_id);
+}
+
+// Attribue les places libres d'une présence aux personnes en attente, dans l'ordre
+// d'inscription. Les offres expirées sont d'abord closes (la personne perd son tour).
+// Sans limite par créneau, seul le stock peut manquer: une seule offre à la fois.
+// Renvoie les nouvelles offres, à envoyer par email.
+export async function processWaitlist(presenceId, { offerHours }) {
+  return transaction(async (tx) => {
+    const { rows: locked } = await tx.sql`SELECT id, slot_capacity FROM presences WHERE id=${presenceId} FOR UPDATE`;
+    if (!locked[0]) return [];
+    const capacity = locked[0].slot_capacity;
+    await tx.sql`
+      UPDATE waitlist_entries SET status='expired'
+      WHERE presence_id=${presenceId} AND status='offered' AND offer_expires_at <= NOW()
+    `;
+    // Créneau offert supprimé entre-temps: la personne garde sa place dans la file
+    await tx.sql`
+      UPDATE waitlist_entries SET status='waiting', offer_expires_at=NULL
+      WHERE presence_id=${presenceId} AND status='offered' AND offered_slot_id IS NULL
+    `;
+    await tx.sql`
+      UPDATE waitlist_entries w SET status='expired'
+      FROM slots s
+      WHERE s.id = w.slot_id AND w.presence_id=${presenceId} AND w.status='waiting' AND s.start_at <= NOW()
+    `;
+    const { rows: availability } = await tx.query(
+      `SELECT bool_or(a.remaining IS NULL OR a.remaining > 0) AS can_order FROM (${PRODUCT_AVAILABILITY}) a WHERE a.presence_id = $1`,
+      [presenceId]
+    );
+    if (!availability[0]?.can_order) return [];
+
+    const { rows: slots } = await tx.sql`
+      SELECT s.id, s.start_at,
+        (SELECT COUNT(*) FROM reservations r WHERE r.slot_id = s.id)::int AS reserved,
+        (SELECT COUNT(*) FROM waitlist_entries w WHERE w.offered_slot_id = s.id AND w.status = 'offered')::int AS held
+      FROM slots s
+      WHERE s.presence_id = ${presenceId} AND s.start_at > NOW()
+      ORDER BY s.start_at ASC
+    `;
+    const free = new Map(slots.map((sl) => [sl.id, capacity == null ? Infinity : capacity - sl.reserved - sl.held]));
+    let budget = capacity == null ? (slots.some((sl) => sl.held > 0) ? 0 : 1) : Infinity;
+
+    const { rows: waiting } = await tx.sql`
+      SELECT id, slot_id FROM waitlist_entries
+      WHERE presence_id=${presenceId} AND status='waiting'
+      ORDER BY created_at ASC, id ASC
+    `;
+    const offeredIds = [];
+    for (const entry of waiting) {
+      if (budget <= 0) break;
+      const slot = slots.find((sl) => (!entry.slot_id || sl.id === entry.slot_id) && free.get(sl.id) > 0);
+      if (!slot) continue;
+      // L'offre ne dure jamais au-delà du début du créneau
+      const expiresAt = new Date(Math.min(Date.now() + offerHours * 3600000, new Date(slot.start_at).getTime()));
+      await tx.sql`
+        UPDATE waitlist_entries SET status='offered', offered_slot_id=${slot.id}, offer_expires_at=${expiresAt.toISOString()}
+        WHERE id=${entry.id}
+      `;
+      free.set(slot.id, free.get(slot.id) - 1);
+      budget -= 1;
+      offeredIds.push(entry.id);
+    }
+    if (!offeredIds.length) return [];
+    const { rows: offers } = await tx.sql`
+      SELECT w.*, p.location, p.date, s.start_at AS offered_start_at
+      FROM waitlist_entries w
+      JOIN presences p ON p.id = w.presence_id
+      JOIN slots s ON s.id = w.offered_slot_id
+      WHERE w.id = ANY(${offeredIds}::int[])
+      ORDER BY w.created_at ASC, w.id ASC
+    `;
+    return offers;
+  });
+}
+
+// Diagnostic: aller-retour minimal avec la base
+export async function ping() {
+  await sql`SELECT 1`;
+}
+
+// Enregistre une tentative et indique si la limite est dépassée sur la fenêtre.
+// Le nettoyage se limite à la clé: chaque appelant a sa propre fenêtre.
+export async function hitRateLimit(key, { limit, windowSeconds }) {
+  await sql`DELETE FROM rate_limit_hits WHERE key = ${key} AND created_at < NOW() - make_interval(secs => ${windowSeconds})`;
+  await sql`INSERT INTO rate_limit_hits (key) VALUES (${key})`;
+  const { rows } = await sql`
+    SELECT COUNT(*)::int AS cnt FROM rate_limit_hits
+    WHERE key = ${key} AND created_at >= NOW() - make_interval(secs => ${windowSeconds})
+  `;
+  return rows[0].cnt > limit;
+}
+
+// Rappels: "day_before" = retrait demain (date locale de la présence),
+// "hours_before" = retrait dans les prochaines `hours` heures.
+export async function listReservationsDueForReminder(kind, { hours = 0 } = {}) {
+  let window;
+  if (kind === "day_before") {
+    window = `p.date = (NOW() AT TIME ZONE p.timezone)::date + 1`;
+  } else if (kind === "hours_before") {
+    window = `s.start_at > NOW() AND s.start_at <= NOW() + make_interval(hours => $2::int)`;
+  } else {
+    throw new Error(`Type de rappel inconnu: ${kind}`);
+  }
+  const { rows } = await sql.query(
+    `SELECT r.*, s.start_at, p.location, p.date
+     FROM reservations r
+     JOIN slots s ON s.id = r.slot_id
+     JOIN presences p ON p.id = s.presence_id
+     WHERE r.email IS NOT NULL
+       AND s.start_at > NOW()
+       AND ${window}
+       AND NOT EXISTS (
+         SELECT 1 FROM reminder_log l
+         WHERE l.reservation_id = r.id AND l.kind = $1 AND l.start_at = s.start_at
+       )
+     ORDER BY s.start_at ASC`,
+    kind === "hours_before" ? [kind, hours] : [kind]
+  );
+  return rows;
+}
+
+// Réserve l'envoi d'un rappel; false si un autre passage l'a déjà pris
+export async function claimReminder(reservationId, kind, startAt) {
+  const { rows } = await sql`
+    INSERT INTO reminder_log (reservation_id, kind, start_at)
+    VALUES (${reservationId}, ${kind}, ${startAt})
+    ON CONFLICT DO NOTHING
+    RETURNING reservation_id
+  `;
+  return rows.length > 0;
+}
+
+// Libère un rappel dont l'envoi a échoué, pour qu'il soit retenté
+export async function releaseReminder(reservationId, kind, startAt) {
+  await sql`
+    DELETE FROM reminder_log
+    WHERE reservation_id=${reservationId} AND kind=${kind} AND start_at=${startAt}
   `;
+}
+
+// kind: created | updated | cancelled; actor: client | admin
+export async function recordOrderEvents(events) {
+  for (const { kind, actor, reservation } of events) {
+    const { first_name, last_name, phone, email, quantity, comment, location, date, start_at } = reservation;
+    const snapshot = { first_name, last_name, phone, email, quantity, comment, location, date, start_at };
+    await sql`
+      INSERT INTO order_events (kind, actor, reservation)
+      VALUES (${kind}, ${actor}, ${JSON.stringify(snapshot)}::jsonb)
+    `;
+  }
+}
+
+export async function listUndigestedOrderEvents() {
+  const { rows } = await sql`SELECT * FROM order_events WHERE digested_at IS NULL ORDER BY created_at ASC`;
+  return rows;
+}
+
+export async function markOrderEventsDigested(ids) {
+  if (!ids.length) return;
+  await sql`UPDATE order_events SET digested_at = NOW() WHERE id = ANY(${ids}::int[])`;
+}
+
+// Catalogue produits
+export async function listProducts({ activeOnly = false } = {}) {
+  const { rows } = activeOnly
+    ? await sql`SELECT * FROM products WHERE active ORDER BY sort_order, id`
+    : await sql`SELECT * FROM products ORDER BY active DESC, sort_order, id`;
   return rows;
-}
\ No newline at end of file
+}
+
+export async function getProductById(id) {
+  const { rows } = await sql`SELECT * FROM products WHERE id=${id} LIMIT 1`;
+  return rows[0] || null;
+}
+
+export async function createProduct({ name, price_cents, sort_order = 0 }) {
+  const { rows } = await sql`
+    INSERT INTO products (name, price_cents, sort_order)
+    VALUES (${name}, ${price_cents}, ${sort_order})
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+// Le prix des réservations existantes ne change pas (prix figé par ligne)
+export async function updateProduct(id, { name, price_cents, sort_order, active }) {
+  await sql`
+    UPDATE products
+    SET name=${name}, price_cents=${price_cents}, sort_order=${sort_order}, active=${active}
+    WHERE id=${id}
+  `;
+}
+
+// Paiements
+async function sumPayments(reservationId) {
+  const { rows } = await sql`
+    SELECT COALESCE(SUM(amount_cents), 0)::int AS paid FROM payments WHERE reservation_id=${reservationId}
+  `;
+  return rows[0].paid;
+}
+
+export async function getReservationByReference(reference) {
+  const { rows } = await sql`
+    SELECT r.id, r.first_name, r.last_name, r.total_cents, r.payment_reference, r.token, p.location, p.date,
+           COALESCE((SELECT SUM(pm.amount_cents) FROM payments pm WHERE pm.reservation_id = r.id), 0)::int AS amount_paid_cents
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE r.payment_reference = ${reference}
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+export async function recordPayment({ reservation_id, amount_cents, method, booked_on = null, communication = null, counterparty = null }) {
+  const { rows } = await sql`
+    INSERT INTO payments (reservation_id, amount_cents, method, booked_on, communication, counterparty)
+    VALUES (${reservation_id}, ${amount_cents}, ${method}, COALESCE(${booked_on}::date, CURRENT_DATE), ${communication}, ${counterparty})
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+export async function deletePayment(id) {
+  await sql`DELETE FROM payments WHERE id=${id}`;
+}
+
+export async function listPaymentsForReservation(reservationId) {
+  const { rows } = await sql`SELECT * FROM payments WHERE reservation_id=${reservationId} ORDER BY booked_on, id`;
+  return rows;
+}
+
+// Rapproche des virements d'un extrait (voir parseBankStatement) des réservations
+// par communication structurée, et signale ceux déjà importés.
+export async function matchBankTransfers(transfers) {
+  const references = [...new Set(transfers.map((t) => t.reference).filter(Boolean))];
+  const keys = transfers.map((t) => t.import_key);
+  const [{ rows: reservations }, { rows: imported }] = await Promise.all([
+    sql`
+      SELECT r.id, r.first_name, r.last_name, r.total_cents, r.payment_reference,
+             COALESCE((SELECT SUM(pm.amount_cents) FROM payments pm WHERE pm.reservation_id = r.id), 0)::int AS amount_paid_cents
+      FROM reservations r
+      WHERE r.payment_reference = ANY(${references}::text[])
+    `,
+    sql`SELECT import_key FROM payments WHERE import_key = ANY(${keys}::text[])`
+  ]);
+  const byReference = new Map(reservations.map((r) => [r.payment_reference, r]));
+  const importedKeys = new Set(imported.map((p) => p.import_key));
+  return transfers.map((t) => ({
+    ...t,
+    reservation: (t.reference && byReference.get(t.reference)) || null,
+    duplicate: importedKeys.has(t.import_key)
+  }));
+}
+
+// Enregistre les virements (non rapprochés compris, pour attribution manuelle);
+// un virement déjà importé est ignoré grâce à import_key.
+export async function importBankTransfers(transfers) {
+  const matched = await matchBankTransfers(transfers);
+  let inserted = 0;
+  await transaction(async (tx) => {
+    for (const t of matched) {
+      const { rowCount } = await tx.sql`
+        INSERT INTO payments (reservation_id, amount_cents, method, booked_on, communication, counterparty, import_key)
+        VALUES (${t.reservation?.id || null}, ${t.amount_cents}, 'transfer', ${t.date}, ${t.communication}, ${t.counterparty}, ${t.import_key})
+        ON CONFLICT (import_key) DO NOTHING
+      `;
+      inserted += rowCount;
+    }
+  });
+  return { inserted, matched: matched.filter((t) => t.reservation && !t.duplicate).length };
+}
+
+export async function listUnmatchedPayments() {
+  const { rows } = await sql`
+    SELECT * FROM payments WHERE reservation_id IS NULL ORDER BY booked_on DESC, id DESC
+  `;
+  return rows;
+}
+
+export async function assignPayment(paymentId, reservationId) {
+  await sql`UPDATE payments SET reservation_id=${reservationId} WHERE id=${paymentId}`;
+}
+// Comptes admin
+export async function countAdminUsers() {
+  const { rows } = await sql`SELECT COUNT(*)::int AS cnt FROM admin_users`;
+  return rows[0].cnt;
+}
+
+export async function listAdminUsers() {
+  const { rows } = await sql`
+    SELECT id, name, email, role, active, last_login_at, created_at, password_hash IS NOT NULL AS has_password
+    FROM admin_users
+    ORDER BY active DESC, lower(name)
+  `;
+  return rows;
+}
+
+export async function getAdminUserById(id) {
+  const { rows } = await sql`SELECT * FROM admin_users WHERE id=${id} LIMIT 1`;
+  return rows[0] || null;
+}
+
+export async function getAdminUserByEmail(email) {
+  const { rows } = await sql`SELECT * FROM admin_users WHERE lower(email) = lower(${email}) LIMIT 1`;
+  return rows[0] || null;
+}
+
+export async function createAdminUser({ name, email, role, password_hash = null }) {
+  const { rows } = await sql`
+    INSERT INTO admin_users (name, email, role, password_hash)
+    VALUES (${name}, ${email}, ${role}, ${password_hash})
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+// Désactiver un compte ferme aussi ses sessions
+export async function updateAdminUser(id, { name, email, role, active }) {
+  await sql`
+    UPDATE admin_users
+    SET name=${name}, email=${email}, role=${role}, active=${active},
+        session_version = session_version + CASE WHEN active AND NOT ${active}::boolean THEN 1 ELSE 0 END
+    WHERE id=${id}
+  `;
+}
+
+// Nombre d'organisateurs actifs hors `excludeId`, pour ne jamais retirer le dernier
+export async function countActiveOrganisers(excludeId = null) {
+  const { rows } = await sql`
+    SELECT COUNT(*)::int AS cnt FROM admin_users
+    WHERE role = 'organiser' AND active AND (${excludeId}::int IS NULL OR id <> ${excludeId})
+  `;
+  return rows[0].cnt;
+}
+
+// Nouveau mot de passe: les autres sessions du compte sont fermées
+export async function setAdminPassword(id, passwordHash) {
+  const { rows } = await sql`
+    UPDATE admin_users SET password_hash=${passwordHash}, session_version = session_version + 1
+    WHERE id=${id}
+    RETURNING session_version
+  `;
+  return rows[0]?.session_version ?? null;
+}
+
+export async function touchAdminLogin(id) {
+  await sql`UPDATE admin_users SET last_login_at = NOW() WHERE id=${id}`;
+}
+
+// Liens de réinitialisation / d'invitation (usage unique)
+export async function createPasswordReset(userId, tokenHash, ttlSeconds) {
+  await sql`DELETE FROM password_resets WHERE expires_at < NOW() OR used_at IS NOT NULL`;
+  await sql`
+    INSERT INTO password_resets (token_hash, user_id, expires_at)
+    VALUES (${tokenHash}, ${userId}, NOW() + make_interval(secs => ${ttlSeconds}))
+  `;
+}
+
+export async function getPasswordReset(tokenHash) {
+  const { rows } = await sql`
+    SELECT pr.user_id, u.name, u.email
+    FROM password_resets pr
+    JOIN admin_users u ON u.id = pr.user_id
+    WHERE pr.token_hash=${tokenHash} AND pr.used_at IS NULL AND pr.expires_at > NOW() AND u.active
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+// Consomme le lien et invalide les autres liens du compte; null si expiré ou déjà utilisé
+export async function consumePasswordReset(tokenHash) {
+  const { rows } = await sql`
+    UPDATE password_resets SET used_at = NOW()
+    WHERE token_hash=${tokenHash} AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `;
+  if (!rows.length) return null;
+  await sql`UPDATE password_resets SET used_at = NOW() WHERE user_id=${rows[0].user_id} AND used_at IS NULL`;
+  return rows[0].user_id;
+}
+
+// Clients: totaux sur toutes leurs réservations (passées et à venir)
+const CUSTOMER_TOTALS = `
+  SELECT c.*,
+    (SELECT array_agg(cp.phone ORDER BY cp.phone) FROM customer_phones cp WHERE cp.customer_id = c.id) AS phones,
+    COUNT(r.id)::int AS reservations_count,
+    COALESCE(SUM(r.quantity), 0)::int AS units_total,
+    COALESCE(SUM(r.total_cents), 0)::int AS total_cents,
+    MAX(s.start_at) AS last_order_at
+  FROM customers c
+  LEFT JOIN reservations r ON r.customer_id = c.id
+  LEFT JOIN slots s ON s.id = r.slot_id
+`;
+
+// Recherche par nom, email ou téléphone (chiffres, "0470…" comme "+32470…")
+export async function listCustomers({ q = "", limit = 200 } = {}) {
+  const pattern = q ? `%${q}%` : null;
+  const digits = String(q).replace(/[^0-9]/g, "").replace(/^0+/, "");
+  const { rows } = await sql.query(`
+    ${CUSTOMER_TOTALS}
+    WHERE $1::text IS NULL
+      OR (c.first_name || ' ' || c.last_name) ILIKE $1 OR (c.last_name || ' ' || c.first_name) ILIKE $1
+      OR c.email ILIKE $1
+      OR (length($2::text) >= 4 AND EXISTS (
+        SELECT 1 FROM customer_phones cp WHERE cp.customer_id = c.id AND cp.phone LIKE '%' || $2::text || '%'))
+    GROUP BY c.id
+    ORDER BY lower(c.last_name), lower(c.first_name), c.id
+    LIMIT $3
+  `, [pattern, digits, limit]);
+  return rows;
+}
+
+export async function getCustomer(id) {
+  const { rows } = await sql.query(`${CUSTOMER_TOTALS} WHERE c.id = $1 GROUP BY c.id`, [id]);
+  const customer = rows[0];
+  if (!customer) return null;
+  const { rows: reservations } = await sql`
+    SELECT r.id, r.token, r.phone, r.quantity, r.total_cents, r.collected_at, r.comment, s.start_at, p.location, p.date,
+           COALESCE((SELECT SUM(pm.amount_cents) FROM payments pm WHERE pm.reservation_id = r.id), 0)::int AS amount_paid_cents,
+           (SELECT string_agg(ri.quantity || '× ' || pr.name, ', ' ORDER BY pr.sort_order, pr.id)
+            FROM reservation_items ri JOIN products pr ON pr.id = ri.product_id
+            WHERE ri.reservation_id = r.id) AS items_label
+    FROM reservations r
+    JOIN slots s ON s.id = r.slot_id
+    JOIN presences p ON p.id = s.presence_id
+    WHERE r.customer_id = ${id}
+    ORDER BY s.start_at DESC
+  `;
+  customer.reservations = reservations;
+  return customer;
+}
+
+// Doublons probables: même nom complet ou même email
+export async function listDuplicateCustomers(id) {
+  const { rows } = await sql.query(`
+    ${CUSTOMER_TOTALS}
+    JOIN customers ref ON ref.id = $1
+    WHERE c.id <> ref.id
+      AND (lower(c.first_name || ' ' || c.last_name) = lower(ref.first_name || ' ' || ref.last_name)
+        OR lower(c.email) = lower(ref.email))
+    GROUP BY c.id
+    ORDER BY c.id
+  `, [id]);
+  return rows;
+}
+
+// Fusion: numéros et réservations du doublon passent au client gardé, puis le doublon est supprimé
+export async function mergeCustomers(keepId, mergedId) {
+  if (keepId === mergedId) return false;
+  return transaction(async (tx) => {
+    const { rows } = await tx.sql`SELECT * FROM customers WHERE id = ANY(${[keepId, mergedId]}::int[]) ORDER BY id FOR UPDATE`;
+    const merged = rows.find((c) => c.id === mergedId);
+    if (rows.length !== 2) return false;
+    await tx.sql`UPDATE customer_phones SET customer_id=${keepId} WHERE customer_id=${mergedId}`;
+    await tx.sql`UPDATE reservations SET customer_id=${keepId} WHERE customer_id=${mergedId}`;
+    await tx.sql`UPDATE customers SET email=COALESCE(email, ${merged.email}), updated_at=NOW() WHERE id=${keepId}`;
+    await tx.sql`DELETE FROM customers WHERE id=${mergedId}`;
+    return true;
+  });
+}
+
+// Journal d'audit: du plus récent au plus ancien, `beforeId` pour la page suivante
+export async function listAuditLog({ entity = null, entityId = null, action = null, actorType = null, date = null, q = "", beforeId = null, limit = 100 } = {}) {
+  const pattern = q ? `%${q}%` : null;
+  const { rows } = await sql`
+    SELECT * FROM audit_log
+    WHERE (${entity}::text IS NULL OR entity = ${entity}::text)
+      AND (${entityId}::int IS NULL OR entity_id = ${entityId}::int)
+      AND (${action}::text IS NULL OR action = ${action}::text)
+      AND (${actorType}::text IS NULL OR actor_type = ${actorType}::text)
+      AND (${date}::date IS NULL OR (created_at AT TIME ZONE ${TIMEZONE})::date = ${date}::date)
+      AND (${pattern}::text IS NULL OR actor_name ILIKE ${pattern}::text OR before::text ILIKE ${pattern}::text OR after::text ILIKE ${pattern}::text)
+      AND (${beforeId}::bigint IS NULL OR id < ${beforeId}::bigint)
+    ORDER BY id DESC
+    LIMIT ${limit}
+  `;
+  return rows;
+}
+
+// Historique complet d'une réservation ou d'une présence, dans l'ordre chronologique
+export async function getAuditHistory(entity, entityId) {
+  const { rows } = await sql`
+    SELECT * FROM audit_log WHERE entity = ${entity} AND entity_id = ${entityId} ORDER BY id ASC
+  `;
+  return rows;
+}
+
+// Clés d'API
+export async function listApiKeys() {
+  const { rows } = await sql`
+    SELECT id, name, prefix, access, created_by, created_at, last_used_at, revoked_at
+    FROM api_keys
+    ORDER BY revoked_at IS NOT NULL, created_at DESC
+  `;
+  return rows;
+}
+
+export async function createApiKey({ name, prefix, key_hash, access, created_by = null }) {
+  const { rows } = await sql`
+    INSERT INTO api_keys (name, prefix, key_hash, access, created_by)
+    VALUES (${name}, ${prefix}, ${key_hash}, ${access}, ${created_by})
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+export async function revokeApiKey(id) {
+  await sql`UPDATE api_keys SET revoked_at = NOW() WHERE id=${id} AND revoked_at IS NULL`;
+}
+
+// Clé active correspondant au hash; last_used_at rafraîchi au plus une fois par minute
+export async function findActiveApiKey(keyHash) {
+  const { rows } = await sql`
+    SELECT id, name, prefix, access FROM api_keys WHERE key_hash=${keyHash} AND revoked_at IS NULL LIMIT 1
+  `;
+  if (rows[0]) {
+    await sql`
+      UPDATE api_keys SET last_used_at = NOW()
+      WHERE id=${rows[0].id} AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+    `;
+  }
+  return rows[0] || null;
+}
+
+// Statistiques d'une saison (année civile des présences): agrégats SQL uniquement.
+// Les annulations viennent du journal d'audit, les réservations annulées étant supprimées.
+export async function listSeasons() {
+  const { rows } = await sql`SELECT DISTINCT EXTRACT(YEAR FROM date)::int AS season FROM presences ORDER BY season DESC`;
+  return rows.map((r) => r.season);
+}
+
+export async function getSeasonStats(season) {
+  const from = `${season}-01-01`;
+  const to = `${season}-12-31`;
+  const [byDay, byLocation, byHour, fill, cancellations, cumulative] = await Promise.all([
+    sql`
+      SELECT p.date, COUNT(r.id)::int AS reservations, COALESCE(SUM(r.quantity), 0)::int AS units,
+        COALESCE(SUM(r.total_cents), 0)::int AS total_cents
+      FROM presences p
+      LEFT JOIN slots s ON s.presence_id = p.id
+      LEFT JOIN reservations r ON r.slot_id = s.id
+      WHERE p.date BETWEEN ${from} AND ${to}
+      GROUP BY p.date
+      ORDER BY p.date
+    `,
+    sql`
+      SELECT p.location, COUNT(DISTINCT p.id)::int AS presences, COUNT(r.id)::int AS reservations,
+        COALESCE(SUM(r.quantity), 0)::int AS units, COALESCE(SUM(r.total_cents), 0)::int AS total_cents
+      FROM presences p
+      LEFT JOIN slots s ON s.presence_id = p.id
+      LEFT JOIN reservations r ON r.slot_id = s.id
+      WHERE p.date BETWEEN ${from} AND ${to}
+      GROUP BY p.location
+      ORDER BY units DESC, p.location
+    `,
+    sql`
+      SELECT COALESCE(to_char(s.start_at AT TIME ZONE p.timezone, 'HH24') || ':00', 'Sans créneau') AS hour,
+        COUNT(DISTINCT s.id)::int AS slots, COUNT(r.id)::int AS reservations, COALESCE(SUM(r.quantity), 0)::int AS units
+      FROM presences p
+      LEFT JOIN slots s ON s.presence_id = p.id
+      LEFT JOIN reservations r ON r.slot_id = s.id
+      WHERE p.date BETWEEN ${from} AND ${to}
+      GROUP BY 1
+      ORDER BY 1
+    `,
+    // Remplissage des créneaux: seulement pour les présences avec une capacité par créneau
+    sql`
+      SELECT p.id AS presence_id, p.date, p.location, p.slot_capacity, COUNT(*)::int AS slots,
+        COALESCE(SUM(c.reservations), 0)::int AS reservations,
+        COUNT(*) FILTER (WHERE c.reservations >= p.slot_capacity)::int AS full_slots
+      FROM presences p
+      JOIN (
+        SELECT s.id, s.presence_id, COUNT(r.id) AS reservations
+        FROM slots s LEFT JOIN reservations r ON r.slot_id = s.id
+        GROUP BY s.id
+      ) c ON c.presence_id = p.id
+      WHERE p.date BETWEEN ${from} AND ${to} AND p.slot_capacity IS NOT NULL
+      GROUP BY p.id
+      ORDER BY p.date, p.start_time, p.id
+    `,
+    // Annulations par le client; les suppressions par l'équipe sont comptées à part et celles
+    // entraînées par la modification ou la suppression d'une présence (cascade_presence_id) sont ignorées
+    sql`
+      SELECT a.before->>'date' AS date,
+        COUNT(*) FILTER (WHERE a.actor_type = 'customer')::int AS cancellations,
+        COALESCE(SUM((a.before->>'quantity')::int) FILTER (WHERE a.actor_type = 'customer'), 0)::int AS units,
+        COUNT(*) FILTER (WHERE a.actor_type <> 'customer')::int AS admin_deletes
+      FROM audit_log a
+      WHERE a.entity = 'reservation' AND a.action = 'delete'
+        AND a.before->>'date' BETWEEN ${from} AND ${to}
+        AND a.cascade_presence_id IS NULL
+      GROUP BY 1
+      ORDER BY 1
+    `,
+    // Ventes cumulées par jour de commande
+    sql`
+      SELECT d.day, d.units, d.total_cents,
+        SUM(d.units) OVER (ORDER BY d.day)::int AS cumulative_units,
+        SUM(d.total_cents) OVER (ORDER BY d.day)::int AS cumulative_cents
+      FROM (
+        SELECT to_char(r.created_at AT TIME ZONE ${TIMEZONE}, 'YYYY-MM-DD') AS day,
+          SUM(r.quantity)::int AS units, SUM(r.total_cents)::int AS total_cents
+        FROM reservations r
+        JOIN slots s ON s.id = r.slot_id
+        JOIN presences p ON p.id = s.presence_id
+        WHERE p.date BETWEEN ${from} AND ${to}
+        GROUP BY 1
+      ) d
+      ORDER BY d.day
+    `
+  ]);
+  const sum = (rows, key) => rows.reduce((total, row) => total + Number(row[key] || 0), 0);
+  const capacity = fill.rows.reduce((total, p) => total + p.slots * p.slot_capacity, 0);
+  return {
+    season,
+    byDay: byDay.rows,
+    byLocation: byLocation.rows,
+    byHour: byHour.rows,
+    fill: fill.rows,
+    cancellations: cancellations.rows,
+    cumulative: cumulative.rows,
+    totals: {
+      presences: sum(byLocation.rows, "presences"),
+      reservations: sum(byDay.rows, "reservations"),
+      units: sum(byDay.rows, "units"),
+      total_cents: sum(byDay.rows, "total_cents"),
+      cancellations: sum(cancellations.rows, "cancellations"),
+      cancelled_units: sum(cancellations.rows, "units"),
+      admin_deletes: sum(cancellations.rows, "admin_deletes"),
+      fill_rate: capacity ? sum(fill.rows, "reservations") / capacity : null
+    }
+  };
+}
@@ -1,4 +1,11 @@
 import nodemailer from "nodemailer";
+import { formatTime, localDay } from "./time.js";
+import { formatPrice } from "./money.js";
+import { formatReference } from "./payments.js";
+import { checkinUrl, qrPng } from "./qr.js";
+import { reservationIcs } from "./ical.js";
+import { formatPhone } from "./phone.js";
+import { translator } from "./i18n.js";
 
 function hasSmtp() {
   return !!(process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS && process.env.SMTP_FROM);
@@ -28,51 +35,434 @@ export function getTransporter() {
   return transporter;
 }
 
+async function send({ to, subject, text, html, attachments }) {
+  const from = process.env.SMTP_FROM || "no-reply@example.com";
+  await getTransporter().sendMail({ from, to, subject, text, html, attachments });
+}
+
+// Lignes de commande et total (texte et HTML)
+function orderText(t, { items = [], total_cents }) {
+  const lines = items.map((i) => `  ${t("email.line", { quantity: i.quantity, name: i.name, price: formatPrice(i.unit_price_cents), total: formatPrice(i.line_cents) })}`);
+  return `- ${t("email.order")}:\n${lines.join("\n")}\n- ${t("email.total_due")}: ${formatPrice(total_cents)}`;
+}
+function orderHtml(t, { items = [], total_cents }) {
+  const rows = items
+    .map((i) => `<tr><td>${i.quantity} × ${i.name}</td><td align="right">${formatPrice(i.unit_price_cents)}</td><td align="right">${formatPrice(i.line_cents)}</td></tr>`)
+    .join("");
+  return `<table cellpadding="4" style="border-collapse:collapse">${rows}<tr><td colspan="2"><b>${t("email.total_due")}</b></td><td align="right"><b>${formatPrice(total_cents)}</b></td></tr></table>`;
+}
+// Instructions de virement (PAYMENT_IBAN / PAYMENT_BENEFICIARY) si un montant reste dû
+function paymentDue({ total_cents, amount_paid_cents = 0, payment_reference }) {
+  const due = Number(total_cents || 0) - Number(amount_paid_cents || 0);
+  if (due <= 0 || !payment_reference) return null;
+  const iban = process.env.PAYMENT_IBAN;
+  const beneficiary = process.env.PAYMENT_BENEFICIARY;
+  return {
+    amount: formatPrice(due),
+    account: iban ? `${iban}${beneficiary ? ` (${beneficiary})` : ""}` : null,
+    communication: formatReference(payment_reference)
+  };
+}
+function paymentText(t, reservation) {
+  const p = paymentDue(reservation);
+  if (!p) return "";
+  return `
+${t("email.payment", { amount: p.amount })}${p.account ? ` ${t("email.payment_account", { account: p.account })}` : ""}
+${t("email.payment_reference", { reference: p.communication })}
+`;
+}
+function paymentHtml(t, reservation) {
+  const p = paymentDue(reservation);
+  if (!p) return "";
+  return `<p><b>${t("email.payment", { amount: p.amount })}</b>${p.account ? ` ${t("email.payment_account", { account: `<b>${p.account}</b>` })}` : ""}
+    ${t("email.payment_reference", { reference: `<b style="font-family:monospace">${p.communication}</b>` })}</p>`;
+}
+// "Confirmation – Réservation jus de pomme"
+function subjectFor(t, key) {
+  return `${t(key)} – ${t("email.subject_suffix")}`;
+}
+function linksText(t, modifyUrl, cancelUrl) {
+  return `${t("email.edit")}: ${modifyUrl}\n${t("email.cancel")}: ${cancelUrl}`;
+}
+function linksHtml(t, modifyUrl, cancelUrl) {
+  return `<a href="${modifyUrl}">${t("email.edit_reservation")}</a> |
+      <a href="${cancelUrl}">${t("email.cancel_reservation")}</a>`;
+}
+
 export async function sendConfirmationEmail({ to, reservation, baseUrl }) {
-  const { token, first_name, last_name, phone, quantity, comment, start_at, location, date } = reservation;
-  const start = new Date(start_at);
-  const hh = String(start.getHours()).padStart(2, "0");
-  const mm = String(start.getMinutes()).padStart(2, "0");
+  const t = translator(reservation.language);
+  const { token, first_name, last_name, phone, comment, start_at, location, date } = reservation;
+  const hm = formatTime(start_at);
 
   const modifyUrl = `${baseUrl}/r/${token}/edit`;
   const cancelUrl = `${baseUrl}/r/${token}/cancel`;
 
-  const subject = "Confirmation – Réservation jus de pomme";
-  const text = `Merci pour votre réservation !
+  const subject = subjectFor(t, "email.confirmation.subject");
+  const text = `${t("email.confirmation.thanks")}
 
-Détails:
-- Lieu: ${location}
-- Date: ${date}
-- Heure: ${hh}:${mm}
-- Nom: ${first_name} ${last_name}
-- Téléphone: ${phone}
-- Quantité: ${quantity}
-${comment ? "- Commentaire: " + comment : ""}
+${t("email.confirmation.details")}
+- ${t("common.location")}: ${location}
+- ${t("common.date")}: ${date}
+- ${t("common.time")}: ${hm}
+- ${t("common.name")}: ${first_name} ${last_name}
+- ${t("common.phone")}: ${formatPhone(phone)}
+${orderText(t, reservation)}
+${comment ? `- ${t("common.comment")}: ${comment}` : ""}
+${paymentText(t, reservation)}
+${linksText(t, modifyUrl, cancelUrl)}
+`;
 
-Modifier: ${modifyUrl}
-Annuler: ${cancelUrl}
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p><strong>${t("email.confirmation.support")}</strong></p>
+    <ul>
+      <li><b>${t("common.location")}:</b> ${location}</li>
+      <li><b>${t("common.date")}:</b> ${date}</li>
+      <li><b>${t("common.time")}:</b> ${hm}</li>
+      <li><b>${t("common.name")}:</b> ${first_name} ${last_name}</li>
+      <li><b>${t("common.phone")}:</b> ${formatPhone(phone)}</li>
+      ${comment ? `<li><b>${t("common.comment")}:</b> ${comment}</li>` : ""}
+    </ul>
+    ${orderHtml(t, reservation)}
+    ${paymentHtml(t, reservation)}
+    <p>${t("email.confirmation.qr")}</p>
+    <p><img src="cid:qr-retrait" width="180" height="180" alt="${t("email.confirmation.qr_alt")}"></p>
+    <p>
+      ${linksHtml(t, modifyUrl, cancelUrl)}
+    </p>
+  </div>
+  `;
+
+  const qr = await qrPng(checkinUrl(baseUrl, token));
+  await send({
+    to,
+    subject,
+    text,
+    html,
+    attachments: [
+      { filename: `${t("email.confirmation.qr_file")}.png`, content: qr, cid: "qr-retrait" },
+      // Événement à ajouter à l'agenda (heure du créneau, lien de modification)
+      { filename: `${t("ics.file")}.ics`, content: reservationIcs({ reservation, baseUrl }), contentType: "text/calendar; charset=utf-8; method=PUBLISH" }
+    ]
+  });
+}
+
+// Présence modifiée par un admin: nouveau créneau attribué
+export async function sendReservationMovedEmail({ to, reservation, previous, baseUrl }) {
+  const t = translator(reservation.language);
+  const { token, first_name, quantity, start_at, location, date } = reservation;
+  const before = `${previous.location} – ${t("common.at", { date: previous.date, time: formatTime(previous.start_at) })}`;
+  const now = `${location} – ${t("common.at", { date, time: formatTime(start_at) })}`;
+  const modifyUrl = `${baseUrl}/r/${token}/edit`;
+  const cancelUrl = `${baseUrl}/r/${token}/cancel`;
+
+  const subject = subjectFor(t, "email.moved.subject");
+  const text = `${t("email.hello", { name: first_name })}
+
+${t("email.moved.intro")}
+
+${t("email.moved.before")}: ${before}
+${t("email.moved.now")}: ${now}
+${t("email.quantity")}: ${quantity}
+
+${t("email.moved.question")}
+${linksText(t, modifyUrl, cancelUrl)}
 `;
 
   const html = `
   <div style="font-family:Arial,sans-serif">
-    <h2>Confirmation – Réservation jus de pomme</h2>
-    <p><strong>Merci de soutenir les pionniers d’Ecaussinnes !</strong></p>
+    <h2>${subject}</h2>
+    <p>${t("email.hello", { name: first_name })}</p>
+    <p>${t("email.moved.intro")}</p>
     <ul>
-      <li><b>Lieu:</b> ${location}</li>
-      <li><b>Date:</b> ${date}</li>
-      <li><b>Heure:</b> ${hh}:${mm}</li>
-      <li><b>Nom:</b> ${first_name} ${last_name}</li>
-      <li><b>Téléphone:</b> ${phone}</li>
-      <li><b>Quantité:</b> ${quantity}</li>
-      ${comment ? `<li><b>Commentaire:</b> ${comment}</li>` : ""}
+      <li><b>${t("email.moved.before")}:</b> <s>${before}</s></li>
+      <li><b>${t("email.moved.now")}:</b> ${now}</li>
+      <li><b>${t("email.quantity")}:</b> ${quantity}</li>
     </ul>
     <p>
-      <a href="${modifyUrl}">Modifier ma réservation</a> |
-      <a href="${cancelUrl}">Annuler ma réservation</a>
+      ${linksHtml(t, modifyUrl, cancelUrl)}
     </p>
   </div>
   `;
 
-  const from = process.env.SMTP_FROM || "no-reply@example.com";
-  await getTransporter().sendMail({ from, to, subject, text, html });
-}
\ No newline at end of file
+  await send({ to, subject, text, html });
+}
+
+// Réservation annulée: par le client lui-même (confirmation) ou par les organisateurs.
+// reason: clé du motif (email.cancelled.reasons)
+export async function sendReservationCancelledEmail({ to, reservation, reason, byCustomer = false, baseUrl }) {
+  const t = translator(reservation.language);
+  const { first_name, quantity, start_at, location, date } = reservation;
+  const params = { when: t("common.at", { date, time: formatTime(start_at) }), location, bottles: t("email.bottles", { count: quantity }) };
+  const summary = t(byCustomer ? "email.cancelled.by_customer" : "email.cancelled.by_organisers", params);
+  const motive = reason ? t(`email.cancelled.reasons.${reason}`) : null;
+  const closing = t(byCustomer ? "email.cancelled.closing_customer" : "email.cancelled.closing_organisers");
+
+  const subject = subjectFor(t, "email.cancelled.subject");
+  const text = `${t("email.hello", { name: first_name })}
+
+${summary}
+${motive ? `${t("email.cancelled.reason")}: ${motive}` : ""}
+
+${closing}: ${baseUrl}/
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p>${t("email.hello", { name: first_name })}</p>
+    <p>${summary}</p>
+    ${motive ? `<p><b>${t("email.cancelled.reason")}:</b> ${motive}</p>` : ""}
+    <p>${closing}: <a href="${baseUrl}/">${baseUrl}/</a></p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// Réservation modifiée par le client
+export async function sendReservationModifiedEmail({ to, reservation, baseUrl }) {
+  const t = translator(reservation.language);
+  const { token, first_name, last_name, phone, comment, start_at, location, date } = reservation;
+  const hm = formatTime(start_at);
+  const modifyUrl = `${baseUrl}/r/${token}/edit`;
+  const cancelUrl = `${baseUrl}/r/${token}/cancel`;
+
+  const subject = subjectFor(t, "email.modified.subject");
+  const text = `${t("email.hello", { name: first_name })}
+
+${t("email.modified.intro")}
+- ${t("common.location")}: ${location}
+- ${t("common.date")}: ${date}
+- ${t("common.time")}: ${hm}
+- ${t("common.name")}: ${first_name} ${last_name}
+- ${t("common.phone")}: ${formatPhone(phone)}
+${orderText(t, reservation)}
+${comment ? `- ${t("common.comment")}: ${comment}` : ""}
+${paymentText(t, reservation)}
+${linksText(t, modifyUrl, cancelUrl)}
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p>${t("email.hello", { name: first_name })} ${t("email.modified.intro_html")}</p>
+    <ul>
+      <li><b>${t("common.location")}:</b> ${location}</li>
+      <li><b>${t("common.date")}:</b> ${date}</li>
+      <li><b>${t("common.time")}:</b> ${hm}</li>
+      <li><b>${t("common.name")}:</b> ${first_name} ${last_name}</li>
+      <li><b>${t("common.phone")}:</b> ${formatPhone(phone)}</li>
+      ${comment ? `<li><b>${t("common.comment")}:</b> ${comment}</li>` : ""}
+    </ul>
+    ${orderHtml(t, reservation)}
+    ${paymentHtml(t, reservation)}
+    <p>
+      ${linksHtml(t, modifyUrl, cancelUrl)}
+    </p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// « Retrouver ma réservation »: renvoie les liens de toutes les réservations à venir,
+// dans la langue de la personne qui en fait la demande
+export async function sendRecoveryEmail({ to, reservations, baseUrl, lang }) {
+  const t = translator(lang);
+  const lines = reservations.map((r) => ({
+    label: t("email.recovery.label", {
+      when: t("common.at", { date: r.date, time: formatTime(r.start_at) }),
+      location: r.location,
+      bottles: t("email.bottles", { count: r.quantity }),
+      name: `${r.first_name} ${r.last_name}`
+    }),
+    modifyUrl: `${baseUrl}/r/${r.token}/edit`,
+    cancelUrl: `${baseUrl}/r/${r.token}/cancel`
+  }));
+
+  const subject = t("email.recovery.subject");
+  const text = `${t("email.hello_plain")}
+
+${t("email.recovery.intro")}
+
+${lines.map((l) => `- ${l.label}\n  ${t("email.edit")}: ${l.modifyUrl}\n  ${t("email.cancel")}: ${l.cancelUrl}`).join("\n\n")}
+
+${t("email.not_you")}
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p>${t("email.recovery.intro")}</p>
+    <ul>
+      ${lines.map((l) => `<li>${l.label}<br><a href="${l.modifyUrl}">${t("email.edit")}</a> | <a href="${l.cancelUrl}">${t("email.cancel")}</a></li>`).join("")}
+    </ul>
+    <p style="color:#666">${t("email.not_you")}</p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// Rappel avant le retrait (la veille ou quelques heures avant)
+export async function sendReminderEmail({ to, reservation, kind, baseUrl }) {
+  const t = translator(reservation.language);
+  const { token, first_name, quantity, start_at, location, date } = reservation;
+  const hm = formatTime(start_at);
+  const modifyUrl = `${baseUrl}/r/${token}/edit`;
+  const cancelUrl = `${baseUrl}/r/${token}/cancel`;
+  const when = t(kind === "day_before" ? "email.reminder.tomorrow" : "email.reminder.today");
+
+  const subject = t("email.reminder.subject", { when, time: hm });
+  const text = `${t("email.hello", { name: first_name })}
+
+${t("email.reminder.intro", { when })}
+
+- ${t("common.location")}: ${location}
+- ${t("common.date")}: ${date}
+- ${t("common.time")}: ${hm}
+- ${t("email.quantity")}: ${quantity}
+
+${t("email.reminder.question")}
+${linksText(t, modifyUrl, cancelUrl)}
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${t("email.reminder.title", { when, time: hm })}</h2>
+    <p>${t("email.hello", { name: first_name })}</p>
+    <p>${t("email.reminder.intro", { when })}</p>
+    <ul>
+      <li><b>${t("common.location")}:</b> ${location}</li>
+      <li><b>${t("common.date")}:</b> ${date}</li>
+      <li><b>${t("common.time")}:</b> ${hm}</li>
+      <li><b>${t("email.quantity")}:</b> ${quantity}</li>
+    </ul>
+    <p>
+      ${t("email.reminder.question")}
+      ${linksHtml(t, modifyUrl, cancelUrl)}
+    </p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// Emails aux organisateurs et aux comptes admin: toujours en français
+
+// Récapitulatif pour les organisateurs: nouvelles, modifiées et annulées
+const DIGEST_SECTIONS = [
+  ["created", "Nouvelles réservations"],
+  ["updated", "Réservations modifiées"],
+  ["cancelled", "Réservations annulées"]
+];
+export async function sendOrganiserDigestEmail({ to, events, baseUrl }) {
+  const describe = (e) => {
+    const r = e.reservation;
+    return `${r.date} ${formatTime(r.start_at)} – ${r.location} – ${r.first_name} ${r.last_name} (${formatPhone(r.phone)}) – ${r.quantity} bouteille(s)`
+      + (e.actor !== "client" ? ` [${e.actor}]` : "");
+  };
+  const sections = DIGEST_SECTIONS
+    .map(([kind, title]) => ({ title, items: events.filter((e) => e.kind === kind).map(describe) }))
+    .filter((sec) => sec.items.length);
+
+  const subject = `Récapitulatif réservations – ${events.length} changement(s)`;
+  const text = sections.map((sec) => `${sec.title} (${sec.items.length}):\n${sec.items.map((i) => "- " + i).join("\n")}`).join("\n\n")
+    + `\n\nAdmin: ${baseUrl}/admin/reservations\n`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>Récapitulatif des réservations</h2>
+    ${sections.map((sec) => `<h3>${sec.title} (${sec.items.length})</h3><ul>${sec.items.map((i) => `<li>${i}</li>`).join("")}</ul>`).join("")}
+    <p><a href="${baseUrl}/admin/reservations">Voir toutes les réservations</a></p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+// Invitation d'un nouveau compte admin ou lien « mot de passe oublié »
+export async function sendPasswordResetEmail({ to, name, url, invite = false, hours }) {
+  const subject = invite ? "Votre accès admin – Jus de pomme" : "Réinitialisation du mot de passe – Jus de pomme";
+  const intro = invite
+    ? "Un compte admin a été créé pour vous. Choisissez votre mot de passe via ce lien:"
+    : "Pour choisir un nouveau mot de passe, utilisez ce lien:";
+  const text = `Bonjour ${name},
+
+${intro}
+${url}
+
+Le lien est valable ${hours} heure(s) et ne peut servir qu’une fois.
+Si vous n’êtes pas à l’origine de cette demande, vous pouvez ignorer cet email.
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p>Bonjour ${name},</p>
+    <p>${intro}</p>
+    <p><a href="${url}">${invite ? "Choisir mon mot de passe" : "Réinitialiser mon mot de passe"}</a></p>
+    <p style="color:#666">Le lien est valable ${hours} heure(s) et ne peut servir qu’une fois.
+    Si vous n’êtes pas à l’origine de cette demande, vous pouvez ignorer cet email.</p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// Liste d'attente: inscription (lien pour suivre sa place ou se désinscrire)
+export async function sendWaitlistJoinedEmail({ to, entry, url }) {
+  const t = translator(entry.language);
+  const what = entry.slot_start_at
+    ? t("email.waitlist_joined.slot", { time: formatTime(entry.slot_start_at), date: entry.date, location: entry.location })
+    : t("email.waitlist_joined.any", { date: entry.date, location: entry.location });
+  const subject = subjectFor(t, "email.waitlist_joined.subject");
+  const text = `${t("email.hello", { name: entry.first_name })}
+
+${t("email.waitlist_joined.intro", { what })}
+${t("email.waitlist_joined.next")}
+
+${t("email.waitlist_joined.link")}: ${url}
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${subject}</h2>
+    <p>${t("email.hello", { name: entry.first_name })}</p>
+    <p>${t("email.waitlist_joined.intro", { what })}
+    ${t("email.waitlist_joined.next")}</p>
+    <p><a href="${url}">${t("email.waitlist_joined.link")}</a></p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
+
+// Liste d'attente: place libérée, réservée jusqu'à offer_expires_at
+export async function sendWaitlistOfferEmail({ to, offer, url }) {
+  const t = translator(offer.language);
+  const hm = formatTime(offer.offered_start_at);
+  const until = t("common.at", { date: localDay(offer.offer_expires_at), time: formatTime(offer.offer_expires_at) });
+  const subject = t("email.waitlist_offer.subject", { date: offer.date, time: hm });
+  const intro = t("email.waitlist_offer.intro", { date: offer.date, time: hm, location: offer.location });
+  const text = `${t("email.hello", { name: offer.first_name })}
+
+${intro}
+${t("email.waitlist_offer.until", { until })}
+
+${t("email.waitlist_offer.book")}: ${url}
+`;
+
+  const html = `
+  <div style="font-family:Arial,sans-serif">
+    <h2>${t("email.waitlist_offer.title")}</h2>
+    <p>${t("email.hello", { name: offer.first_name })}</p>
+    <p>${intro}</p>
+    <p>${t("email.waitlist_offer.until", { until: `<b>${until}</b>` })}</p>
+    <p><a href="${url}">${t("email.waitlist_offer.link")}</a></p>
+  </div>
+  `;
+
+  await send({ to, subject, text, html });
+}
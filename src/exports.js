@@ -0,0 +1,129 @@
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import { toCsv } from "./csv.js";
+import { formatTime } from "./time.js";
+import { formatReference } from "./payments.js";
+import { formatPhone } from "./phone.js";
+
+// Colonnes communes aux exports CSV et Excel de la liste des réservations
+const RESERVATION_COLUMNS = [
+  { header: "Date", key: "date", width: 12, value: (r) => r.date },
+  { header: "Heure", key: "time", width: 8, value: (r) => formatTime(r.start_at) },
+  { header: "Lieu", key: "location", width: 28, value: (r) => r.location },
+  { header: "Prénom", key: "first_name", width: 16, value: (r) => r.first_name },
+  { header: "Nom", key: "last_name", width: 18, value: (r) => r.last_name },
+  { header: "Téléphone", key: "phone", width: 16, value: (r) => formatPhone(r.phone) },
+  { header: "Email", key: "email", width: 26, value: (r) => r.email || "" },
+  { header: "Articles", key: "items", width: 32, value: (r) => r.items_label || "" },
+  { header: "Quantité", key: "quantity", width: 10, value: (r) => r.quantity },
+  { header: "Total (€)", key: "total", width: 10, value: (r) => Number(r.total_cents || 0) / 100 },
+  { header: "Payé (€)", key: "paid", width: 10, value: (r) => Number(r.amount_paid_cents || 0) / 100 },
+  { header: "Communication", key: "reference", width: 22, value: (r) => formatReference(r.payment_reference) },
+  { header: "Commentaire", key: "comment", width: 40, value: (r) => r.comment || "" }
+];
+
+// Une ligne par réservation puis une ligne de totaux
+function toRecords(reservations) {
+  const records = reservations.map((r) => Object.fromEntries(RESERVATION_COLUMNS.map((c) => [c.key, c.value(r)])));
+  const units = reservations.reduce((sum, r) => sum + Number(r.quantity || 0), 0);
+  const cents = reservations.reduce((sum, r) => sum + Number(r.total_cents || 0), 0);
+  const paid = reservations.reduce((sum, r) => sum + Number(r.amount_paid_cents || 0), 0);
+  records.push({ date: "TOTAL", location: `${reservations.length} réservation(s)`, quantity: units, total: cents / 100, paid: paid / 100 });
+  return records;
+}
+
+// Décimales avec virgule pour Excel en français
+const csvValue = (v) => (typeof v === "number" ? String(v).replace(".", ",") : v);
+
+export function reservationsToCsv(reservations) {
+  return toCsv(toRecords(reservations), RESERVATION_COLUMNS.map((c) => ({ header: c.header, value: (rec) => csvValue(rec[c.key]) })));
+}
+
+export async function reservationsToXlsx(reservations) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Réservations");
+  sheet.columns = RESERVATION_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+  const records = toRecords(reservations);
+  records.forEach((rec) => sheet.addRow(rec));
+  sheet.lastRow.font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+}
+
+// Feuille de retrait: réservations groupées par créneau, avec totaux
+// (unités par créneau, et par produit pour toute la présence)
+export function buildPickupSheet(reservations) {
+  const groups = [];
+  const byProduct = new Map();
+  for (const r of reservations) {
+    for (const item of r.items || []) byProduct.set(item.name, (byProduct.get(item.name) || 0) + item.quantity);
+    const time = formatTime(r.start_at);
+    let group = groups[groups.length - 1];
+    if (!group || group.time !== time) {
+      group = { time, reservations: [], bottles: 0, collected: 0 };
+      groups.push(group);
+    }
+    group.reservations.push(r);
+    group.bottles += Number(r.quantity || 0);
+    if (r.collected_at) group.collected++;
+  }
+  return {
+    groups,
+    bottles: groups.reduce((sum, g) => sum + g.bottles, 0),
+    products: [...byProduct].map(([name, quantity]) => ({ name, quantity }))
+  };
+}
+
+export function pickupSheetToPdf({ presence, sheet, reservationsCount }) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  const chunks = [];
+  doc.on("data", (c) => chunks.push(c));
+  const done = new Promise((resolve) => doc.on("end", () => resolve(Buffer.concat(chunks))));
+
+  const cols = [
+    { label: "", width: 22 },
+    { label: "Nom", width: 140 },
+    { label: "Téléphone", width: 95 },
+    { label: "Articles", width: 130 },
+    { label: "Commentaire", width: 128 }
+  ];
+  const left = doc.page.margins.left;
+  const row = (cells, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    cells.forEach((text, i) => {
+      doc.text(String(text ?? ""), x + 2, y, { width: cols[i].width - 4, height: 28, ellipsis: true });
+      x += cols[i].width;
+    });
+    doc.y = Math.max(doc.y, y + 16);
+    doc.moveTo(left, doc.y - 2).lineTo(left + 515, doc.y - 2).strokeColor("#dddddd").stroke();
+  };
+
+  doc.font("Helvetica-Bold").fontSize(16).text(`Feuille de retrait – ${presence.location}`);
+  doc.font("Helvetica").fontSize(11)
+    .text(`${presence.date} · ${String(presence.start_time).slice(0, 5)} – ${String(presence.end_time).slice(0, 5)}`)
+    .text(`${reservationsCount} réservation(s) · ${sheet.bottles} article(s)`)
+    .moveDown();
+
+  for (const group of sheet.groups) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+    doc.font("Helvetica-Bold").fontSize(12).fillColor("#7B1E2B")
+      .text(`${group.time} — ${group.reservations.length} réservation(s), ${group.bottles} article(s), ${group.collected} retirée(s)`, left);
+    doc.fillColor("black").moveDown(0.3);
+    row(cols.map((c) => c.label), { bold: true });
+    for (const r of group.reservations) {
+      const y = doc.y;
+      doc.rect(left + 5, y + 1, 9, 9).strokeColor("black").stroke();
+      if (r.collected_at) doc.moveTo(left + 6, y + 5).lineTo(left + 9, y + 9).lineTo(left + 14, y).stroke();
+      row(["", `${r.first_name} ${r.last_name}`, formatPhone(r.phone), r.items_label || r.quantity, r.comment || ""]);
+    }
+    doc.moveDown(0.6);
+  }
+  doc.font("Helvetica-Bold").fontSize(12).text(`Total présence: ${sheet.bottles} article(s)`, left);
+  doc.font("Helvetica").fontSize(11);
+  for (const p of sheet.products) doc.text(`${p.quantity} × ${p.name}`, left);
+  doc.end();
+  return done;
+}
\ No newline at end of file
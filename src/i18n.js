@@ -0,0 +1,54 @@
+import fr from "./locales/fr.js";
+import nl from "./locales/nl.js";
+import en from "./locales/en.js";
+
+// Langues du site public et des emails clients; l'admin reste en français.
+// Catalogues: objets imbriqués, clés "section.cle", paramètres {nom}.
+export const LANGUAGES = { fr: "Français", nl: "Nederlands", en: "English" };
+export const DEFAULT_LANGUAGE = "fr";
+const CATALOGS = { fr, nl, en };
+// Locale des dates affichées côté navigateur (calendrier)
+const LOCALES = { fr: "fr-BE", nl: "nl-BE", en: "en-GB" };
+
+export function isLanguage(value) {
+  return Object.hasOwn(LANGUAGES, String(value));
+}
+
+export function localeFor(lang) {
+  return LOCALES[lang] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+// "nl-BE,nl;q=0.9,fr;q=0.8" => "nl"; première langue connue par ordre de préférence
+export function languageFromHeader(header) {
+  const wanted = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => /^q=([\d.]+)$/.exec(p.trim())).find(Boolean);
+      return { lang: tag.toLowerCase().split("-")[0], q: q ? Number(q[1]) : 1, i };
+    })
+    .filter((w) => w.q > 0 && isLanguage(w.lang))
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return wanted[0]?.lang || DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  const value = key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  return typeof value === "string" ? value : undefined;
+}
+
+// t("reserve.title", { date }) dans la langue demandée, sinon en français, sinon la clé
+export function translator(lang) {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+  return (key, params = {}) => {
+    const text = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  };
+}
+
+// Clés présentes en français mais absentes d'une autre langue (contrôle des catalogues)
+export function missingKeys(lang) {
+  const keys = (node, prefix = "") => Object.entries(node).flatMap(([k, v]) =>
+    typeof v === "string" ? [prefix + k] : keys(v, `${prefix}${k}.`));
+  return keys(CATALOGS[DEFAULT_LANGUAGE]).filter((key) => lookup(CATALOGS[lang], key) === undefined);
+}
@@ -0,0 +1,125 @@
+import { formatPrice } from "./money.js";
+import { translator } from "./i18n.js";
+
+// Fichiers iCalendar (RFC 5545): événement de retrait d'une réservation et
+// flux public des présences. Heures en UTC, lignes terminées par CRLF.
+const PRODID = "-//Jus de pomme//Reservations//FR";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lignes de 75 octets max, la suite commence par un espace (sans couper un caractère UTF-8)
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// 2025-10-04T08:15:00.000Z => 20251004T081500Z
+function utc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function uidHost(baseUrl) {
+  try {
+    return new URL(baseUrl).hostname;
+  } catch (e) {
+    return "localhost";
+  }
+}
+
+function calendar(events, headers = []) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...headers,
+    ...events.flat(),
+    "END:VCALENDAR"
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+function event({ uid, sequence = 0, stamp, start, end, summary, location, description, url, status = "CONFIRMED" }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${utc(stamp)}`,
+    `DTSTART:${utc(start)}`,
+    `DTEND:${utc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `LOCATION:${escapeText(location)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${status}`,
+    "END:VEVENT"
+  ];
+}
+
+// Créneau de retrait: début du créneau + durée des créneaux de la présence
+export function reservationIcs({ reservation, baseUrl }) {
+  const r = reservation;
+  const t = translator(r.language);
+  const start = new Date(r.start_at);
+  const end = new Date(start.getTime() + Number(r.slot_minutes || 15) * 60000);
+  const editUrl = `${baseUrl}/r/${r.token}/edit`;
+  const order = (r.items || []).map((i) => `${i.quantity} × ${i.name}`).join(", ");
+  return calendar([
+    event({
+      uid: `reservation-${r.token}@${uidHost(baseUrl)}`,
+      stamp: new Date(),
+      start,
+      end,
+      summary: t("ics.summary"),
+      location: r.location,
+      description: [
+        t("ics.name", { name: `${r.first_name} ${r.last_name}` }),
+        order && t("ics.order", { order, total: formatPrice(r.total_cents) }),
+        t("ics.edit", { url: editUrl })
+      ].filter(Boolean).join("\n"),
+      url: editUrl
+    })
+  ]);
+}
+
+// Flux des présences: même UID d'une version à l'autre, SEQUENCE = nombre de
+// modifications; une présence supprimée reste publiée en STATUS:CANCELLED
+export function presencesFeedIcs({ presences, cancelled = [], baseUrl, name }) {
+  const host = uidHost(baseUrl);
+  const toEvent = (p, status) => event({
+    uid: `presence-${p.id}@${host}`,
+    sequence: p.sequence,
+    stamp: p.updated_at || new Date(),
+    start: p.starts_at,
+    end: p.ends_at,
+    summary: `${name} – ${p.location}`,
+    location: p.location,
+    description: status === "CANCELLED" ? "Présence annulée" : `Réserver un créneau: ${baseUrl}/`,
+    url: `${baseUrl}/`,
+    status
+  });
+  return calendar(
+    [...presences.map((p) => toEvent(p, "CONFIRMED")), ...cancelled.map((p) => toEvent(p, "CANCELLED"))],
+    [`X-WR-CALNAME:${escapeText(name)}`, "REFRESH-INTERVAL;VALUE=DURATION:PT6H", "X-PUBLISHED-TTL:PT6H"]
+  );
+}
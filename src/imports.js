@@ -0,0 +1,82 @@
+import { parseCsv } from "./csv.js";
+import { computeSlotTimes, toMinutes, fromMinutes, DEFAULT_SLOT_MINUTES } from "./slots.js";
+
+// Import CSV de présences: lieu, date, début, fin (avec ou sans ligne d'en-tête)
+const HEADER_ALIASES = {
+  location: ["location", "lieu"],
+  date: ["date"],
+  start_time: ["start", "start_time", "debut", "début", "heure de début"],
+  end_time: ["end", "end_time", "fin", "heure de fin"]
+};
+
+export function normalizeDate(value) {
+  const text = String(value || "").trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!m) {
+    const fr = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (fr) m = [text, fr[3], fr[2].padStart(2, "0"), fr[1].padStart(2, "0")];
+  }
+  if (!m) return null;
+  const iso = `${m[1]}-${m[2]}-${m[3]}`;
+  const d = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+function normalizeTime(value) {
+  const m = /^(\d{1,2})[:hH](\d{2})$/.exec(String(value || "").trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return fromMinutes(Number(m[1]) * 60 + Number(m[2]));
+}
+
+function columnIndexes(firstRow) {
+  const cells = firstRow.map((c) => c.trim().toLowerCase());
+  const idx = {};
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    idx[field] = cells.findIndex((c) => aliases.includes(c));
+  }
+  return Object.values(idx).every((i) => i >= 0) ? idx : null;
+}
+
+// existing: présences déjà en base, pour signaler les doublons
+export function validatePresenceImport(text, existing = []) {
+  const table = parseCsv(text);
+  if (!table.length) return { rows: [], valid: false, error: "Le fichier est vide" };
+
+  const header = columnIndexes(table[0]);
+  const idx = header || { location: 0, date: 1, start_time: 2, end_time: 3 };
+  const body = header ? table.slice(1) : table;
+  const firstLine = header ? 2 : 1;
+
+  const seen = new Set(existing.map((p) => `${p.location.trim().toLowerCase()}|${String(p.date).slice(0, 10)}|${String(p.start_time).slice(0, 5)}`));
+  const rows = body.map((cells, i) => {
+    const raw = Object.fromEntries(Object.entries(idx).map(([field, col]) => [field, (cells[col] || "").trim()]));
+    const row = {
+      line: firstLine + i,
+      location: raw.location,
+      date: normalizeDate(raw.date),
+      start_time: normalizeTime(raw.start_time),
+      end_time: normalizeTime(raw.end_time),
+      raw,
+      errors: []
+    };
+    if (!row.location) row.errors.push("Lieu manquant");
+    if (!row.date) row.errors.push(`Date invalide « ${raw.date} »`);
+    if (!row.start_time) row.errors.push(`Heure de début invalide « ${raw.start_time} »`);
+    if (!row.end_time) row.errors.push(`Heure de fin invalide « ${raw.end_time} »`);
+    if (row.start_time && row.end_time) {
+      if (!(toMinutes(row.start_time) < toMinutes(row.end_time))) {
+        row.errors.push("L'heure de fin doit être après l'heure de début");
+      } else {
+        row.slots_count = computeSlotTimes({ ...row, slot_minutes: DEFAULT_SLOT_MINUTES }).length;
+      }
+    }
+    if (!row.errors.length) {
+      const key = `${row.location.toLowerCase()}|${row.date}|${row.start_time}`;
+      if (seen.has(key)) row.errors.push("Présence déjà existante (ou en double dans le fichier)");
+      seen.add(key);
+    }
+    return row;
+  });
+
+  return { rows, valid: rows.length > 0 && rows.every((r) => !r.errors.length), error: rows.length ? null : "Aucune ligne à importer" };
+}
@@ -0,0 +1,242 @@
+// English
+export default {
+  layout: {
+    home: "Home",
+    recover: "Find my reservation",
+    admin: "Admin",
+    language: "Language",
+    footer: "Email reminder the day before pickup. Data deleted on request."
+  },
+  common: {
+    date: "Date",
+    time: "Time",
+    location: "Place",
+    name: "Name",
+    first_name: "First name",
+    last_name: "Last name",
+    phone: "Phone",
+    email: "Email",
+    comment: "Comment",
+    comment_optional: "Comment (optional)",
+    email_placeholder: "example@mail.com",
+    phone_placeholder: "0470 12 34 56",
+    back_home: "Back to the home page",
+    see_slots: "See available time slots",
+    confirm_reservation: "Confirm my reservation",
+    at: "{date} at {time}"
+  },
+  calendar: {
+    title: "Calendar",
+    previous: "Previous month",
+    next: "Next month",
+    today: "Today",
+    weekdays: "Mon,Tue,Wed,Thu,Fri,Sat,Sun",
+    available: "Days with available time slots",
+    full: "Full (waiting list)",
+    day_available: "{count} time slot(s) available",
+    subscribe: "Subscribe to our dates",
+    subscribe_help: "(link to add to your calendar: Google, Apple, Outlook…)"
+  },
+  slots: {
+    none: "No time slots available at the moment.",
+    title: "Time slots on {date}",
+    location: "Place",
+    remaining: "Left: {stock}",
+    full: "full",
+    full_title: "Full – waiting list",
+    all_full: "Everything is fully booked.",
+    join_day_waitlist: "Join the waiting list for this day",
+    none_this_day: "No time slots on this day."
+  },
+  reserve: {
+    title: "Book – {date} at {time} – {location}",
+    full: "This time slot is full.",
+    join_waitlist: "Join the waiting list",
+    or: "or",
+    other_slot: "choose another time slot",
+    comment_placeholder: "E.g. varieties, details...",
+    email_label: "Email (to receive the confirmation and find your reservation again)",
+    honeypot: "Leave this field empty",
+    consent: "I agree that my data is used to manage this reservation."
+  },
+  order: {
+    title: "Order",
+    product: "Product",
+    price: "Price",
+    quantity: "Quantity",
+    total: "Total",
+    total_due: "Total due",
+    sold_out: "Sold out",
+    remaining: "{count} left"
+  },
+  payment: {
+    due: "Payment: {amount}",
+    transfer: "By bank transfer",
+    to_account: "to account",
+    with_reference: "with the structured reference:",
+    or_cash: "or in cash at pickup.",
+    received: "Payment received, thank you!"
+  },
+  confirm: {
+    title: "Reservation confirmed",
+    qr_alt: "Pickup QR code",
+    qr_help: "Show this QR code at the stand for a quick pickup.",
+    edit: "Change",
+    cancel: "Cancel",
+    add_to_calendar: "Add to my calendar",
+    no_email: "Remember to give your email to receive the links to change or cancel."
+  },
+  modify: {
+    title: "Change – {date} {time} – {location}",
+    save: "Save"
+  },
+  modified: {
+    title: "Reservation changed",
+    edit_again: "Change again"
+  },
+  cancel: {
+    title: "Cancel the reservation",
+    confirm: "Confirm cancellation",
+    confirm_prompt: "Confirm cancellation?",
+    done_title: "Reservation cancelled",
+    done: "Your reservation has been cancelled."
+  },
+  recover: {
+    title: "Find my reservation",
+    sent: "If an upcoming reservation matches, an email with the links to change and cancel it has just been sent to the address given when booking.",
+    intro: "Lost the confirmation email? Enter the email or phone number used when booking: we will send the links again to the registered email address.",
+    contact: "Email or phone",
+    contact_placeholder: "example@mail.com or 0470 12 34 56",
+    submit: "Send my links again"
+  },
+  waitlist: {
+    title: "Waiting list – {what} – {location}",
+    intro: "It is fully booked for now. Sign up: as soon as a place becomes free, we email it to the first person on the list, who then has a few hours to book.",
+    only_slot: "Only the {time} time slot",
+    any_slot: "Any time slot that day at {location}",
+    email_label: "Email (to receive the offer)",
+    consent: "I agree that my data is used to manage this waiting list.",
+    join: "Join the waiting list",
+    other_slot: "Choose another time slot",
+    offer: "A place became free at {time}.",
+    offer_until: "It is held for you until {until}.",
+    what_slot: "the {time} time slot",
+    what_any: "any time slot",
+    waiting: "You are signed up for {what}, in position {position}.",
+    waiting_help: "As soon as a place becomes free, you will receive it by email at {email}.",
+    claimed: "You booked the offered place. The details were sent to you by email.",
+    expired: "The time to book the offered place has passed, or the time slot has started.",
+    left: "You are no longer on the waiting list.",
+    leave_prompt: "Leave the waiting list?",
+    not_needed: "I no longer need it",
+    leave: "Leave the waiting list"
+  },
+  errors: {
+    required: "Required fields are missing",
+    invalid_phone: "Invalid phone number (e.g. 0470 12 34 56 or +32 470 12 34 56)",
+    invalid_quantity: "Invalid quantity for “{name}”",
+    no_items: "Choose at least one product",
+    product_unavailable: "Product unavailable",
+    slot_not_found: "Time slot not found",
+    slot_full: "This time slot is full",
+    stock_exceeded: "Not enough stock for “{name}”: {left} left",
+    stock_exhausted: "“{name}” is no longer available for this date",
+    reservation_not_found: "Reservation not found",
+    edit_forbidden: "Changes not allowed (time slot has started)",
+    cancel_forbidden: "Cancellation not allowed (time slot has started)",
+    too_many_reservations: "Too many reservations from your connection. Try again in an hour.",
+    reservation_refused: "Your reservation could not be saved. Check the form and try again.",
+    waitlist_required: "Name, phone and a valid email are required",
+    waitlist_not_found: "Sign-up not found",
+    recover_contact: "Enter the email or phone number used when booking.",
+    too_many_requests: "Too many requests. Try again in an hour.",
+    csrf: "Form expired or invalid: reload the page and try again."
+  },
+  email: {
+    subject_suffix: "Apple juice reservation",
+    hello: "Hello {name},",
+    hello_plain: "Hello,",
+    quantity: "Quantity",
+    bottles: "{count} bottle(s)",
+    edit: "Change",
+    cancel: "Cancel",
+    edit_reservation: "Change my reservation",
+    cancel_reservation: "Cancel my reservation",
+    order: "Order",
+    line: "{quantity} × {name} at {price} = {total}",
+    total_due: "Total due",
+    payment: "Payment: {amount} by bank transfer",
+    payment_account: "to {account}",
+    payment_reference: "with the structured reference {reference}, or in cash at pickup.",
+    not_you: "If you did not make this request, you can ignore this email.",
+    confirmation: {
+      subject: "Confirmation",
+      thanks: "Thank you for your reservation!",
+      details: "Details:",
+      support: "Thank you for supporting the Ecaussinnes scouts!",
+      qr: "At the stand, show this QR code for a quick pickup:",
+      qr_alt: "Pickup QR code",
+      qr_file: "pickup"
+    },
+    moved: {
+      subject: "Time change",
+      intro: "Our date has changed and your reservation has been moved.",
+      before: "Before",
+      now: "Now",
+      question: "Does the new time not suit you?"
+    },
+    cancelled: {
+      subject: "Cancellation",
+      by_customer: "Your reservation on {when} ({location}, {bottles}) has been cancelled.",
+      by_organisers: "Your reservation on {when} ({location}, {bottles}) has been cancelled by the organisers.",
+      reason: "Reason",
+      reasons: {
+        slot_removed: "your time slot no longer exists after a change to our date and no nearby time slot was available",
+        presence_deleted: "our presence at this time and place has been cancelled"
+      },
+      closing_customer: "You can book another time slot at any time",
+      closing_organisers: "We apologise. You can choose another time slot"
+    },
+    modified: {
+      subject: "Change",
+      intro: "Your reservation has been changed. New details:",
+      intro_html: "your reservation has been changed."
+    },
+    recovery: {
+      subject: "Your reservations – Apple juice",
+      intro: "Here are the links to your upcoming reservations:",
+      label: "{when} – {location} ({bottles}, {name})"
+    },
+    reminder: {
+      subject: "Reminder – Pick up your apple juice {when} at {time}",
+      title: "Reminder – Pickup {when} at {time}",
+      tomorrow: "tomorrow",
+      today: "today",
+      intro: "A quick reminder: we expect you {when} to pick up your apple juice.",
+      question: "Can’t make it?"
+    },
+    waitlist_joined: {
+      subject: "Waiting list",
+      slot: "the {time} time slot on {date} – {location}",
+      any: "any time slot on {date} – {location}",
+      intro: "You are on the waiting list for {what}.",
+      next: "As soon as a place becomes free, we will email it to you, in order of sign-up.",
+      link: "Follow or leave the waiting list"
+    },
+    waitlist_offer: {
+      subject: "A place became free – {date} at {time}",
+      title: "A place became free!",
+      intro: "A place became free on {date} at {time} – {location}.",
+      until: "It is held for you until {until}: after that, it will be offered to the next person.",
+      book: "Book",
+      link: "Book my place"
+    }
+  },
+  ics: {
+    summary: "Apple juice pickup",
+    name: "Reservation in the name of {name}",
+    order: "Order: {order} ({total})",
+    edit: "Change or cancel: {url}",
+    file: "pickup"
+  }
+};
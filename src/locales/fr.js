@@ -0,0 +1,242 @@
+// Français: tutoiement sur le site, vouvoiement dans les emails
+export default {
+  layout: {
+    home: "Accueil",
+    recover: "Retrouver ma réservation",
+    admin: "Admin",
+    language: "Langue",
+    footer: "Rappel par email la veille du retrait. Données supprimables sur demande."
+  },
+  common: {
+    date: "Date",
+    time: "Heure",
+    location: "Lieu",
+    name: "Nom",
+    first_name: "Prénom",
+    last_name: "Nom",
+    phone: "Téléphone",
+    email: "Email",
+    comment: "Commentaire",
+    comment_optional: "Commentaire (optionnel)",
+    email_placeholder: "exemple@mail.com",
+    phone_placeholder: "0470 12 34 56",
+    back_home: "Revenir à l’accueil",
+    see_slots: "Voir les créneaux disponibles",
+    confirm_reservation: "Confirmer ma réservation",
+    at: "{date} à {time}"
+  },
+  calendar: {
+    title: "Calendrier",
+    previous: "Mois précédent",
+    next: "Mois suivant",
+    today: "Aujourd’hui",
+    weekdays: "Lun,Mar,Mer,Jeu,Ven,Sam,Dim",
+    available: "Jours avec créneaux disponibles",
+    full: "Complet (liste d’attente)",
+    day_available: "{count} créneau(x) disponible(s)",
+    subscribe: "S’abonner à nos présences",
+    subscribe_help: "(lien à ajouter dans ton agenda: Google, Apple, Outlook…)"
+  },
+  slots: {
+    none: "Aucun créneau disponible pour le moment.",
+    title: "Créneaux du {date}",
+    location: "Lieu",
+    remaining: "Reste: {stock}",
+    full: "complet",
+    full_title: "Complet – liste d’attente",
+    all_full: "Tout est complet.",
+    join_day_waitlist: "M’inscrire sur la liste d’attente de ce jour",
+    none_this_day: "Aucun créneau ce jour."
+  },
+  reserve: {
+    title: "Réserver – {date} à {time} – {location}",
+    full: "Ce créneau est complet.",
+    join_waitlist: "M’inscrire sur la liste d’attente",
+    or: "ou",
+    other_slot: "choisir un autre créneau",
+    comment_placeholder: "Ex: variétés, précisions...",
+    email_label: "Email (pour recevoir la confirmation et retrouver ta réservation)",
+    honeypot: "Ne pas remplir ce champ",
+    consent: "J’accepte que mes données soient utilisées pour gérer cette réservation."
+  },
+  order: {
+    title: "Commande",
+    product: "Produit",
+    price: "Prix",
+    quantity: "Quantité",
+    total: "Total",
+    total_due: "Total à payer",
+    sold_out: "Épuisé",
+    remaining: "Reste {count}"
+  },
+  payment: {
+    due: "Paiement: {amount}",
+    transfer: "Par virement",
+    to_account: "sur le compte",
+    with_reference: "avec la communication structurée:",
+    or_cash: "ou en espèces au moment du retrait.",
+    received: "Paiement reçu, merci !"
+  },
+  confirm: {
+    title: "Réservation confirmée",
+    qr_alt: "QR code de retrait",
+    qr_help: "Montre ce QR code au stand pour un retrait rapide.",
+    edit: "Modifier",
+    cancel: "Annuler",
+    add_to_calendar: "Ajouter à mon agenda",
+    no_email: "Pense à indiquer ton email pour recevoir les liens de modification/annulation."
+  },
+  modify: {
+    title: "Modifier – {date} {time} – {location}",
+    save: "Enregistrer"
+  },
+  modified: {
+    title: "Réservation modifiée",
+    edit_again: "Modifier à nouveau"
+  },
+  cancel: {
+    title: "Annuler la réservation",
+    confirm: "Confirmer l’annulation",
+    confirm_prompt: "Confirmer l’annulation ?",
+    done_title: "Réservation annulée",
+    done: "Ta réservation a bien été annulée."
+  },
+  recover: {
+    title: "Retrouver ma réservation",
+    sent: "Si une réservation à venir correspond, un email avec les liens de modification et d’annulation vient d’être envoyé à l’adresse indiquée lors de la réservation.",
+    intro: "Tu as perdu l’email de confirmation ? Indique l’email ou le numéro de téléphone utilisé lors de la réservation: nous renverrons les liens à l’adresse email enregistrée.",
+    contact: "Email ou téléphone",
+    contact_placeholder: "exemple@mail.com ou 0470 12 34 56",
+    submit: "Renvoyer mes liens"
+  },
+  waitlist: {
+    title: "Liste d’attente – {what} – {location}",
+    intro: "C’est complet pour l’instant. Inscris-toi: dès qu’une place se libère, nous l’envoyons par email à la première personne de la liste, qui a alors quelques heures pour réserver.",
+    only_slot: "Uniquement le créneau de {time}",
+    any_slot: "N’importe quel créneau ce jour-là à {location}",
+    email_label: "Email (pour recevoir l’offre de place)",
+    consent: "J’accepte que mes données soient utilisées pour gérer cette liste d’attente.",
+    join: "M’inscrire sur la liste d’attente",
+    other_slot: "Choisir un autre créneau",
+    offer: "Une place s’est libérée à {time}.",
+    offer_until: "Elle t’est réservée jusqu’au {until}.",
+    what_slot: "le créneau de {time}",
+    what_any: "n’importe quel créneau",
+    waiting: "Tu es inscrit·e pour {what}, en position {position}.",
+    waiting_help: "Dès qu’une place se libère, tu la reçois par email à {email}.",
+    claimed: "Tu as réservé la place proposée. Les détails t’ont été envoyés par email.",
+    expired: "Le délai pour réserver la place proposée est dépassé, ou le créneau a commencé.",
+    left: "Tu n’es plus sur la liste d’attente.",
+    leave_prompt: "Quitter la liste d’attente ?",
+    not_needed: "Je n’en ai plus besoin",
+    leave: "Quitter la liste d’attente"
+  },
+  errors: {
+    required: "Champs requis manquants",
+    invalid_phone: "Numéro de téléphone invalide (ex: 0470 12 34 56 ou +32 470 12 34 56)",
+    invalid_quantity: "Quantité invalide pour « {name} »",
+    no_items: "Choisis au moins un produit",
+    product_unavailable: "Produit indisponible",
+    slot_not_found: "Créneau introuvable",
+    slot_full: "Ce créneau est complet",
+    stock_exceeded: "Stock insuffisant pour « {name} »: il en reste {left}",
+    stock_exhausted: "« {name} » n’est plus disponible pour cette présence",
+    reservation_not_found: "Réservation introuvable",
+    edit_forbidden: "Modification non autorisée (créneau commencé)",
+    cancel_forbidden: "Annulation non autorisée (créneau commencé)",
+    too_many_reservations: "Trop de réservations depuis ta connexion. Réessaie dans une heure.",
+    reservation_refused: "Ta réservation n’a pas pu être enregistrée. Vérifie le formulaire et réessaie.",
+    waitlist_required: "Nom, téléphone et email valide sont requis",
+    waitlist_not_found: "Inscription introuvable",
+    recover_contact: "Indique l’email ou le numéro de téléphone utilisé lors de la réservation.",
+    too_many_requests: "Trop de demandes. Réessaie dans une heure.",
+    csrf: "Formulaire expiré ou invalide: recharge la page et réessaie."
+  },
+  email: {
+    subject_suffix: "Réservation jus de pomme",
+    hello: "Bonjour {name},",
+    hello_plain: "Bonjour,",
+    quantity: "Quantité",
+    bottles: "{count} bouteille(s)",
+    edit: "Modifier",
+    cancel: "Annuler",
+    edit_reservation: "Modifier ma réservation",
+    cancel_reservation: "Annuler ma réservation",
+    order: "Commande",
+    line: "{quantity} × {name} à {price} = {total}",
+    total_due: "Total à payer",
+    payment: "Paiement: {amount} par virement",
+    payment_account: "sur {account}",
+    payment_reference: "avec la communication structurée {reference}, ou en espèces au retrait.",
+    not_you: "Si vous n’êtes pas à l’origine de cette demande, vous pouvez ignorer cet email.",
+    confirmation: {
+      subject: "Confirmation",
+      thanks: "Merci pour votre réservation !",
+      details: "Détails:",
+      support: "Merci de soutenir les pionniers d’Ecaussinnes !",
+      qr: "Au stand, montrez ce QR code pour un retrait rapide:",
+      qr_alt: "QR code de retrait",
+      qr_file: "retrait"
+    },
+    moved: {
+      subject: "Changement d’horaire",
+      intro: "Notre présence a été modifiée et votre réservation a été déplacée.",
+      before: "Avant",
+      now: "Maintenant",
+      question: "Ce nouvel horaire ne vous convient pas ?"
+    },
+    cancelled: {
+      subject: "Annulation",
+      by_customer: "Votre réservation du {when} ({location}, {bottles}) a bien été annulée.",
+      by_organisers: "Votre réservation du {when} ({location}, {bottles}) a été annulée par les organisateurs.",
+      reason: "Motif",
+      reasons: {
+        slot_removed: "votre créneau n’existe plus suite à la modification de notre présence et aucun créneau proche n’était disponible",
+        presence_deleted: "notre présence à ce moment et à cet endroit est supprimée"
+      },
+      closing_customer: "Vous pouvez réserver un autre créneau à tout moment",
+      closing_organisers: "Toutes nos excuses. Vous pouvez choisir un autre créneau"
+    },
+    modified: {
+      subject: "Modification",
+      intro: "Votre réservation a bien été modifiée. Nouveaux détails:",
+      intro_html: "votre réservation a bien été modifiée."
+    },
+    recovery: {
+      subject: "Vos réservations – Jus de pomme",
+      intro: "Voici les liens de vos réservations à venir:",
+      label: "{when} – {location} ({bottles}, {name})"
+    },
+    reminder: {
+      subject: "Rappel – Retrait de votre jus de pomme {when} à {time}",
+      title: "Rappel – Retrait {when} à {time}",
+      tomorrow: "demain",
+      today: "aujourd’hui",
+      intro: "Petit rappel: nous vous attendons {when} pour le retrait de votre jus de pomme.",
+      question: "Un empêchement ?"
+    },
+    waitlist_joined: {
+      subject: "Liste d’attente",
+      slot: "le créneau de {time} le {date} – {location}",
+      any: "n’importe quel créneau le {date} – {location}",
+      intro: "Vous êtes sur la liste d’attente pour {what}.",
+      next: "Dès qu’une place se libère, nous vous l’envoyons par email, dans l’ordre d’inscription.",
+      link: "Suivre ou quitter la liste d’attente"
+    },
+    waitlist_offer: {
+      subject: "Une place s’est libérée – {date} à {time}",
+      title: "Une place s’est libérée !",
+      intro: "Une place s’est libérée le {date} à {time} – {location}.",
+      until: "Elle vous est réservée jusqu’au {until}: passé ce délai, elle sera proposée à la personne suivante.",
+      book: "Réserver",
+      link: "Réserver ma place"
+    }
+  },
+  ics: {
+    summary: "Retrait jus de pomme",
+    name: "Réservation au nom de {name}",
+    order: "Commande: {order} ({total})",
+    edit: "Modifier ou annuler: {url}",
+    file: "retrait"
+  }
+};
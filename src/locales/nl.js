@@ -0,0 +1,242 @@
+// Nederlands: "je" op de site, "u" in de e-mails
+export default {
+  layout: {
+    home: "Home",
+    recover: "Mijn reservatie terugvinden",
+    admin: "Admin",
+    language: "Taal",
+    footer: "Herinnering per e-mail de dag voor het afhalen. Gegevens worden op verzoek gewist."
+  },
+  common: {
+    date: "Datum",
+    time: "Uur",
+    location: "Plaats",
+    name: "Naam",
+    first_name: "Voornaam",
+    last_name: "Naam",
+    phone: "Telefoon",
+    email: "E-mail",
+    comment: "Opmerking",
+    comment_optional: "Opmerking (optioneel)",
+    email_placeholder: "voorbeeld@mail.be",
+    phone_placeholder: "0470 12 34 56",
+    back_home: "Terug naar de startpagina",
+    see_slots: "Beschikbare tijdsloten bekijken",
+    confirm_reservation: "Mijn reservatie bevestigen",
+    at: "{date} om {time}"
+  },
+  calendar: {
+    title: "Kalender",
+    previous: "Vorige maand",
+    next: "Volgende maand",
+    today: "Vandaag",
+    weekdays: "Ma,Di,Wo,Do,Vr,Za,Zo",
+    available: "Dagen met vrije tijdsloten",
+    full: "Volzet (wachtlijst)",
+    day_available: "{count} tijdslot(en) vrij",
+    subscribe: "Abonneer je op onze aanwezigheden",
+    subscribe_help: "(link om toe te voegen aan je agenda: Google, Apple, Outlook…)"
+  },
+  slots: {
+    none: "Momenteel geen tijdsloten beschikbaar.",
+    title: "Tijdsloten van {date}",
+    location: "Plaats",
+    remaining: "Nog: {stock}",
+    full: "volzet",
+    full_title: "Volzet – wachtlijst",
+    all_full: "Alles is volzet.",
+    join_day_waitlist: "Inschrijven op de wachtlijst van deze dag",
+    none_this_day: "Geen tijdsloten op deze dag."
+  },
+  reserve: {
+    title: "Reserveren – {date} om {time} – {location}",
+    full: "Dit tijdslot is volzet.",
+    join_waitlist: "Inschrijven op de wachtlijst",
+    or: "of",
+    other_slot: "een ander tijdslot kiezen",
+    comment_placeholder: "Bv. variëteiten, details...",
+    email_label: "E-mail (om de bevestiging te ontvangen en je reservatie terug te vinden)",
+    honeypot: "Dit veld niet invullen",
+    consent: "Ik ga akkoord dat mijn gegevens gebruikt worden om deze reservatie te beheren."
+  },
+  order: {
+    title: "Bestelling",
+    product: "Product",
+    price: "Prijs",
+    quantity: "Aantal",
+    total: "Totaal",
+    total_due: "Te betalen",
+    sold_out: "Uitverkocht",
+    remaining: "Nog {count}"
+  },
+  payment: {
+    due: "Betaling: {amount}",
+    transfer: "Via overschrijving",
+    to_account: "op rekening",
+    with_reference: "met de gestructureerde mededeling:",
+    or_cash: "of contant bij het afhalen.",
+    received: "Betaling ontvangen, bedankt!"
+  },
+  confirm: {
+    title: "Reservatie bevestigd",
+    qr_alt: "QR-code voor het afhalen",
+    qr_help: "Toon deze QR-code aan de stand om snel af te halen.",
+    edit: "Wijzigen",
+    cancel: "Annuleren",
+    add_to_calendar: "Toevoegen aan mijn agenda",
+    no_email: "Vul je e-mailadres in om de links om te wijzigen of te annuleren te ontvangen."
+  },
+  modify: {
+    title: "Wijzigen – {date} {time} – {location}",
+    save: "Opslaan"
+  },
+  modified: {
+    title: "Reservatie gewijzigd",
+    edit_again: "Opnieuw wijzigen"
+  },
+  cancel: {
+    title: "Reservatie annuleren",
+    confirm: "Annulering bevestigen",
+    confirm_prompt: "Annulering bevestigen?",
+    done_title: "Reservatie geannuleerd",
+    done: "Je reservatie is geannuleerd."
+  },
+  recover: {
+    title: "Mijn reservatie terugvinden",
+    sent: "Als er een komende reservatie overeenkomt, is er een e-mail met de links om te wijzigen en te annuleren verstuurd naar het adres dat bij de reservatie werd opgegeven.",
+    intro: "Bevestigingsmail kwijt? Geef het e-mailadres of telefoonnummer op dat je bij de reservatie gebruikte: we sturen de links opnieuw naar het geregistreerde e-mailadres.",
+    contact: "E-mail of telefoon",
+    contact_placeholder: "voorbeeld@mail.be of 0470 12 34 56",
+    submit: "Mijn links opnieuw versturen"
+  },
+  waitlist: {
+    title: "Wachtlijst – {what} – {location}",
+    intro: "Het is momenteel volzet. Schrijf je in: zodra er een plaats vrijkomt, sturen we die per e-mail naar de eerste persoon op de lijst, die dan enkele uren heeft om te reserveren.",
+    only_slot: "Enkel het tijdslot van {time}",
+    any_slot: "Eender welk tijdslot die dag in {location}",
+    email_label: "E-mail (om het aanbod te ontvangen)",
+    consent: "Ik ga akkoord dat mijn gegevens gebruikt worden om deze wachtlijst te beheren.",
+    join: "Inschrijven op de wachtlijst",
+    other_slot: "Een ander tijdslot kiezen",
+    offer: "Er is een plaats vrijgekomen om {time}.",
+    offer_until: "Ze wordt voor jou vastgehouden tot {until}.",
+    what_slot: "het tijdslot van {time}",
+    what_any: "eender welk tijdslot",
+    waiting: "Je staat ingeschreven voor {what}, op plaats {position}.",
+    waiting_help: "Zodra er een plaats vrijkomt, ontvang je die per e-mail op {email}.",
+    claimed: "Je hebt de aangeboden plaats gereserveerd. De details zijn je per e-mail bezorgd.",
+    expired: "De termijn om de aangeboden plaats te reserveren is verstreken, of het tijdslot is begonnen.",
+    left: "Je staat niet meer op de wachtlijst.",
+    leave_prompt: "De wachtlijst verlaten?",
+    not_needed: "Ik heb het niet meer nodig",
+    leave: "De wachtlijst verlaten"
+  },
+  errors: {
+    required: "Verplichte velden ontbreken",
+    invalid_phone: "Ongeldig telefoonnummer (bv. 0470 12 34 56 of +32 470 12 34 56)",
+    invalid_quantity: "Ongeldig aantal voor « {name} »",
+    no_items: "Kies minstens één product",
+    product_unavailable: "Product niet beschikbaar",
+    slot_not_found: "Tijdslot niet gevonden",
+    slot_full: "Dit tijdslot is volzet",
+    stock_exceeded: "Onvoldoende voorraad voor « {name} »: er zijn er nog {left}",
+    stock_exhausted: "« {name} » is niet meer beschikbaar voor deze aanwezigheid",
+    reservation_not_found: "Reservatie niet gevonden",
+    edit_forbidden: "Wijzigen niet toegestaan (tijdslot begonnen)",
+    cancel_forbidden: "Annuleren niet toegestaan (tijdslot begonnen)",
+    too_many_reservations: "Te veel reservaties vanaf je verbinding. Probeer het over een uur opnieuw.",
+    reservation_refused: "Je reservatie kon niet worden opgeslagen. Controleer het formulier en probeer opnieuw.",
+    waitlist_required: "Naam, telefoon en een geldig e-mailadres zijn verplicht",
+    waitlist_not_found: "Inschrijving niet gevonden",
+    recover_contact: "Geef het e-mailadres of telefoonnummer op dat je bij de reservatie gebruikte.",
+    too_many_requests: "Te veel aanvragen. Probeer het over een uur opnieuw.",
+    csrf: "Formulier verlopen of ongeldig: herlaad de pagina en probeer opnieuw."
+  },
+  email: {
+    subject_suffix: "Reservatie appelsap",
+    hello: "Beste {name},",
+    hello_plain: "Hallo,",
+    quantity: "Aantal",
+    bottles: "{count} fles(sen)",
+    edit: "Wijzigen",
+    cancel: "Annuleren",
+    edit_reservation: "Mijn reservatie wijzigen",
+    cancel_reservation: "Mijn reservatie annuleren",
+    order: "Bestelling",
+    line: "{quantity} × {name} aan {price} = {total}",
+    total_due: "Te betalen",
+    payment: "Betaling: {amount} via overschrijving",
+    payment_account: "op {account}",
+    payment_reference: "met de gestructureerde mededeling {reference}, of contant bij het afhalen.",
+    not_you: "Heeft u deze aanvraag niet gedaan, dan mag u deze e-mail negeren.",
+    confirmation: {
+      subject: "Bevestiging",
+      thanks: "Bedankt voor uw reservatie!",
+      details: "Details:",
+      support: "Bedankt om de pioniers van Ecaussinnes te steunen!",
+      qr: "Toon deze QR-code aan de stand om snel af te halen:",
+      qr_alt: "QR-code voor het afhalen",
+      qr_file: "afhalen"
+    },
+    moved: {
+      subject: "Gewijzigd uur",
+      intro: "Onze aanwezigheid werd gewijzigd en uw reservatie werd verplaatst.",
+      before: "Vroeger",
+      now: "Nu",
+      question: "Past dit nieuwe uur u niet?"
+    },
+    cancelled: {
+      subject: "Annulering",
+      by_customer: "Uw reservatie van {when} ({location}, {bottles}) is geannuleerd.",
+      by_organisers: "Uw reservatie van {when} ({location}, {bottles}) werd door de organisatoren geannuleerd.",
+      reason: "Reden",
+      reasons: {
+        slot_removed: "uw tijdslot bestaat niet meer na een wijziging van onze aanwezigheid en er was geen nabij tijdslot vrij",
+        presence_deleted: "onze aanwezigheid op dat moment en op die plaats is geschrapt"
+      },
+      closing_customer: "U kunt op elk moment een ander tijdslot reserveren",
+      closing_organisers: "Onze excuses. U kunt een ander tijdslot kiezen"
+    },
+    modified: {
+      subject: "Wijziging",
+      intro: "Uw reservatie werd gewijzigd. Nieuwe details:",
+      intro_html: "uw reservatie werd gewijzigd."
+    },
+    recovery: {
+      subject: "Uw reservaties – Appelsap",
+      intro: "Hier zijn de links van uw komende reservaties:",
+      label: "{when} – {location} ({bottles}, {name})"
+    },
+    reminder: {
+      subject: "Herinnering – Afhalen van uw appelsap {when} om {time}",
+      title: "Herinnering – Afhalen {when} om {time}",
+      tomorrow: "morgen",
+      today: "vandaag",
+      intro: "Een kleine herinnering: we verwachten u {when} om uw appelsap af te halen.",
+      question: "Verhinderd?"
+    },
+    waitlist_joined: {
+      subject: "Wachtlijst",
+      slot: "het tijdslot van {time} op {date} – {location}",
+      any: "eender welk tijdslot op {date} – {location}",
+      intro: "U staat op de wachtlijst voor {what}.",
+      next: "Zodra er een plaats vrijkomt, sturen we die per e-mail, in volgorde van inschrijving.",
+      link: "De wachtlijst volgen of verlaten"
+    },
+    waitlist_offer: {
+      subject: "Er is een plaats vrijgekomen – {date} om {time}",
+      title: "Er is een plaats vrijgekomen!",
+      intro: "Er is een plaats vrijgekomen op {date} om {time} – {location}.",
+      until: "Ze wordt voor u vastgehouden tot {until}: daarna wordt ze aan de volgende persoon aangeboden.",
+      book: "Reserveren",
+      link: "Mijn plaats reserveren"
+    }
+  },
+  ics: {
+    summary: "Appelsap afhalen",
+    name: "Reservatie op naam van {name}",
+    order: "Bestelling: {order} ({total})",
+    edit: "Wijzigen of annuleren: {url}",
+    file: "afhalen"
+  }
+};
@@ -0,0 +1,52 @@
+import { fileURLToPath } from "url";
+import { sql, transaction, closeStorage } from "./storage.js";
+import { MIGRATIONS } from "./migrations/index.js";
+
+// Migrations du schéma: chacune est appliquée une seule fois, dans sa propre
+// transaction, et notée dans schema_migrations.
+async function ensureMigrationsTable() {
+  await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+}
+
+// [{ id, description, applied_at }] (applied_at null = en attente)
+export async function migrationStatus() {
+  await ensureMigrationsTable();
+  const { rows } = await sql`SELECT id, applied_at FROM schema_migrations`;
+  const applied = new Map(rows.map((r) => [r.id, r.applied_at]));
+  return MIGRATIONS.map((m) => ({ id: m.id, description: m.description, applied_at: applied.get(m.id) || null }));
+}
+
+// Applique les migrations en attente et renvoie leurs ids. Le verrou sur
+// schema_migrations évite qu'un second appel simultané les rejoue.
+export async function migrate() {
+  await ensureMigrationsTable();
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    const done = await transaction(async (tx) => {
+      await tx.sql`LOCK TABLE schema_migrations IN EXCLUSIVE MODE`;
+      const { rows } = await tx.sql`SELECT 1 FROM schema_migrations WHERE id = ${migration.id}`;
+      if (rows.length) return false;
+      await migration.up(tx);
+      await tx.sql`INSERT INTO schema_migrations (id) VALUES (${migration.id})`;
+      return true;
+    });
+    if (done) applied.push(migration.id);
+  }
+  return applied;
+}
+
+// npm run migrate
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    const applied = await migrate();
+    console.log(applied.length ? `Migrations appliquées: ${applied.join(", ")}` : "Schéma à jour, aucune migration en attente");
+  } catch (e) {
+    console.error("Erreur de migration:", e);
+    process.exitCode = 1;
+  } finally {
+    await closeStorage();
+  }
+}
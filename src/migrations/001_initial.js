@@ -0,0 +1,28 @@
+export const description = "Schéma d'origine: présences, créneaux et réservations";
+
+export async function up(tx) {
+  await tx.sql`CREATE TABLE IF NOT EXISTS presences (
+    id SERIAL PRIMARY KEY,
+    location TEXT NOT NULL,
+    date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL
+  );`;
+  await tx.sql`CREATE TABLE IF NOT EXISTS slots (
+    id SERIAL PRIMARY KEY,
+    presence_id INTEGER NOT NULL REFERENCES presences(id) ON DELETE CASCADE,
+    start_at TIMESTAMPTZ NOT NULL,
+    UNIQUE (presence_id, start_at)
+  );`;
+  await tx.sql`CREATE TABLE IF NOT EXISTS reservations (
+    id SERIAL PRIMARY KEY,
+    slot_id INTEGER NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity >= 1),
+    comment TEXT,
+    token TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+}
@@ -0,0 +1,7 @@
+export const description = "Capacité par créneau et stock de bouteilles par présence";
+
+export async function up(tx) {
+  // Capacité: NULL = illimité
+  await tx.sql`ALTER TABLE presences ADD COLUMN IF NOT EXISTS slot_capacity INTEGER CHECK (slot_capacity >= 1);`;
+  await tx.sql`ALTER TABLE presences ADD COLUMN IF NOT EXISTS bottle_stock INTEGER CHECK (bottle_stock >= 0);`;
+}
@@ -0,0 +1,7 @@
+export const description = "Durée des créneaux et pauses";
+
+export async function up(tx) {
+  // Découpage: durée des créneaux et pauses [{ start: "12:00", end: "13:00" }]
+  await tx.sql`ALTER TABLE presences ADD COLUMN IF NOT EXISTS slot_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_minutes > 0);`;
+  await tx.sql`ALTER TABLE presences ADD COLUMN IF NOT EXISTS breaks JSONB NOT NULL DEFAULT '[]'::jsonb;`;
+}
@@ -0,0 +1,20 @@
+import { TIMEZONE } from "../time.js";
+
+export const description = "Fuseau horaire des présences et recalage des anciens créneaux";
+
+export async function up(tx) {
+  // Fuseau des heures de la présence. NULL = anciens créneaux enregistrés
+  // comme si l'heure locale était UTC: on les recale une seule fois.
+  await tx.sql`ALTER TABLE presences ADD COLUMN IF NOT EXISTS timezone TEXT;`;
+  const { rows } = await tx.sql`SELECT id FROM presences WHERE timezone IS NULL FOR UPDATE`;
+  if (!rows.length) return;
+  await tx.sql`ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_presence_id_start_at_key`;
+  await tx.sql`
+    UPDATE slots s
+    SET start_at = (s.start_at AT TIME ZONE 'UTC') AT TIME ZONE ${TIMEZONE}
+    FROM presences p
+    WHERE p.id = s.presence_id AND p.timezone IS NULL
+  `;
+  await tx.sql`ALTER TABLE slots ADD CONSTRAINT slots_presence_id_start_at_key UNIQUE (presence_id, start_at)`;
+  await tx.sql`UPDATE presences SET timezone = ${TIMEZONE} WHERE timezone IS NULL`;
+}
@@ -0,0 +1,5 @@
+export const description = "Email des réservations";
+
+export async function up(tx) {
+  await tx.sql`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS email TEXT;`;
+}
@@ -0,0 +1,27 @@
+export const description = "Limitation de débit, rappels et récapitulatif des commandes";
+
+export async function up(tx) {
+  // Compteurs de limitation de débit (une ligne par tentative)
+  await tx.sql`CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    key TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  await tx.sql`CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx ON rate_limit_hits (key, created_at);`;
+  // Rappels envoyés: un par réservation, type et horaire (un déplacement relance un rappel)
+  await tx.sql`CREATE TABLE IF NOT EXISTS reminder_log (
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    start_at TIMESTAMPTZ NOT NULL,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (reservation_id, kind, start_at)
+  );`;
+  // Changements de commandes en attente du récapitulatif organisateur
+  await tx.sql`CREATE TABLE IF NOT EXISTS order_events (
+    id SERIAL PRIMARY KEY,
+    kind TEXT NOT NULL CHECK (kind IN ('created', 'updated', 'cancelled')),
+    actor TEXT NOT NULL,
+    reservation JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    digested_at TIMESTAMPTZ
+  );`;
+}
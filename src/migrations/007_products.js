@@ -0,0 +1,46 @@
+export const description = "Catalogue de produits, stocks par présence et lignes de commande";
+
+export async function up(tx) {
+  // Catalogue: prix en centimes, stock par présence et par produit (absent = illimité)
+  await tx.sql`CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0
+  );`;
+  await tx.sql`CREATE TABLE IF NOT EXISTS presence_product_stock (
+    presence_id INTEGER NOT NULL REFERENCES presences(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    stock INTEGER NOT NULL CHECK (stock >= 0),
+    PRIMARY KEY (presence_id, product_id)
+  );`;
+  // Lignes de commande; le prix unitaire est figé au moment de la réservation
+  await tx.sql`CREATE TABLE IF NOT EXISTS reservation_items (
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity >= 1),
+    unit_price_cents INTEGER NOT NULL CHECK (unit_price_cents >= 0),
+    PRIMARY KEY (reservation_id, product_id)
+  );`;
+  // quantity = total des unités commandées, total_cents = somme des lignes
+  await tx.sql`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS total_cents INTEGER NOT NULL DEFAULT 0;`;
+  // Reprise de l'ancien modèle « N bouteilles »: produit par défaut, lignes et stocks
+  let { rows: first } = await tx.sql`SELECT id FROM products ORDER BY sort_order, id LIMIT 1`;
+  if (!first.length) {
+    ({ rows: first } = await tx.sql`INSERT INTO products (name, price_cents) VALUES ('Bouteille 1L', 0) RETURNING id`);
+  }
+  const defaultId = first[0].id;
+  await tx.sql`
+    INSERT INTO reservation_items (reservation_id, product_id, quantity, unit_price_cents)
+    SELECT r.id, ${defaultId}, r.quantity, 0
+    FROM reservations r
+    WHERE NOT EXISTS (SELECT 1 FROM reservation_items ri WHERE ri.reservation_id = r.id)
+  `;
+  await tx.sql`
+    INSERT INTO presence_product_stock (presence_id, product_id, stock)
+    SELECT id, ${defaultId}, bottle_stock FROM presences WHERE bottle_stock IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `;
+  await tx.sql`UPDATE presences SET bottle_stock = NULL WHERE bottle_stock IS NOT NULL`;
+}
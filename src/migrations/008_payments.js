@@ -0,0 +1,28 @@
+export const description = "Paiements et retrait au stand";
+
+export async function up(tx) {
+  // Paiements: communication structurée par réservation (voir referenceForId),
+  // montant dû = total_cents, montant payé = somme des paiements enregistrés
+  await tx.sql`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS payment_reference TEXT;`;
+  await tx.sql`CREATE UNIQUE INDEX IF NOT EXISTS reservations_payment_reference_key ON reservations (payment_reference);`;
+  await tx.sql`
+    UPDATE reservations
+    SET payment_reference = lpad(id::text, 10, '0') || lpad(COALESCE(NULLIF(id % 97, 0), 97)::text, 2, '0')
+    WHERE payment_reference IS NULL
+  `;
+  // reservation_id NULL = virement reçu sans réservation correspondante (à attribuer)
+  await tx.sql`CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+    amount_cents INTEGER NOT NULL,
+    method TEXT NOT NULL CHECK (method IN ('transfer', 'cash')),
+    booked_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    communication TEXT,
+    counterparty TEXT,
+    import_key TEXT UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  // Retrait au stand: quand et par quel bénévole
+  await tx.sql`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS collected_at TIMESTAMPTZ;`;
+  await tx.sql`ALTER TABLE reservations ADD COLUMN IF NOT EXISTS collected_by TEXT;`;
+}
@@ -0,0 +1,24 @@
+export const description = "Comptes admin et réinitialisation des mots de passe";
+
+export async function up(tx) {
+  // Comptes admin: password_hash NULL tant que l'invitation n'est pas acceptée,
+  // session_version incrémentée pour invalider les sessions ouvertes
+  await tx.sql`CREATE TABLE IF NOT EXISTS admin_users (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('organiser', 'treasurer', 'volunteer')),
+    password_hash TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    session_version INTEGER NOT NULL DEFAULT 0,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  await tx.sql`CREATE UNIQUE INDEX IF NOT EXISTS admin_users_email_key ON admin_users (lower(email));`;
+  await tx.sql`CREATE TABLE IF NOT EXISTS password_resets (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
+  );`;
+}
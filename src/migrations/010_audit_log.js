@@ -0,0 +1,28 @@
+export const description = "Journal d'audit en ajout seul";
+
+export async function up(tx) {
+  // Journal d'audit des réservations et présences, en ajout seul (trigger)
+  await tx.sql`CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    entity TEXT NOT NULL CHECK (entity IN ('reservation', 'presence')),
+    entity_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('customer', 'admin', 'system')),
+    actor_id TEXT,
+    actor_name TEXT,
+    before JSONB,
+    after JSONB,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  await tx.sql`CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity, entity_id, id);`;
+  await tx.sql`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log est en ajout seul';
+    END
+    $$ LANGUAGE plpgsql;
+  `;
+  await tx.sql`CREATE OR REPLACE TRIGGER audit_log_no_update BEFORE UPDATE OR DELETE ON audit_log FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();`;
+  await tx.sql`CREATE OR REPLACE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();`;
+}
@@ -0,0 +1,31 @@
+export const description = "Clés d'API";
+
+export async function up(tx) {
+  // Clés d'API (seul le hash est gardé); access: "read" ou "write"
+  await tx.sql`CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    access TEXT NOT NULL CHECK (access IN ('read', 'write')),
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  );`;
+  // Changements faits via l'API: auteur "api" dans le journal d'audit
+  await tx.sql`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'audit_log_actor_type_check' AND pg_get_constraintdef(oid) LIKE '%''api''%'
+      ) THEN
+        ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_type_check;
+        ALTER TABLE audit_log ADD CONSTRAINT audit_log_actor_type_check
+          CHECK (actor_type IN ('customer', 'admin', 'system', 'api'));
+      END IF;
+    END
+    $$;
+  `;
+}
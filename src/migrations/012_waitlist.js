@@ -0,0 +1,22 @@
+export const description = "Liste d'attente";
+
+export async function up(tx) {
+  // Liste d'attente: un créneau précis, ou n'importe quel créneau de la présence (slot_id NULL).
+  // Une offre (status "offered") réserve une place du créneau jusqu'à offer_expires_at.
+  await tx.sql`CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    presence_id INTEGER NOT NULL REFERENCES presences(id) ON DELETE CASCADE,
+    slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    email TEXT NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+    offered_slot_id INTEGER REFERENCES slots(id) ON DELETE SET NULL,
+    offer_expires_at TIMESTAMPTZ,
+    reservation_id INTEGER REFERENCES reservations(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  await tx.sql`CREATE INDEX IF NOT EXISTS waitlist_entries_presence_idx ON waitlist_entries (presence_id, status, created_at);`;
+}
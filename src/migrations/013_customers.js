@@ -0,0 +1,46 @@
+import { normalizePhone } from "../phone.js";
+
+export const description = "Clients et téléphones E.164";
+
+export async function up(tx) {
+  // Un client peut avoir plusieurs numéros (après fusion de doublons);
+  // un numéro n'appartient qu'à un client
+  await tx.sql`CREATE TABLE customers (
+    id SERIAL PRIMARY KEY,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );`;
+  await tx.sql`CREATE TABLE customer_phones (
+    phone TEXT PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE
+  );`;
+  await tx.sql`CREATE INDEX customer_phones_customer_idx ON customer_phones (customer_id);`;
+  await tx.sql`ALTER TABLE reservations ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;`;
+  await tx.sql`CREATE INDEX reservations_customer_idx ON reservations (customer_id);`;
+
+  // Réservations existantes: téléphone en E.164 quand il est lisible (sinon gardé tel quel),
+  // un client par numéro avec le nom et l'email de la réservation la plus récente
+  const { rows } = await tx.sql`SELECT id, first_name, last_name, phone, email FROM reservations ORDER BY created_at DESC, id DESC`;
+  const customers = new Map();
+  for (const r of rows) {
+    const phone = normalizePhone(r.phone) || String(r.phone).trim();
+    let customerId = customers.get(phone);
+    if (!customerId) {
+      const { rows: created } = await tx.sql`
+        INSERT INTO customers (first_name, last_name, email) VALUES (${r.first_name}, ${r.last_name}, ${r.email}) RETURNING id
+      `;
+      customerId = created[0].id;
+      customers.set(phone, customerId);
+      await tx.sql`INSERT INTO customer_phones (phone, customer_id) VALUES (${phone}, ${customerId})`;
+    }
+    await tx.sql`UPDATE reservations SET phone=${phone}, customer_id=${customerId} WHERE id=${r.id}`;
+  }
+  const { rows: waiting } = await tx.sql`SELECT id, phone FROM waitlist_entries`;
+  for (const w of waiting) {
+    const phone = normalizePhone(w.phone);
+    if (phone && phone !== w.phone) await tx.sql`UPDATE waitlist_entries SET phone=${phone} WHERE id=${w.id}`;
+  }
+}
@@ -0,0 +1,7 @@
+export const description = "Langue des réservations et de la liste d'attente";
+
+export async function up(tx) {
+  // Langue du client (fr, nl, en): celle des emails envoyés après la réservation
+  await tx.sql`ALTER TABLE reservations ADD COLUMN language TEXT NOT NULL DEFAULT 'fr';`;
+  await tx.sql`ALTER TABLE waitlist_entries ADD COLUMN language TEXT NOT NULL DEFAULT 'fr';`;
+}
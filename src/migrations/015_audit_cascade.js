@@ -0,0 +1,15 @@
+export const description = "Journal d'audit: présence à l'origine des changements en cascade";
+
+export async function up(tx) {
+  // Présence dont la modification ou la suppression a déplacé ou supprimé la réservation;
+  // NULL pour un changement direct
+  await tx.sql`ALTER TABLE audit_log ADD COLUMN cascade_presence_id INTEGER;`;
+  // Entrées existantes: la présence figurait seulement dans la note (journal en ajout seul,
+  // le déclencheur est suspendu le temps de ce rattrapage)
+  await tx.sql`ALTER TABLE audit_log DISABLE TRIGGER audit_log_no_update;`;
+  await tx.sql`
+    UPDATE audit_log SET cascade_presence_id = substring(note FROM '#([0-9]+)$')::int
+    WHERE entity = 'reservation' AND note ~ '^(Modification|Suppression) de la présence #[0-9]+$'
+  `;
+  await tx.sql`ALTER TABLE audit_log ENABLE TRIGGER audit_log_no_update;`;
+}
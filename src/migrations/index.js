@@ -0,0 +1,39 @@
+import * as m001 from "./001_initial.js";
+import * as m002 from "./002_slot_capacity.js";
+import * as m003 from "./003_slot_breaks.js";
+import * as m004 from "./004_slot_timezone.js";
+import * as m005 from "./005_reservation_email.js";
+import * as m006 from "./006_notifications.js";
+import * as m007 from "./007_products.js";
+import * as m008 from "./008_payments.js";
+import * as m009 from "./009_admin_users.js";
+import * as m010 from "./010_audit_log.js";
+import * as m011 from "./011_api_keys.js";
+import * as m012 from "./012_waitlist.js";
+import * as m013 from "./013_customers.js";
+import * as m014 from "./014_languages.js";
+import * as m015 from "./015_audit_cascade.js";
+
+// Migrations dans l'ordre d'application. Une migration appliquée ne se modifie
+// plus: tout changement de schéma passe par un nouveau fichier NNN_nom.js
+// (export description et up(tx)), ajouté en fin de liste.
+// L'ancien ensureSchema est repris par 001 (schéma d'origine), 002 à 005 (une migration
+// par fonctionnalité: capacité, découpage, fuseau horaire, email) et 006 à 012. Elles restent
+// idempotentes (IF NOT EXISTS) pour passer sans erreur sur les bases créées avant les migrations.
+export const MIGRATIONS = [
+  ["001_initial", m001],
+  ["002_slot_capacity", m002],
+  ["003_slot_breaks", m003],
+  ["004_slot_timezone", m004],
+  ["005_reservation_email", m005],
+  ["006_notifications", m006],
+  ["007_products", m007],
+  ["008_payments", m008],
+  ["009_admin_users", m009],
+  ["010_audit_log", m010],
+  ["011_api_keys", m011],
+  ["012_waitlist", m012],
+  ["013_customers", m013],
+  ["014_languages", m014],
+  ["015_audit_cascade", m015]
+].map(([id, m]) => ({ id, description: m.description, up: m.up }));
@@ -0,0 +1,16 @@
+// Montants stockés en centimes (entiers), affichés à la belge: "12,50 €"
+
+export function formatPrice(cents) {
+  const value = Number(cents || 0);
+  const sign = value < 0 ? "-" : "";
+  const abs = Math.abs(value);
+  return `${sign}${Math.floor(abs / 100)},${String(abs % 100).padStart(2, "0")} €`;
+}
+
+// "12,5" / "12.50" / "12 €" => 1250; null si invalide
+export function parsePrice(input) {
+  const text = String(input ?? "").replace(/€/g, "").replace(/\s/g, "").replace(",", ".");
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+  const [units, decimals = ""] = text.split(".");
+  return Number(units) * 100 + Number(decimals.padEnd(2, "0"));
+}
@@ -0,0 +1,308 @@
+import { PAGE_SIZE, MAX_PAGE_SIZE } from "./api.js";
+import { LANGUAGES, DEFAULT_LANGUAGE } from "./i18n.js";
+
+// Description OpenAPI 3.0 de l'API v1, servie sur /api/v1/openapi.json
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const query = (name, schema, description) => ({ name, in: "query", required: false, schema, description });
+const path = (name, schema) => ({ name, in: "path", required: true, schema });
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const single = (name) => json({ type: "object", properties: { data: ref(name) } });
+const page = (name) => json({
+  type: "object",
+  properties: { data: { type: "array", items: ref(name) }, pagination: ref("Pagination") }
+});
+const error = (description) => ({ description, ...json(ref("Error")) });
+
+const PAGINATION_PARAMS = [
+  query("limit", { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: PAGE_SIZE }, "Nombre d'éléments par page"),
+  query("offset", { type: "integer", minimum: 0, default: 0 }, "Position du premier élément")
+];
+const ERRORS = {
+  400: error("Paramètre ou JSON invalide"),
+  401: error("Clé d'API manquante, invalide ou révoquée")
+};
+const WRITE_ERRORS = {
+  ...ERRORS,
+  403: error("Clé d'API en lecture seule"),
+  422: error("Champ invalide (details.field)")
+};
+const NOTIFY = { type: "boolean", default: true, description: "Envoyer l'email au client s'il a donné son adresse" };
+
+const LANGUAGE = { type: "string", enum: Object.keys(LANGUAGES), default: DEFAULT_LANGUAGE, description: "Langue des emails envoyés au client" };
+const time = { type: "string", pattern: "^\\d{2}:\\d{2}$", example: "09:00" };
+const presenceInput = {
+  type: "object",
+  properties: {
+    location: { type: "string" },
+    date: { type: "string", format: "date" },
+    start_time: time,
+    end_time: time,
+    slot_minutes: { type: "integer" },
+    slot_capacity: { type: "integer", nullable: true, description: "null = illimitée" },
+    breaks: { type: "array", items: ref("Break") },
+    stocks: {
+      type: "object",
+      additionalProperties: { type: "integer", nullable: true },
+      description: "Stock par product_id, null = illimité"
+    }
+  }
+};
+const reservationInput = {
+  type: "object",
+  properties: {
+    first_name: { type: "string" },
+    last_name: { type: "string" },
+    phone: { type: "string", description: "Enregistré au format E.164; sans indicatif, numéro belge (0470… => +32470…)" },
+    email: { type: "string", nullable: true },
+    comment: { type: "string", nullable: true },
+    language: LANGUAGE,
+    items: { type: "array", items: ref("ItemInput") },
+    notify: NOTIFY
+  }
+};
+
+export function openApiSpec(baseUrl) {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Réservations – API",
+      version: "1.0.0",
+      description: "Présences, créneaux et réservations. Authentification par clé d'API (créée dans l'admin): "
+        + "en-tête « Authorization: Bearer <clé> » ou « X-API-Key: <clé> ». Une clé en écriture peut aussi lire."
+    },
+    servers: [{ url: `${baseUrl}/api/v1` }],
+    security: [{ bearer: [] }, { apiKey: [] }],
+    paths: {
+      "/presences": {
+        get: {
+          summary: "Lister les présences",
+          parameters: [
+            query("from", { type: "string", format: "date" }, "Date minimale"),
+            query("to", { type: "string", format: "date" }, "Date maximale"),
+            query("location", { type: "string" }, "Lieu (recherche partielle)"),
+            ...PAGINATION_PARAMS
+          ],
+          responses: { 200: { description: "Page de présences", ...page("Presence") }, ...ERRORS }
+        },
+        post: {
+          summary: "Créer une présence et ses créneaux",
+          requestBody: { required: true, ...json({ ...presenceInput, required: ["location", "date", "start_time", "end_time"] }) },
+          responses: { 201: { description: "Présence créée", ...single("Presence") }, ...WRITE_ERRORS }
+        }
+      },
+      "/presences/{id}": {
+        parameters: [path("id", { type: "integer" })],
+        get: {
+          summary: "Détail d'une présence",
+          responses: { 200: { description: "Présence", ...single("Presence") }, 404: error("Présence introuvable"), ...ERRORS }
+        },
+        patch: {
+          summary: "Modifier une présence",
+          description: "Les champs absents gardent leur valeur. Si des réservations sont déplacées, annulées ou changent de date/lieu, "
+            + "la réponse 409 plan_confirmation_required décrit le plan: renvoyer la requête avec son plan_key pour l'appliquer. "
+            + "Les clients concernés sont prévenus par email.",
+          requestBody: { required: true, ...json({ ...presenceInput, properties: { ...presenceInput.properties, plan_key: { type: "string" } } }) },
+          responses: {
+            200: { description: "Présence modifiée", ...single("Presence") },
+            404: error("Présence introuvable"),
+            409: error("Plan à confirmer (plan_confirmation_required) ou changé entre-temps (plan_changed)"),
+            ...WRITE_ERRORS
+          }
+        },
+        delete: {
+          summary: "Supprimer une présence",
+          description: "Ses réservations sont annulées et les clients prévenus par email.",
+          responses: { 204: { description: "Présence supprimée" }, 404: error("Présence introuvable"), ...WRITE_ERRORS }
+        }
+      },
+      "/slots": {
+        get: {
+          summary: "Lister les créneaux à venir",
+          parameters: [
+            query("date", { type: "string", format: "date" }, "Date de la présence"),
+            query("location", { type: "string" }, "Lieu (recherche partielle)"),
+            query("presence_id", { type: "integer" }, "Présence"),
+            query("available", { type: "boolean" }, "Uniquement les créneaux encore réservables"),
+            ...PAGINATION_PARAMS
+          ],
+          responses: { 200: { description: "Page de créneaux", ...page("Slot") }, ...ERRORS }
+        }
+      },
+      "/slots/{id}": {
+        parameters: [path("id", { type: "integer" })],
+        get: {
+          summary: "Détail d'un créneau et produits disponibles",
+          responses: { 200: { description: "Créneau", ...single("Slot") }, 404: error("Créneau introuvable"), ...ERRORS }
+        }
+      },
+      "/reservations": {
+        get: {
+          summary: "Lister les réservations",
+          parameters: [
+            query("date", { type: "string", format: "date" }, "Date de la présence"),
+            query("location", { type: "string" }, "Lieu (recherche partielle)"),
+            query("presence_id", { type: "integer" }, "Présence"),
+            query("payment", { type: "string", enum: ["unpaid", "partial", "paid", "overpaid"] }, "Statut de paiement"),
+            ...PAGINATION_PARAMS
+          ],
+          responses: { 200: { description: "Page de réservations", ...page("Reservation") }, ...ERRORS }
+        },
+        post: {
+          summary: "Créer une réservation",
+          requestBody: {
+            required: true,
+            ...json({
+              ...reservationInput,
+              properties: { slot_id: { type: "integer" }, ...reservationInput.properties },
+              required: ["slot_id", "first_name", "last_name", "phone", "items"]
+            })
+          },
+          responses: {
+            201: { description: "Réservation créée", ...single("Reservation") },
+            404: error("Créneau introuvable (slot_not_found)"),
+            409: error("Créneau complet (slot_full) ou stock insuffisant (stock_exceeded)"),
+            ...WRITE_ERRORS
+          }
+        }
+      },
+      "/reservations/{token}": {
+        parameters: [path("token", { type: "string" })],
+        get: {
+          summary: "Détail d'une réservation",
+          responses: { 200: { description: "Réservation", ...single("Reservation") }, 404: error("Réservation introuvable"), ...ERRORS }
+        },
+        patch: {
+          summary: "Modifier une réservation",
+          description: "Les champs absents gardent leur valeur; items remplace toutes les lignes de la commande.",
+          requestBody: { required: true, ...json(reservationInput) },
+          responses: {
+            200: { description: "Réservation modifiée", ...single("Reservation") },
+            404: error("Réservation introuvable"),
+            409: error("Créneau complet ou stock insuffisant"),
+            ...WRITE_ERRORS
+          }
+        },
+        delete: {
+          summary: "Annuler une réservation",
+          parameters: [query("notify", NOTIFY, "Prévenir le client par email")],
+          responses: { 204: { description: "Réservation annulée" }, 404: error("Réservation introuvable"), ...WRITE_ERRORS }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer" },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" }
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            error: {
+              type: "object",
+              required: ["code", "message"],
+              properties: { code: { type: "string" }, message: { type: "string" }, details: { type: "object" } }
+            }
+          }
+        },
+        Pagination: {
+          type: "object",
+          properties: {
+            limit: { type: "integer" },
+            offset: { type: "integer" },
+            total: { type: "integer" },
+            next_offset: { type: "integer", nullable: true }
+          }
+        },
+        Break: { type: "object", properties: { start: time, end: time } },
+        ProductAvailability: {
+          type: "object",
+          properties: {
+            product_id: { type: "integer" },
+            name: { type: "string" },
+            price_cents: { type: "integer" },
+            stock: { type: "integer", nullable: true },
+            remaining: { type: "integer", nullable: true }
+          }
+        },
+        Presence: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            location: { type: "string" },
+            date: { type: "string", format: "date" },
+            start_time: time,
+            end_time: time,
+            timezone: { type: "string" },
+            slot_minutes: { type: "integer" },
+            slot_capacity: { type: "integer", nullable: true },
+            breaks: { type: "array", items: ref("Break") },
+            slots_count: { type: "integer" },
+            reservations_count: { type: "integer" },
+            units_reserved: { type: "integer" },
+            collected_count: { type: "integer" },
+            waitlist_count: { type: "integer", description: "Personnes en liste d'attente" },
+            products: { type: "array", items: ref("ProductAvailability") }
+          }
+        },
+        Slot: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            presence_id: { type: "integer" },
+            start_at: { type: "string", format: "date-time" },
+            location: { type: "string" },
+            date: { type: "string", format: "date" },
+            slot_capacity: { type: "integer", nullable: true },
+            reservations_count: { type: "integer" },
+            is_full: { type: "boolean" },
+            products: { type: "array", items: ref("ProductAvailability") }
+          }
+        },
+        ItemInput: {
+          type: "object",
+          required: ["product_id", "quantity"],
+          properties: { product_id: { type: "integer" }, quantity: { type: "integer", minimum: 0 } }
+        },
+        Reservation: {
+          type: "object",
+          properties: {
+            token: { type: "string" },
+            slot_id: { type: "integer" },
+            presence_id: { type: "integer" },
+            start_at: { type: "string", format: "date-time" },
+            location: { type: "string" },
+            date: { type: "string", format: "date" },
+            customer_id: { type: "integer", nullable: true, description: "Client, identifié par son numéro de téléphone" },
+            first_name: { type: "string" },
+            last_name: { type: "string" },
+            phone: { type: "string", example: "+32470123456" },
+            email: { type: "string", nullable: true },
+            comment: { type: "string", nullable: true },
+            language: LANGUAGE,
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  product_id: { type: "integer" },
+                  name: { type: "string" },
+                  quantity: { type: "integer" },
+                  unit_price_cents: { type: "integer" }
+                }
+              }
+            },
+            quantity: { type: "integer" },
+            total_cents: { type: "integer" },
+            amount_paid_cents: { type: "integer" },
+            payment_status: { type: "string", enum: ["free", "unpaid", "partial", "paid", "overpaid"] },
+            payment_reference: { type: "string", nullable: true },
+            collected_at: { type: "string", format: "date-time", nullable: true },
+            collected_by: { type: "string", nullable: true },
+            created_at: { type: "string", format: "date-time" }
+          }
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,168 @@
+import { parseCsv } from "./csv.js";
+
+// Communication structurée belge: 10 chiffres + contrôle modulo 97 (97 si le reste vaut 0)
+function checkDigits(base10) {
+  const rest = Number(BigInt(base10) % 97n);
+  return String(rest === 0 ? 97 : rest).padStart(2, "0");
+}
+
+export function isValidReference(digits) {
+  return /^\d{12}$/.test(digits) && checkDigits(digits.slice(0, 10)) === digits.slice(10);
+}
+
+// Référence d'une réservation, dérivée de son id: unique sans table de compteur
+export function referenceForId(id) {
+  const base = String(id).padStart(10, "0");
+  return base + checkDigits(base);
+}
+
+// "123456789002" => "+++123/4567/89002+++"
+export function formatReference(digits) {
+  if (!digits) return "";
+  return `+++${digits.slice(0, 3)}/${digits.slice(3, 7)}/${digits.slice(7)}+++`;
+}
+
+// Retrouve une communication structurée valide dans un texte libre
+// ("+++123/4567/89002+++", "***123/4567/89002***" ou 12 chiffres collés)
+export function extractReference(text) {
+  const value = String(text || "");
+  const formatted = /[+*]{3}\s*(\d{3})\s*\/?\s*(\d{4})\s*\/?\s*(\d{5})\s*[+*]{3}/.exec(value);
+  if (formatted) {
+    const digits = formatted[1] + formatted[2] + formatted[3];
+    if (isValidReference(digits)) return digits;
+  }
+  for (const m of value.matchAll(/(?<!\d)\d{12}(?!\d)/g)) {
+    if (isValidReference(m[0])) return m[0];
+  }
+  return null;
+}
+
+// Statut de paiement d'une réservation
+export function paymentStatus(dueCents, paidCents) {
+  const due = Number(dueCents || 0);
+  const paid = Number(paidCents || 0);
+  if (due === 0 && paid === 0) return "free";
+  if (paid === 0) return "unpaid";
+  if (paid < due) return "partial";
+  if (paid > due) return "overpaid";
+  return "paid";
+}
+
+export const PAYMENT_METHODS = { transfer: "Virement", cash: "Espèces" };
+
+// "1.234,56" / "1234.56" / "-12,50 €" => centimes; null si illisible
+export function parseAmount(input) {
+  let text = String(input ?? "").replace(/[€\s]/g, "").replace(/EUR/i, "");
+  if (!text) return null;
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  const decimalSep = lastComma > lastDot ? "," : ".";
+  const thousandsSep = decimalSep === "," ? "." : ",";
+  text = text.split(thousandsSep).join("").replace(decimalSep, ".");
+  if (!/^[-+]?\d+(\.\d+)?$/.test(text)) return null;
+  return Math.round(Number(text) * 100);
+}
+
+function parseDate(input) {
+  const text = String(input || "").trim();
+  let m = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/.exec(text);
+  if (!m) return null;
+  const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+  return `${year}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+// En-têtes des exports CSV des banques belges (FR/NL/EN)
+const BANK_HEADERS = {
+  date: ["date", "date de comptabilisation", "date d'exécution", "date valeur", "boekingsdatum", "datum", "uitvoeringsdatum", "booking date"],
+  amount: ["montant", "bedrag", "amount", "montant (eur)"],
+  communication: ["communication", "communications", "mededeling", "mededelingen", "message", "description", "libellé", "omschrijving", "détails", "details"],
+  counterparty: ["nom de la contrepartie", "contrepartie", "naam tegenpartij", "tegenpartij", "naam van de tegenpartij", "counterparty", "counterparty name", "nom"]
+};
+
+function findBankHeader(rows) {
+  for (let i = 0; i < Math.min(rows.length, 15); i++) {
+    const cells = rows[i].map((c) => c.trim().toLowerCase());
+    const idx = {};
+    for (const [field, aliases] of Object.entries(BANK_HEADERS)) {
+      idx[field] = cells.findIndex((c) => aliases.includes(c));
+    }
+    if (idx.date >= 0 && idx.amount >= 0) return { line: i, idx };
+  }
+  return null;
+}
+
+function parseBankCsv(text) {
+  const rows = parseCsv(text);
+  const header = findBankHeader(rows);
+  if (!header) return { transfers: [], error: "En-têtes non reconnus: il faut au moins une colonne date et une colonne montant" };
+  const { idx } = header;
+  const transfers = [];
+  rows.slice(header.line + 1).forEach((cells, i) => {
+    const amount_cents = parseAmount(cells[idx.amount]);
+    const communication = idx.communication >= 0 ? (cells[idx.communication] || "").trim() : "";
+    transfers.push({
+      line: header.line + i + 2,
+      date: parseDate(cells[idx.date]),
+      amount_cents,
+      communication,
+      counterparty: idx.counterparty >= 0 ? (cells[idx.counterparty] || "").trim() : "",
+      reference: extractReference(communication) || extractReference(cells.join(" ")),
+      bank_ref: ""
+    });
+  });
+  return { transfers, error: null };
+}
+
+// CODA (format bancaire belge, lignes de 128 caractères): enregistrements 21/22/23
+function codaDate(ddmmyy) {
+  return /^\d{6}$/.test(ddmmyy) ? `20${ddmmyy.slice(4, 6)}-${ddmmyy.slice(2, 4)}-${ddmmyy.slice(0, 2)}` : null;
+}
+
+function parseCoda(text) {
+  const transfers = [];
+  let current = null;
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.padEnd(128, " ");
+    const type = line.slice(0, 2);
+    if (type === "21") {
+      const sign = line[31] === "1" ? -1 : 1;
+      const structured = line[61] === "1" && line.slice(62, 65) === "101";
+      current = {
+        line: i + 1,
+        date: codaDate(line.slice(115, 121)),
+        amount_cents: sign * Math.round(Number(line.slice(32, 47)) / 10),
+        communication: structured ? formatReference(line.slice(65, 77)) : line.slice(62, 115).trim(),
+        counterparty: "",
+        reference: structured && isValidReference(line.slice(65, 77)) ? line.slice(65, 77) : null,
+        bank_ref: line.slice(10, 31).trim()
+      };
+      transfers.push(current);
+    } else if (type === "22" && current) {
+      if (!current.reference) current.communication = `${current.communication} ${line.slice(10, 63).trim()}`.trim();
+    } else if (type === "23" && current) {
+      current.counterparty = line.slice(47, 82).trim();
+      if (!current.reference) current.communication = `${current.communication} ${line.slice(82, 125).trim()}`.trim();
+    }
+  });
+  for (const t of transfers) {
+    if (!t.reference) t.reference = extractReference(t.communication);
+  }
+  return { transfers, error: transfers.length ? null : "Aucun mouvement trouvé dans le fichier CODA" };
+}
+
+// Extrait de compte CSV ou CODA; seuls les crédits sont gardés.
+// Chaque virement reçoit une clé stable pour ne pas l'importer deux fois.
+export function parseBankStatement(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  if (!input.trim()) return { transfers: [], error: "Le fichier est vide" };
+  const isCoda = /^0000\d/.test(input) && input.split(/\r?\n/).some((l) => l.startsWith("21"));
+  const { transfers, error } = isCoda ? parseCoda(input) : parseBankCsv(input);
+  if (error) return { transfers: [], error };
+  const credits = transfers.filter((t) => t.amount_cents > 0 && t.date);
+  for (const t of credits) {
+    t.import_key = [t.date, t.amount_cents, t.bank_ref || t.reference || t.communication, t.counterparty].join("|");
+  }
+  return { transfers: credits, error: credits.length ? null : "Aucun virement entrant trouvé" };
+}
@@ -0,0 +1,38 @@
+// Numéros de téléphone au format E.164 (+32470123456).
+// Sans indicatif international, le numéro est considéré comme belge.
+export const DEFAULT_COUNTRY_CODE = "32";
+
+// "0470 12 34 56", "+32 (0)470/12.34.56", "0032470123456" => "+32470123456"; null si invalide
+export function normalizePhone(input) {
+  let text = String(input ?? "").trim().replace(/\(0\)/g, "");
+  if (!text || /[^0-9+\s./()-]/.test(text)) return null;
+  text = text.replace(/[\s./()-]/g, "");
+  if (text.startsWith("00")) text = `+${text.slice(2)}`;
+  if (text.lastIndexOf("+") > 0) return null;
+
+  let number;
+  if (text.startsWith("+")) number = text.slice(1);
+  else if (text.startsWith("0")) number = DEFAULT_COUNTRY_CODE + text.slice(1);
+  else number = DEFAULT_COUNTRY_CODE + text;
+
+  // E.164: 15 chiffres max, pas de 0 après l'indicatif
+  if (!/^[1-9]\d{6,14}$/.test(number)) return null;
+  if (number.startsWith("32")) {
+    // Belgique: 8 chiffres (fixe) ou 9 chiffres (mobile 4xx)
+    const national = number.slice(2);
+    if (!/^[1-9]\d{7}$/.test(national) && !/^4\d{8}$/.test(national)) return null;
+  }
+  return `+${number}`;
+}
+
+// Affichage lisible: "+32 470 12 34 56", "+32 2 123 45 67", "+32 10 12 34 56"; le reste tel quel
+export function formatPhone(phone) {
+  const text = String(phone ?? "");
+  const match = /^\+32(\d{8,9})$/.exec(text);
+  if (!match) return text;
+  const national = match[1];
+  if (national.length === 9) return `+32 ${national.slice(0, 3)} ${national.slice(3, 5)} ${national.slice(5, 7)} ${national.slice(7)}`;
+  // Zones à un chiffre: Bruxelles, Anvers, Liège, Gand
+  if (/^[2349]/.test(national)) return `+32 ${national[0]} ${national.slice(1, 4)} ${national.slice(4, 6)} ${national.slice(6)}`;
+  return `+32 ${national.slice(0, 2)} ${national.slice(2, 4)} ${national.slice(4, 6)} ${national.slice(6)}`;
+}
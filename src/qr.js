@@ -0,0 +1,22 @@
+import QRCode from "qrcode";
+
+// Le QR code du client pointe vers la page de check-in admin de sa réservation:
+// scanné avec l'appareil photo d'un bénévole connecté, il ouvre directement la commande.
+export function checkinUrl(baseUrl, token) {
+  return `${baseUrl}/admin/checkin/${token}`;
+}
+
+// Jeton d'une réservation à partir du contenu scanné (URL de check-in ou jeton seul)
+export function tokenFromScan(text) {
+  const value = String(text || "").trim();
+  const m = /\/admin\/checkin\/([0-9a-f-]{36})/i.exec(value) || /^([0-9a-f-]{36})$/i.exec(value);
+  return m ? m[1].toLowerCase() : null;
+}
+
+export function qrDataUrl(text) {
+  return QRCode.toDataURL(text, { margin: 1, width: 240 });
+}
+
+export function qrPng(text) {
+  return QRCode.toBuffer(text, { margin: 1, width: 240 });
+}
@@ -0,0 +1,93 @@
+import { normalizeDate } from "./imports.js";
+import { computeSlotTimes } from "./slots.js";
+
+// Récurrence des présences (dates "YYYY-MM-DD", calculées en UTC pour ignorer les changements d'heure)
+export const WEEKDAYS = [
+  [1, "Lundi"],
+  [2, "Mardi"],
+  [3, "Mercredi"],
+  [4, "Jeudi"],
+  [5, "Vendredi"],
+  [6, "Samedi"],
+  [0, "Dimanche"]
+];
+export const MAX_OCCURRENCES = 100;
+export const MAX_DUPLICATE_WEEKS = 26;
+
+export function weekday(iso) {
+  return new Date(`${iso}T00:00:00Z`).getUTCDay();
+}
+
+export function addDays(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Lundi de la semaine d'une date
+export function weekStart(iso) {
+  return addDays(iso, -((weekday(iso) + 6) % 7));
+}
+
+// "2025-10-04, 11/10/2025" => { dates: ["2025-10-04", "2025-10-11"] }
+export function parseDateList(text) {
+  const dates = [];
+  for (const part of String(text || "").split(/[\s,;]+/)) {
+    if (!part) continue;
+    const date = normalizeDate(part);
+    if (!date) return { error: `Date invalide: « ${part} »` };
+    dates.push(date);
+  }
+  return { dates };
+}
+
+// Chaque jour de `weekdays` entre start et until (inclus), sauf les dates exclues
+export function expandRecurrence({ start, until, weekdays, excluded = [] }) {
+  const days = new Set(weekdays.map(Number));
+  const skip = new Set(excluded);
+  const dates = [];
+  for (let date = start; date <= until; date = addDays(date, 1)) {
+    if (days.has(weekday(date)) && !skip.has(date)) dates.push(date);
+  }
+  return dates;
+}
+
+// Champs "Répéter" du formulaire de présence: null si la présence n'est pas répétée
+export function parseRecurrenceFields(body, start) {
+  if (!body.repeat) return { dates: null };
+  const weekdays = [].concat(body.weekdays || []).map(Number).filter((d) => d >= 0 && d <= 6);
+  if (!weekdays.length) return { error: "Choisis au moins un jour de la semaine" };
+  const until = normalizeDate(body.until);
+  if (!until) return { error: "Date de fin de la répétition invalide" };
+  if (until < start) return { error: "La date de fin de la répétition doit être après la première date" };
+  const excluded = parseDateList(body.excluded);
+  if (excluded.error) return { error: excluded.error };
+  const dates = expandRecurrence({ start, until, weekdays, excluded: excluded.dates });
+  if (!dates.length) return { error: "Aucune date ne correspond à ces jours" };
+  if (dates.length > MAX_OCCURRENCES) return { error: `Maximum ${MAX_OCCURRENCES} présences à la fois (${dates.length} demandées)` };
+  return { dates };
+}
+
+// Copies des présences sources sur les `weeks` semaines suivantes, sauf aux dates exclues
+export function duplicateWeeks(sources, weeks, excluded = []) {
+  const skip = new Set(excluded);
+  const copies = [];
+  for (let week = 1; week <= weeks; week++) {
+    for (const source of sources) {
+      const date = addDays(source.date, 7 * week);
+      if (!skip.has(date)) copies.push({ ...source, date });
+    }
+  }
+  return copies;
+}
+
+// Présences à créer, comparées aux présences existantes (même lieu, date et heure de début = doublon, ignoré)
+export function planPresences(presences, existing = []) {
+  const key = (p) => `${p.location.trim().toLowerCase()}|${String(p.date).slice(0, 10)}|${String(p.start_time).slice(0, 5)}`;
+  const seen = new Set(existing.map(key));
+  return presences.map((p) => {
+    const exists = seen.has(key(p));
+    seen.add(key(p));
+    return { ...p, weekday: weekday(p.date), slots_count: computeSlotTimes(p).length, exists };
+  });
+}
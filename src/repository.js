@@ -0,0 +1,62 @@
+import * as postgres from "./db.js";
+
+// Dépôt de données (repository): les seules fonctions d'accès aux données que
+// l'application utilise. Les routes et l'API n'écrivent pas de SQL: elles passent
+// par ces fonctions, que chaque dépôt doit toutes fournir.
+// Dépôt choisi par REPOSITORY (défaut "postgres"). Le dépôt Postgres (db.js) tourne
+// sur le pilote choisi par DB_BACKEND dans storage.js: Vercel Postgres, pg en local
+// ou PGlite en mémoire pour les tests.
+export const REPOSITORY_FUNCTIONS = [
+  // Présences et créneaux
+  "createPresence", "listPresences", "getPresenceById", "pagePresences", "listPresencesWithCounts",
+  "countReservationsForPresence", "previewPresenceEdit", "updatePresenceWithRegeneration", "deletePresence",
+  "listPresenceFeed", "listUpcomingSlots", "pageUpcomingSlots", "getSlotById", "listSlotChoices",
+  // Réservations, retrait et rappels
+  "createReservation", "getReservationByToken", "getReservationByReference", "listReservationItems",
+  "updateReservation", "deleteReservationByToken", "listReservations", "pageReservations",
+  "listReservationsForPresence", "findUpcomingReservationsByContact", "markCollected", "unmarkCollected",
+  "searchReservationsForCheckin", "listCollectionBySlot", "listReservationsDueForReminder", "claimReminder",
+  "releaseReminder", "recordOrderEvents", "listUndigestedOrderEvents", "markOrderEventsDigested",
+  // Produits et stock
+  "listProducts", "getProductById", "createProduct", "updateProduct", "listProductAvailability",
+  // Paiements
+  "recordPayment", "deletePayment", "listPaymentsForReservation", "matchBankTransfers", "importBankTransfers",
+  "listUnmatchedPayments", "assignPayment",
+  // Liste d'attente
+  "createWaitlistEntry", "getWaitlistEntryByToken", "cancelWaitlistEntry", "listPresencesWithWaitlist", "processWaitlist",
+  // Comptes admin, clés d'API, limitation de débit
+  "countAdminUsers", "listAdminUsers", "getAdminUserById", "getAdminUserByEmail", "createAdminUser",
+  "updateAdminUser", "countActiveOrganisers", "setAdminPassword", "touchAdminLogin", "createPasswordReset",
+  "getPasswordReset", "consumePasswordReset", "listApiKeys", "createApiKey", "revokeApiKey", "findActiveApiKey",
+  "hitRateLimit",
+  // Clients, audit et statistiques
+  "listCustomers", "getCustomer", "listDuplicateCustomers", "mergeCustomers", "listAuditLog", "getAuditHistory",
+  "listSeasons", "getSeasonStats",
+  // Diagnostic: la base répond
+  "ping"
+];
+// Erreurs levées par les fonctions du dépôt, traduites en messages par les routes
+export const REPOSITORY_ERRORS = ["CapacityError", "PlanChangedError"];
+
+const REPOSITORIES = { postgres };
+
+// Vérifie qu'un dépôt fournit toute l'interface
+export function checkRepository(name, repository) {
+  const missing = [
+    ...REPOSITORY_FUNCTIONS.filter((fn) => typeof repository[fn] !== "function"),
+    ...REPOSITORY_ERRORS.filter((err) => !(repository[err]?.prototype instanceof Error))
+  ];
+  if (missing.length) throw new Error(`Dépôt « ${name} » incomplet: ${missing.join(", ")}`);
+  return repository;
+}
+
+const repositoryName = process.env.REPOSITORY || "postgres";
+if (!REPOSITORIES[repositoryName]) {
+  throw new Error(`REPOSITORY inconnu: « ${repositoryName} » (${Object.keys(REPOSITORIES).join(", ")})`);
+}
+const implementation = checkRepository(repositoryName, REPOSITORIES[repositoryName]);
+// Seule l'interface est exposée, pas les autres exports du module
+const repository = Object.freeze(Object.fromEntries(
+  [...REPOSITORY_FUNCTIONS, ...REPOSITORY_ERRORS].map((name) => [name, implementation[name]])
+));
+export default repository;
@@ -0,0 +1,102 @@
+// Découpage d'une présence en créneaux (heures "HH:MM", sans fuseau)
+
+export const DEFAULT_SLOT_MINUTES = 15;
+export const MIN_SLOT_MINUTES = 5;
+export const MAX_SLOT_MINUTES = 240;
+
+export function toMinutes(hm) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(hm || ""));
+  if (!m) return NaN;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+export function fromMinutes(total) {
+  return String(Math.floor(total / 60)).padStart(2, "0") + ":" + String(total % 60).padStart(2, "0");
+}
+
+// "12:00-13:00, 15:30-15:45" => [{ start: "12:00", end: "13:00" }, ...]
+export function parseBreaks(input) {
+  const text = String(input || "").trim();
+  if (!text) return { breaks: [] };
+  const breaks = [];
+  for (const part of text.split(/[,;\n]+/)) {
+    const chunk = part.trim();
+    if (!chunk) continue;
+    const m = /^(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/.exec(chunk);
+    if (!m) return { error: `Pause invalide: « ${chunk} » (format attendu 12:00-13:00)` };
+    const start = toMinutes(m[1]);
+    const end = toMinutes(m[2]);
+    if (!(start < end)) return { error: `Pause invalide: « ${chunk} » (la fin doit être après le début)` };
+    breaks.push({ start: fromMinutes(start), end: fromMinutes(end) });
+  }
+  breaks.sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+  return { breaks };
+}
+
+export function formatBreaks(breaks) {
+  return (breaks || []).map((b) => `${b.start}-${b.end}`).join(", ");
+}
+
+// Créneaux entiers entre début et fin; un créneau qui chevauche une pause
+// est supprimé et le découpage reprend à la fin de la pause.
+export function computeSlotTimes({ start_time, end_time, slot_minutes = DEFAULT_SLOT_MINUTES, breaks = [] }) {
+  const start = toMinutes(start_time);
+  const end = toMinutes(end_time);
+  const step = Number(slot_minutes);
+  if (isNaN(start) || isNaN(end) || !(step > 0)) return [];
+
+  const windows = (breaks || []).map((b) => [toMinutes(b.start), toMinutes(b.end)]);
+  const times = [];
+  let t = start;
+  while (t + step <= end) {
+    const overlap = windows.find(([bs, be]) => t < be && t + step > bs);
+    if (overlap) {
+      t = overlap[1];
+      continue;
+    }
+    times.push(fromMinutes(t));
+    t += step;
+  }
+  return times;
+}
+
+// Plan de modification d'une présence: les créneaux dont l'heure existe encore
+// sont conservés; les réservations des créneaux supprimés vont vers le créneau
+// le plus proche qui a encore de la place, sinon elles sont orphelines.
+export function planSlotRemap({ slots, reservations, newTimes, slot_capacity = null }) {
+  const existingByHm = new Map(slots.map((s) => [s.hm, s]));
+  const newSet = new Set(newTimes);
+  const kept = slots.filter((s) => newSet.has(s.hm));
+  const removed = slots.filter((s) => !newSet.has(s.hm));
+  const removedIds = new Set(removed.map((s) => s.id));
+  const created = newTimes.filter((hm) => !existingByHm.has(hm));
+
+  const occupancy = new Map(newTimes.map((hm) => [hm, 0]));
+  for (const r of reservations) {
+    if (!removedIds.has(r.slot_id)) occupancy.set(r.hm, (occupancy.get(r.hm) || 0) + 1);
+  }
+
+  const moves = [];
+  const orphans = [];
+  for (const r of reservations) {
+    if (!removedIds.has(r.slot_id)) continue;
+    const from = toMinutes(r.hm);
+    const candidates = [...newTimes].sort((a, b) => (Math.abs(toMinutes(a) - from) - Math.abs(toMinutes(b) - from)) || (toMinutes(a) - toMinutes(b)));
+    const target = candidates.find((hm) => slot_capacity == null || occupancy.get(hm) < slot_capacity);
+    if (!target) {
+      orphans.push(r);
+      continue;
+    }
+    occupancy.set(target, occupancy.get(target) + 1);
+    moves.push({ reservation: r, from: r.hm, to: target });
+  }
+  return { kept, removed, created, moves, orphans };
+}
+
+// Empreinte d'un plan, pour vérifier à la confirmation qu'il n'a pas changé
+export function planKey(plan) {
+  return [
+    ...plan.moves.map((m) => `${m.reservation.id}>${m.to}`),
+    ...plan.orphans.map((r) => `${r.id}>x`)
+  ].sort().join(",");
+}
@@ -0,0 +1,122 @@
+import { AsyncLocalStorage } from "async_hooks";
+import dotenv from "dotenv";
+
+// Chargé ici aussi: le pilote est choisi dès l'import, avant dotenv.config() de app.js
+dotenv.config();
+
+// Pilote Postgres du dépôt de données (db.js, interface dans repository.js), choisi par DB_BACKEND:
+//  - "vercel" (défaut): Vercel Postgres (POSTGRES_URL)
+//  - "postgres": Postgres classique via pg (DATABASE_URL), pour le développement local
+//  - "memory": PGlite (Postgres en mémoire, dépendance de dev), pour les tests
+// Chaque pilote expose la même interface que @vercel/postgres:
+// sql`…` (paramètres $1, $2…), sql.query(texte, params) et transaction(fn),
+// où fn reçoit un client { sql, query } dont les requêtes sont dans la transaction.
+export const BACKENDS = ["vercel", "postgres", "memory"];
+export const backendName = process.env.DB_BACKEND || "vercel";
+if (!BACKENDS.includes(backendName)) {
+  throw new Error(`DB_BACKEND inconnu: « ${backendName} » (${BACKENDS.join(", ")})`);
+}
+
+// DATE => "YYYY-MM-DD" tel quel (sinon minuit dans le fuseau du serveur)
+const DATE_OID = 1082;
+const keepDate = (value) => value;
+
+// sql`… ${a} … ${b}` => query("… $1 … $2", [a, b])
+function tagged(query) {
+  const sql = (strings, ...values) => {
+    if (!Array.isArray(strings) || !Array.isArray(strings.raw)) {
+      throw new Error("sql doit être utilisé comme template: sql`SELECT …`");
+    }
+    const text = strings.reduce((acc, part, i) => `${acc}$${i}${part}`);
+    return query(text, values);
+  };
+  sql.query = query;
+  return sql;
+}
+
+// Transaction sur une connexion dédiée du pool
+async function poolTransaction(connect, fn) {
+  const client = await connect();
+  const tx = tagged((text, params) => client.query(text, params));
+  try {
+    await tx.query("BEGIN");
+    const result = await fn({ sql: tx, query: tx.query });
+    await tx.query("COMMIT");
+    return result;
+  } catch (e) {
+    await tx.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function vercelBackend() {
+  const { sql, types } = await import("@vercel/postgres");
+  types.setTypeParser(DATE_OID, keepDate);
+  return {
+    sql: tagged((text, params) => sql.query(text, params)),
+    transaction: (fn) => poolTransaction(() => sql.connect(), fn),
+    end: () => sql.end()
+  };
+}
+
+async function postgresBackend() {
+  const { default: pg } = await import("pg");
+  if (!process.env.DATABASE_URL) throw new Error("DATABASE_URL manquant pour DB_BACKEND=postgres");
+  pg.types.setTypeParser(DATE_OID, keepDate);
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+  return {
+    sql: tagged((text, params) => pool.query(text, params)),
+    transaction: (fn) => poolTransaction(() => pool.connect(), fn),
+    end: () => pool.end()
+  };
+}
+
+// PGlite n'a qu'une connexion: les transactions passent l'une après l'autre,
+// et une requête hors transaction attend la fin de celle en cours.
+// Les requêtes lancées depuis une transaction (même via sql`…`) y sont rattachées.
+async function memoryBackend() {
+  const { PGlite, types } = await import("@electric-sql/pglite");
+  // Mêmes conversions que pg: bigint et numeric en texte
+  const asText = (value) => value;
+  const db = await PGlite.create({ parsers: { [DATE_OID]: keepDate, [types.INT8]: asText, [types.NUMERIC]: asText } });
+  const current = new AsyncLocalStorage();
+  let queue = Promise.resolve();
+  const exclusive = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+  // rowCount comme pg: lignes modifiées, ou lues pour un SELECT
+  const run = async (text, params) => {
+    const result = await db.query(text, params);
+    return { ...result, rowCount: result.affectedRows || result.rows.length };
+  };
+  const query = (text, params = []) => {
+    if (current.getStore()) return run(text, params);
+    return exclusive(() => run(text, params));
+  };
+  return {
+    sql: tagged(query),
+    transaction: (fn) => exclusive(() => current.run(true, async () => {
+      await db.query("BEGIN");
+      try {
+        const result = await fn({ sql: tagged(query), query });
+        await db.query("COMMIT");
+        return result;
+      } catch (e) {
+        await db.query("ROLLBACK");
+        throw e;
+      }
+    })),
+    end: () => db.close()
+  };
+}
+
+const BACKEND_FACTORIES = { vercel: vercelBackend, postgres: postgresBackend, memory: memoryBackend };
+const backend = await BACKEND_FACTORIES[backendName]();
+
+export const sql = backend.sql;
+export const transaction = backend.transaction;
+export const closeStorage = backend.end;
@@ -0,0 +1,35 @@
+// Fuseau horaire des stands: les heures saisies et affichées sont des heures
+// locales de ce fuseau, quel que soit le fuseau du serveur (UTC sur Vercel).
+export const TIMEZONE = process.env.APP_TIMEZONE || "Europe/Brussels";
+
+const partsFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23"
+});
+
+function localParts(value) {
+  const parts = {};
+  for (const p of partsFormatter.formatToParts(new Date(value))) parts[p.type] = p.value;
+  return parts;
+}
+
+// "HH:MM" d'un instant, dans le fuseau des stands
+export function formatTime(value) {
+  const p = localParts(value);
+  return `${p.hour}:${p.minute}`;
+}
+
+// "YYYY-MM-DD" d'un instant, dans le fuseau des stands
+export function localDay(value) {
+  const p = localParts(value);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export function todayLocal() {
+  return localDay(new Date());
+}
@@ -0,0 +1,92 @@
+import "./setup.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { sql, closeStorage } from "../src/storage.js";
+import { createProduct, createReservation, deletePresence, deleteReservationByToken, getSeasonStats, listSeasons, listUpcomingSlots } from "../src/db.js";
+import { compareSeasons, cumulativeChart, figureToCsv } from "../src/analytics.js";
+import { futureDate, newPresence } from "./helpers.js";
+
+after(() => closeStorage());
+
+const customer = { first_name: "Anne", last_name: "Martin", phone: "+32472222222" };
+
+test("getSeasonStats agrège ventes, remplissage et annulations de la saison", async () => {
+  const date = futureDate(20);
+  const season = Number(date.slice(0, 4));
+  const product = await createProduct({ name: "Jus 5L", price_cents: 1200 });
+  const market = await newPresence({ location: "Marché", date, start_time: "09:00", end_time: "09:30", slot_capacity: 2 });
+  const school = await newPresence({ location: "École", date, start_time: "14:00", end_time: "14:15" });
+  const [first, second] = await listUpcomingSlots({ presenceId: market });
+  const [afternoon] = await listUpcomingSlots({ presenceId: school });
+  const reserve = (slot, quantity, token) => createReservation({ ...customer, slot_id: slot.slot_id, items: [{ product_id: product, quantity }], token });
+  await reserve(first, 2, "stats-1");
+  await reserve(first, 1, "stats-2");
+  await reserve(second, 3, "stats-3");
+  await reserve(afternoon, 4, "stats-4");
+  await deleteReservationByToken("stats-3", { actor: { type: "customer", id: "stats-3", name: "Client" } });
+
+  assert.ok((await listSeasons()).includes(season));
+  const stats = await getSeasonStats(season);
+  assert.deepEqual(stats.byDay, [{ date, reservations: 3, units: 7, total_cents: 8400 }]);
+  assert.deepEqual(stats.byLocation.map((l) => [l.location, l.presences, l.units]), [["École", 1, 4], ["Marché", 1, 3]]);
+  assert.deepEqual(stats.byHour.map((h) => [h.hour, h.slots, h.units]), [["09:00", 2, 3], ["14:00", 1, 4]]);
+  assert.deepEqual(stats.fill.map((p) => [p.location, p.slots, p.reservations, p.full_slots]), [["Marché", 2, 2, 1]]);
+  assert.deepEqual(stats.cancellations, [{ date, cancellations: 1, units: 3, admin_deletes: 0 }]);
+  assert.equal(stats.cumulative.at(-1).cumulative_units, 7);
+  assert.equal(stats.totals.fill_rate, 0.5);
+  assert.equal(stats.totals.cancelled_units, 3);
+
+  const empty = await getSeasonStats(season - 10);
+  assert.equal(empty.totals.units, 0);
+  assert.equal(empty.totals.fill_rate, null);
+  assert.equal(cumulativeChart(empty, null), null);
+  assert.match(figureToCsv("days", stats), new RegExp(`${date};3;7;84`));
+});
+
+test("getSeasonStats ne compte pas les réservations supprimées avec leur présence comme annulations", async () => {
+  const date = futureDate(27);
+  const season = Number(date.slice(0, 4));
+  const product = await createProduct({ name: "Jus 3L", price_cents: 800 });
+  const presence = await newPresence({ location: "Salle", date, start_time: "10:00", end_time: "10:15" });
+  await newPresence({ location: "Parking", date, start_time: "11:00", end_time: "11:00" });
+  const [slot] = await listUpcomingSlots({ presenceId: presence });
+  const reserve = (quantity, token) => createReservation({ ...customer, slot_id: slot.slot_id, items: [{ product_id: product, quantity }], token });
+  await reserve(1, "cascade-1");
+  await reserve(2, "cascade-2");
+  await reserve(1, "cascade-3");
+  const { totals: before, byLocation, byHour } = await getSeasonStats(season);
+  // Une présence sans créneau compte quand même
+  assert.ok(byLocation.some((l) => l.location === "Parking" && l.presences === 1));
+  assert.ok(byHour.some((h) => h.hour === "Sans créneau" && h.slots === 0));
+
+  await deleteReservationByToken("cascade-3", { actor: { type: "admin", id: "1", name: "Admin" } });
+  await deletePresence(presence, { actor: { type: "admin", id: "1", name: "Admin" } });
+  const { totals } = await getSeasonStats(season);
+  assert.equal(totals.cancellations, before.cancellations);
+  assert.equal(totals.cancelled_units, before.cancelled_units);
+  assert.equal(totals.admin_deletes, before.admin_deletes + 1);
+  // Repérées par la présence d'origine, pas par le texte de la note
+  const { rows } = await sql`SELECT entity_id FROM audit_log WHERE entity = 'reservation' AND action = 'delete' AND cascade_presence_id = ${presence}`;
+  assert.equal(rows.length, 2);
+});
+
+test("compareSeasons calcule l'écart en % avec la saison précédente", () => {
+  const totals = (units, total_cents) => ({ presences: 2, reservations: 4, units, total_cents, cancellations: 0, cancelled_units: 0, admin_deletes: 0, fill_rate: null });
+  const rows = compareSeasons({ season: 2025, totals: totals(30, 36000) }, { season: 2024, totals: totals(20, 24000) });
+  const units = rows.find((r) => r.label === "Bouteilles");
+  assert.deepEqual(units, { label: "Bouteilles", current: 30, previous: 20, change: 50 });
+  assert.equal(rows.find((r) => r.label === "Annulations").change, null);
+  assert.ok(compareSeasons({ season: 2025, totals: totals(1, 0) }, null).every((r) => r.previous === null));
+});
+
+test("cumulativeChart aligne les saisons sur le jour de l'année", () => {
+  const chart = cumulativeChart(
+    { season: 2025, cumulative: [{ day: "2025-09-01", cumulative_units: 10 }, { day: "2025-09-11", cumulative_units: 40 }] },
+    { season: 2024, cumulative: [{ day: "2024-09-06", cumulative_units: 20 }] },
+    { width: 130, height: 70, padding: 15 }
+  );
+  assert.equal(chart.maxY, 40);
+  assert.equal(chart.current, "M15.0,45.0 L115.0,45.0 115.0,15.0");
+  assert.match(chart.previous, /^M/);
+  assert.deepEqual(chart.xLabels.map((l) => l.text), ["01/09", "11/09"]);
+});
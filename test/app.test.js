@@ -0,0 +1,282 @@
+import "./setup.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import app from "../src/app.js";
+import { sql, closeStorage } from "../src/storage.js";
+import { createAdminUser, createApiKey, createProduct, getReservationByToken, listPresencesWithCounts, listUpcomingSlots } from "../src/db.js";
+import { hashPassword, newApiKey } from "../src/auth.js";
+import { futureDate, newPresence, startServer } from "./helpers.js";
+
+let server;
+let product;
+before(async () => {
+  server = await startServer(app);
+  product = await createProduct({ name: "Jus 3L", price_cents: 1000 });
+});
+after(async () => {
+  await server.close();
+  await closeStorage();
+});
+
+// Un compte par rôle, créé à la première connexion
+const accounts = new Set();
+async function loginAs(role) {
+  const email = `${role}@example.com`;
+  if (!accounts.has(role)) {
+    await createAdminUser({ name: role, email, role, password_hash: await hashPassword("mot de passe de test") });
+    accounts.add(role);
+  }
+  const client = server.client();
+  await client.get("/admin/login");
+  const res = await client.post("/admin/login", { email, password: "mot de passe de test" });
+  assert.equal(res.status, 302);
+  return client;
+}
+
+const customer = { first_name: "Jeanne", last_name: "Dupont", phone: "0470000000" };
+
+test("la page d'accueil liste les créneaux à venir", async () => {
+  await newPresence({ location: "Marché du samedi" });
+  const res = await server.client().get("/");
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Marché du samedi/);
+});
+
+test("un client réserve, modifie puis annule sa réservation", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const client = server.client();
+  await client.get(`/reserve/${slot.slot_id}`);
+  const res = await client.post(`/reserve/${slot.slot_id}`, { ...customer, [`qty_${product}`]: "2" });
+  assert.equal(res.status, 200);
+  const token = /\/r\/([\w-]+)\/edit/.exec(res.text)[1];
+  assert.equal((await getReservationByToken(token)).quantity, 2);
+
+  const edited = await client.post(`/r/${token}/edit`, { ...customer, [`qty_${product}`]: "1" });
+  assert.equal(edited.status, 200);
+  assert.equal((await getReservationByToken(token)).quantity, 1);
+
+  const cancelled = await client.post(`/r/${token}/cancel`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(await getReservationByToken(token), null);
+  assert.equal((await client.get(`/r/${token}/edit`)).status, 404);
+});
+
+test("réserver sans produit réaffiche le formulaire", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const res = await server.client().post(`/reserve/${slot.slot_id}`, customer);
+  assert.equal(res.status, 400);
+  assert.match(res.text, /Choisis au moins un produit/);
+});
+
+test("le téléphone est enregistré en E.164 et le client apparaît dans l'annuaire", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const client = server.client();
+  const invalid = await client.post(`/reserve/${slot.slot_id}`, { ...customer, phone: "12", [`qty_${product}`]: "1" });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.text, /Numéro de téléphone invalide/);
+  assert.match(invalid.text, /value="Jeanne"/);
+
+  const res = await client.post(`/reserve/${slot.slot_id}`, { ...customer, phone: "0470 12 34 56", [`qty_${product}`]: "1" });
+  assert.equal(res.status, 200);
+  const r = await getReservationByToken(/\/r\/([\w-]+)\/edit/.exec(res.text)[1]);
+  assert.equal(r.phone, "+32470123456");
+
+  const treasurer = await loginAs("treasurer");
+  const list = await treasurer.get("/admin/customers?q=0470123456");
+  assert.equal(list.status, 200);
+  assert.match(list.text, /\+32 470 12 34 56/);
+  assert.equal((await treasurer.get(`/admin/customers/${r.customer_id}`)).status, 200);
+  assert.equal((await treasurer.post(`/admin/customers/${r.customer_id}/merge`, { merge_id: "1" })).status, 403);
+});
+
+test("un formulaire sans jeton CSRF valide est refusé", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const client = server.client();
+  await client.get("/");
+  client.csrf = "faux";
+  const res = await client.post(`/reserve/${slot.slot_id}`, { ...customer, [`qty_${product}`]: "1" });
+  assert.equal(res.status, 403);
+  assert.equal((await listUpcomingSlots({ presenceId: slot.presence_id }))[0].reservations_count, 0);
+});
+
+test("le champ piège du formulaire de réservation bloque les robots", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const res = await server.client().post(`/reserve/${slot.slot_id}`, { ...customer, [`qty_${product}`]: "1", website: "http://spam.example" });
+  assert.equal(res.status, 400);
+  assert.match(res.text, /name="first_name"[^>]*value="Jeanne"/);
+  assert.match(res.text, new RegExp(`name="qty_${product}"[^>]*value="1"`));
+  assert.match(res.text, /alert-danger/);
+
+  // Erreur de saisie: la commande reste remplie
+  const invalid = await server.client().post(`/reserve/${slot.slot_id}`, { ...customer, phone: "12", [`qty_${product}`]: "2" });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.text, new RegExp(`name="qty_${product}"[^>]*value="2"`));
+  const missing = await server.client().post(`/reserve/${slot.slot_id}`, { ...customer, last_name: "", [`qty_${product}`]: "2" });
+  assert.equal(missing.status, 400);
+  assert.match(missing.text, /name="first_name"[^>]*value="Jeanne"/);
+  assert.match(missing.text, /alert-danger/);
+  assert.equal((await listUpcomingSlots({ presenceId: slot.presence_id }))[0].reservations_count, 0);
+});
+
+test("l'admin exige une session et le bon rôle", async () => {
+  const anonymous = await server.client().get("/admin/presences");
+  assert.equal(anonymous.status, 302);
+  assert.equal(anonymous.headers.get("location"), "/admin/login");
+
+  const volunteer = await loginAs("volunteer");
+  assert.equal((await volunteer.get("/admin/presences")).status, 200);
+  assert.equal((await volunteer.get("/admin/presences/new")).status, 403);
+});
+
+test("les routes de diagnostic sont fermées en production sans connexion", async () => {
+  const anonymous = server.client();
+  assert.equal((await anonymous.get("/admin/bypass")).status, 404);
+  assert.equal((await anonymous.get("/admin/debug-cookie")).status, 302);
+  const organiser = await loginAs("organiser");
+  assert.equal((await organiser.get("/admin/debug-cookie")).status, 200);
+});
+
+test("un organisateur crée une présence depuis le formulaire", async () => {
+  const organiser = await loginAs("organiser");
+  const date = futureDate(60);
+  await organiser.get("/admin/presences/new");
+  const res = await organiser.post("/admin/presences/new", { location: "Salle des fêtes", date, start_time: "14:00", end_time: "15:00", slot_minutes: "20" });
+  assert.equal(res.status, 302);
+  const [presence] = await listPresencesWithCounts({ from: date, to: date });
+  assert.equal(presence.location, "Salle des fêtes");
+  assert.equal(presence.slots_count, 3);
+});
+
+test("la connexion admin est limitée après trop d'échecs", async () => {
+  const client = server.client();
+  let res;
+  for (let i = 0; i < 11; i++) res = await client.post("/admin/login", { email: "intrus@example.com", password: "x" });
+  assert.equal(res.status, 429);
+});
+
+test("l'API v1 demande une clé valide", async () => {
+  const client = server.client();
+  assert.equal((await client.get("/api/v1/presences")).status, 401);
+
+  const { key, prefix, keyHash } = newApiKey();
+  await createApiKey({ name: "Tests", prefix, key_hash: keyHash, access: "read" });
+  const res = await client.get("/api/v1/presences?limit=1", { authorization: `Bearer ${key}` });
+  assert.equal(res.status, 200);
+  const body = res.json();
+  assert.equal(body.data.length, 1);
+  assert.ok(body.pagination.total >= 1);
+
+  const write = await client.request("/api/v1/presences", {
+    method: "POST",
+    headers: { authorization: `Bearer ${key}`, "content-type": "application/json" },
+    body: JSON.stringify({ location: "X", date: futureDate(), start_time: "09:00", end_time: "10:00" })
+  });
+  assert.equal(write.status, 403);
+});
+
+test("migrations: page organisateur et endpoint protégé par CRON_SECRET", async () => {
+  const organiser = await loginAs("organiser");
+  const page = await organiser.get("/admin/migrations");
+  assert.equal(page.status, 200);
+  assert.match(page.text, /001_initial/);
+  assert.equal((await organiser.get("/admin")).status, 200);
+
+  process.env.CRON_SECRET = "cron_test";
+  const client = server.client();
+  assert.equal((await client.request("/cron/migrate", { method: "POST" })).status, 401);
+  const res = await client.request("/cron/migrate", { method: "POST", headers: { authorization: "Bearer cron_test" } });
+  assert.deepEqual(res.json(), { ok: true, applied: [] });
+});
+
+test("le site suit Accept-Language ou le sélecteur et la réservation garde sa langue", async () => {
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const client = server.client();
+  const dutch = await client.get(`/reserve/${slot.slot_id}`, { "accept-language": "nl-BE,nl;q=0.9" });
+  assert.match(dutch.text, /<html lang="nl"/);
+  assert.match(dutch.text, /Mijn reservatie bevestigen/);
+
+  const english = await client.get(`/reserve/${slot.slot_id}?lang=en`, { "accept-language": "nl-BE" });
+  assert.match(english.text, /Confirm my reservation/);
+  // Total recalculé dans le navigateur au format de la langue
+  assert.match(english.text, /const locale = "en-GB";/);
+  assert.equal(client.cookies.get("lang"), "en");
+  const res = await client.post(`/reserve/${slot.slot_id}`, { ...customer, [`qty_${product}`]: "1" });
+  assert.match(res.text, /Reservation confirmed/);
+  assert.equal((await getReservationByToken(/\/r\/([\w-]+)\/edit/.exec(res.text)[1])).language, "en");
+
+  const admin = await (await loginAs("organiser")).get("/admin", { "accept-language": "en" });
+  assert.match(admin.text, /<html lang="fr"/);
+});
+
+test("les statistiques de saison et leurs CSV sont réservés à la trésorerie", async () => {
+  const volunteer = await loginAs("volunteer");
+  assert.equal((await volunteer.get("/admin/analytics")).status, 403);
+  const treasurer = await loginAs("treasurer");
+  const season = futureDate().slice(0, 4);
+  const page = await treasurer.get(`/admin/analytics?saison=${season}`);
+  assert.equal(page.status, 200);
+  assert.match(page.text, new RegExp(`Statistiques – saison ${season}`));
+  const csv = await treasurer.get(`/admin/analytics/locations.csv?saison=${season}&comparer=aucune`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(csv.text, /^Lieu;Présences;Réservations;Bouteilles;Total \(€\)/);
+  assert.equal((await treasurer.get("/admin/analytics/inconnue.csv")).status, 404);
+});
+
+test("la liste admin des réservations est paginée", async () => {
+  const date = futureDate(40);
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence({ location: "Salle paginée", date }) });
+  await sql`
+    INSERT INTO reservations (slot_id, first_name, last_name, phone, quantity, total_cents, token)
+    SELECT ${slot.slot_id}, 'Client', 'N' || i, '+32470000000', 1, 0, 'page-' || i FROM generate_series(1, 105) AS i
+  `;
+  const volunteer = await loginAs("volunteer");
+  const first = await volunteer.get(`/admin/reservations?date=${date}`);
+  assert.match(first.text, /Réservations 1 à 100 sur 105/);
+  assert.match(first.text, new RegExp(`href="/admin/reservations\\?date=${date}&amp;lieu=&amp;page=2"`));
+  const second = await volunteer.get(`/admin/reservations?date=${date}&page=2`);
+  assert.match(second.text, /Réservations 101 à 105 sur 105/);
+  assert.doesNotMatch(second.text, /Suivantes/);
+});
+
+test("un organisateur saisit une réservation sur un créneau passé puis la déplace", async () => {
+  const volunteer = await loginAs("volunteer");
+  assert.equal((await volunteer.get("/admin/reservations/new")).status, 403);
+
+  const organiser = await loginAs("organiser");
+  const past = await newPresence({ location: "Marché d'hier", date: futureDate(-2), stocks: { [product]: 5 } });
+  const { rows: [slot] } = await sql`SELECT id FROM slots WHERE presence_id = ${past} ORDER BY start_at LIMIT 1`;
+  const form = await organiser.get(`/admin/reservations/new?slot=${slot.id}`);
+  assert.equal(form.status, 200);
+  assert.match(form.text, new RegExp(`<option value="${slot.id}" data-presence="${past}" selected>`));
+  assert.match(form.text, /Reste 5/);
+
+  // Présence plus ancienne que la fenêtre par défaut: proposée en élargissant la période
+  const older = await newPresence({ location: "Foire d'automne", date: futureDate(-40) });
+  assert.doesNotMatch((await organiser.get("/admin/reservations/new")).text, new RegExp(`data-presence="${older}"`));
+  const widened = await organiser.get(`/admin/reservations/new?depuis=${futureDate(-60)}`);
+  assert.match(widened.text, new RegExp(`data-presence="${older}"`));
+  const created = await organiser.post("/admin/reservations/new", { ...customer, slot_id: String(slot.id), language: "nl", [`qty_${product}`]: "3" });
+  assert.equal(created.status, 302);
+  assert.match((await organiser.get(created.headers.get("location"))).text, /Réservation de Jeanne Dupont enregistrée/);
+  const { rows: [{ token }] } = await sql`SELECT r.token FROM reservations r WHERE r.slot_id = ${slot.id}`;
+  const r = await getReservationByToken(token);
+  assert.equal(r.quantity, 3);
+  assert.equal(r.language, "nl");
+  // Stock de la présence actuelle: les 3 bouteilles de la réservation restent disponibles
+  assert.match((await organiser.get(`/admin/reservations/${token}/edit`)).text, /Reste 5/);
+
+  const [target] = await listUpcomingSlots({ presenceId: await newPresence({ location: "Salle des fêtes" }) });
+  const edit = await organiser.get(`/admin/reservations/${token}/edit`);
+  assert.equal(edit.status, 200);
+  const moved = await organiser.post(`/admin/reservations/${token}/edit`, { ...customer, last_name: "Durand", slot_id: String(target.slot_id), language: "nl", [`qty_${product}`]: "1", notify: "1" });
+  assert.equal(moved.status, 302);
+  const after = await getReservationByToken(token);
+  assert.equal(after.slot_id, target.slot_id);
+  assert.equal(after.last_name, "Durand");
+  assert.equal(after.quantity, 1);
+
+  const invalid = await organiser.post(`/admin/reservations/${token}/edit`, { ...customer, slot_id: "", [`qty_${product}`]: "1" });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.text, /Choisis un créneau/);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../src/csv.js";
+import { reservationsToCsv } from "../src/exports.js";
+
+test("toCsv neutralise les cellules lues comme des formules par Excel", () => {
+  const csv = toCsv(
+    [{ name: "=HYPERLINK(\"http://x\")" }, { name: "@SUM(A1)" }, { name: "+32470123456" }, { name: "-12,5" }, { name: -3 }, { name: "Jeanne" }],
+    [{ header: "Nom", value: (r) => r.name }]
+  );
+  assert.deepEqual(csv.replace(/^\uFEFF/, "").trim().split("\r\n"), [
+    "Nom", "\"'=HYPERLINK(\"\"http://x\"\")\"", "'@SUM(A1)", "'+32470123456", "-12,5", "-3", "Jeanne"
+  ]);
+});
+
+test("l'export CSV des réservations affiche le téléphone formaté", () => {
+  const csv = reservationsToCsv([{
+    date: "2026-06-01", start_at: "2026-06-01T07:00:00Z", location: "Marché", first_name: "-Jeanne", last_name: "Dupont",
+    phone: "+32470123456", quantity: 1, total_cents: 1200, amount_paid_cents: 0, payment_reference: "000000000097", comment: "=1+1"
+  }]);
+  const line = csv.split("\r\n")[1];
+  assert.match(line, /;'-Jeanne;Dupont;'\+32 470 12 34 56;/);
+  assert.match(line, /;'=1\+1$/);
+});
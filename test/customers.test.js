@@ -0,0 +1,64 @@
+import "./setup.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { closeStorage } from "../src/storage.js";
+import {
+  createProduct, createReservation, getReservationByToken, updateReservation, listUpcomingSlots,
+  getCustomer, listCustomers, listDuplicateCustomers, mergeCustomers
+} from "../src/db.js";
+import { newPresence } from "./helpers.js";
+
+after(() => closeStorage());
+
+let tokens = 0;
+async function reserve(fields, quantity = 1) {
+  const product = await createProduct({ name: `Jus ${tokens}`, price_cents: 500 });
+  const [slot] = await listUpcomingSlots({ presenceId: await newPresence() });
+  const token = `client-${++tokens}`;
+  await createReservation({ slot_id: slot.slot_id, items: [{ product_id: product, quantity }], token, ...fields });
+  return getReservationByToken(token);
+}
+
+test("les réservations d'un même numéro sont rattachées au même client", async () => {
+  const first = await reserve({ first_name: "Marc", last_name: "Lemaire", phone: "+32471111111" }, 2);
+  const second = await reserve({ first_name: "Marc", last_name: "Lemaire", phone: "+32471111111", email: "marc@example.com" }, 3);
+  assert.ok(first.customer_id);
+  assert.equal(second.customer_id, first.customer_id);
+
+  const customer = await getCustomer(first.customer_id);
+  assert.deepEqual(customer.phones, ["+32471111111"]);
+  assert.equal(customer.email, "marc@example.com");
+  assert.equal(customer.reservations_count, 2);
+  assert.equal(customer.units_total, 5);
+  assert.equal(customer.total_cents, 2500);
+  assert.equal(customer.reservations.length, 2);
+
+  const found = await listCustomers({ q: "0471 11" });
+  assert.deepEqual(found.map((c) => c.id), [first.customer_id]);
+});
+
+test("changer de numéro rattache la réservation à un autre client", async () => {
+  const r = await reserve({ first_name: "Anne", last_name: "Noël", phone: "+32472222222" });
+  await updateReservation(r.token, { first_name: "Anne", last_name: "Noël", phone: "+32473333333", items: r.items, comment: null });
+  const updated = await getReservationByToken(r.token);
+  assert.notEqual(updated.customer_id, r.customer_id);
+  assert.equal((await getCustomer(r.customer_id)).reservations_count, 0);
+});
+
+test("fusionner deux clients regroupe numéros et réservations", async () => {
+  const a = await reserve({ first_name: "Paul", last_name: "Durant", phone: "+32474444444" });
+  const b = await reserve({ first_name: "paul", last_name: "durant", phone: "+32475555555", email: "paul@example.com" });
+  assert.deepEqual((await listDuplicateCustomers(a.customer_id)).map((c) => c.id), [b.customer_id]);
+
+  assert.equal(await mergeCustomers(a.customer_id, b.customer_id), true);
+  assert.equal(await getCustomer(b.customer_id), null);
+  const merged = await getCustomer(a.customer_id);
+  assert.deepEqual(merged.phones, ["+32474444444", "+32475555555"]);
+  assert.equal(merged.email, "paul@example.com");
+  assert.equal(merged.reservations_count, 2);
+  assert.equal(await mergeCustomers(a.customer_id, b.customer_id), false);
+
+  // Le numéro du doublon mène désormais au client gardé
+  const again = await reserve({ first_name: "Paul", last_name: "Durant", phone: "+32475555555" });
+  assert.equal(again.customer_id, a.customer_id);
+});
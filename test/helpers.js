@@ -0,0 +1,59 @@
+import { createPresence } from "../src/db.js";
+
+// Date "YYYY-MM-DD" dans `days` jours: les créneaux sont toujours à venir
+export function futureDate(days = 30) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+export async function newPresence(fields = {}) {
+  return createPresence({ location: "Place communale", date: futureDate(), start_time: "09:00", end_time: "10:00", ...fields });
+}
+
+// Serveur Express sur un port libre
+export async function startServer(app) {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    client: () => new Client(base),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Navigateur minimal: garde les cookies, ne suit pas les redirections et
+// ajoute le jeton CSRF (lu sur la dernière page HTML) aux formulaires envoyés
+class Client {
+  constructor(base) {
+    this.base = base;
+    this.cookies = new Map();
+    this.csrf = null;
+  }
+
+  async request(path, options = {}) {
+    const cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join("; ");
+    const res = await fetch(this.base + path, { redirect: "manual", ...options, headers: { cookie, ...options.headers } });
+    for (const header of res.headers.getSetCookie()) {
+      const [name, value] = header.split(";")[0].split("=");
+      if (value) this.cookies.set(name, value);
+      else this.cookies.delete(name);
+    }
+    const text = await res.text();
+    this.csrf = /name="_csrf" value="([^"]+)"/.exec(text)?.[1] || this.csrf;
+    return { status: res.status, headers: res.headers, text, json: () => JSON.parse(text) };
+  }
+
+  get(path, headers = {}) {
+    return this.request(path, { headers });
+  }
+
+  // POST d'un formulaire HTML; charge d'abord une page à formulaire si aucun jeton CSRF n'est connu
+  async post(path, fields = {}) {
+    if (!this.csrf) await this.get("/admin/login");
+    return this.request(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ _csrf: this.csrf, ...fields }).toString()
+    });
+  }
+}
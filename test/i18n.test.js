@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { languageFromHeader, missingKeys, translator } from "../src/i18n.js";
+import { reservationIcs } from "../src/ical.js";
+
+test("languageFromHeader choisit la première langue connue selon q", () => {
+  assert.equal(languageFromHeader("nl-BE,nl;q=0.9,fr;q=0.8"), "nl");
+  assert.equal(languageFromHeader("de-DE,en;q=0.5,fr;q=0.7"), "fr");
+  assert.equal(languageFromHeader("de, en-GB;q=0.3"), "en");
+  assert.equal(languageFromHeader("en;q=0, de"), "fr");
+  assert.equal(languageFromHeader(undefined), "fr");
+});
+
+test("translator remplace les paramètres et retombe sur le français", () => {
+  const t = translator("nl");
+  assert.equal(t("common.at", { date: "2025-10-04", time: "09:15" }), "2025-10-04 om 09:15");
+  assert.equal(t("order.remaining", {}), "Nog {count}");
+  assert.equal(translator("de")("confirm.title"), "Réservation confirmée");
+  assert.equal(t("inconnu.cle"), "inconnu.cle");
+});
+
+test("les catalogues NL et EN couvrent toutes les clés françaises", () => {
+  assert.deepEqual(missingKeys("nl"), []);
+  assert.deepEqual(missingKeys("en"), []);
+});
+
+test("l'événement agenda suit la langue de la réservation", () => {
+  const reservation = { token: "abc", first_name: "Jan", last_name: "Peeters", start_at: "2025-10-04T08:15:00Z", location: "Markt", language: "nl" };
+  const ics = reservationIcs({ reservation, baseUrl: "https://example.com" });
+  assert.match(ics, /SUMMARY:Appelsap afhalen/);
+  assert.match(ics, /Reservatie op naam van Jan Peeters/);
+});
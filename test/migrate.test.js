@@ -0,0 +1,27 @@
+import "./setup.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { sql, closeStorage } from "../src/storage.js";
+import { migrate, migrationStatus } from "../src/migrate.js";
+import { MIGRATIONS } from "../src/migrations/index.js";
+
+after(() => closeStorage());
+
+test("toutes les migrations sont appliquées une seule fois, dans l'ordre", async () => {
+  const status = await migrationStatus();
+  assert.deepEqual(status.map((m) => m.id), MIGRATIONS.map((m) => m.id));
+  assert.ok(status.every((m) => m.applied_at));
+  assert.deepEqual(await migrate(), []);
+});
+
+test("les identifiants sont numérotés et uniques", () => {
+  const ids = MIGRATIONS.map((m) => m.id);
+  assert.deepEqual([...ids].sort(), ids);
+  assert.equal(new Set(ids.map((id) => id.slice(0, 3))).size, ids.length);
+  ids.forEach((id) => assert.match(id, /^\d{3}_[a-z0-9_]+$/));
+});
+
+test("les migrations reprises de l'ancien ensureSchema repassent sur une base existante", async () => {
+  await sql`DELETE FROM schema_migrations WHERE id IN ('001_initial', '004_slot_timezone', '012_waitlist')`;
+  assert.deepEqual(await migrate(), ["001_initial", "004_slot_timezone", "012_waitlist"]);
+});
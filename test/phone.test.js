@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePhone, formatPhone } from "../src/phone.js";
+
+test("normalizePhone met les numéros au format E.164, belge par défaut", () => {
+  for (const input of ["0470 12 34 56", "0470/12.34.56", "+32 (0)470 12 34 56", "0032470123456", "470123456"]) {
+    assert.equal(normalizePhone(input), "+32470123456", input);
+  }
+  assert.equal(normalizePhone("02 123 45 67"), "+3221234567");
+  assert.equal(normalizePhone("+33 6 12 34 56 78"), "+33612345678");
+});
+
+test("normalizePhone refuse les numéros invalides", () => {
+  for (const input of ["", "abc", "12", "0470 12", "+32 0470 12 34 56", "0470+123456", "+32 470 12 34 56 78"]) {
+    assert.equal(normalizePhone(input), null, input);
+  }
+});
+
+test("formatPhone groupe les chiffres des numéros belges", () => {
+  assert.equal(formatPhone("+32470123456"), "+32 470 12 34 56");
+  assert.equal(formatPhone("+3221234567"), "+32 2 123 45 67");
+  assert.equal(formatPhone("+3210123456"), "+32 10 12 34 56");
+  assert.equal(formatPhone("+33612345678"), "+33612345678");
+});
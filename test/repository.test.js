@@ -0,0 +1,20 @@
+import "./setup.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { closeStorage } from "../src/storage.js";
+import * as postgres from "../src/db.js";
+import repository, { REPOSITORY_FUNCTIONS, checkRepository } from "../src/repository.js";
+
+after(() => closeStorage());
+
+test("le dépôt Postgres fournit toute l'interface, et rien d'autre n'est exposé", async () => {
+  assert.equal(checkRepository("postgres", postgres), postgres);
+  assert.deepEqual(Object.keys(repository), [...REPOSITORY_FUNCTIONS, "CapacityError", "PlanChangedError"]);
+  assert.equal(repository.SYSTEM_ACTOR, undefined);
+  await repository.ping();
+});
+
+test("un dépôt incomplet est refusé", () => {
+  const { getSeasonStats, CapacityError, ...partial } = postgres;
+  assert.throws(() => checkRepository("partiel", partial), /Dépôt « partiel » incomplet: getSeasonStats, CapacityError/);
+});
@@ -0,0 +1,125 @@
+import "./setup.js";
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { sql, closeStorage } from "../src/storage.js";
+import {
+  CapacityError, createProduct, createReservation, getReservationByToken, updateReservation,
+  deleteReservationByToken, deletePresence, getPresenceById, listUpcomingSlots, listPresencesWithCounts,
+  previewPresenceEdit, updatePresenceWithRegeneration, getAuditHistory, updateProduct, hitRateLimit
+} from "../src/db.js";
+import { futureDate, newPresence } from "./helpers.js";
+
+after(() => closeStorage());
+
+let tokens = 0;
+async function reserve(slotId, items, fields = {}) {
+  const token = `test-${++tokens}`;
+  await createReservation({ slot_id: slotId, first_name: "Jeanne", last_name: "Dupont", phone: "0470000000", items, token, ...fields });
+  return token;
+}
+const slotsOf = (presenceId) => listUpcomingSlots({ presenceId });
+
+test("createPresence génère les créneaux de la plage horaire", async () => {
+  const id = await newPresence({ start_time: "09:00", end_time: "12:00", slot_minutes: 30, breaks: [{ start: "10:00", end: "11:00" }] });
+  const slots = await slotsOf(id);
+  assert.equal(slots.length, 4);
+  const [presence] = await listPresencesWithCounts({ id });
+  assert.equal(presence.slots_count, 4);
+  assert.equal(presence.date, futureDate());
+});
+
+test("réservation: création, lecture, modification et annulation", async () => {
+  const product = await createProduct({ name: "Jus 3L", price_cents: 1000 });
+  const [slot] = await slotsOf(await newPresence());
+  const token = await reserve(slot.slot_id, [{ product_id: product, quantity: 2 }], { email: "jeanne@example.com" });
+
+  const created = await getReservationByToken(token);
+  assert.equal(created.slot_id, slot.slot_id);
+  assert.equal(created.quantity, 2);
+  assert.equal(created.total_cents, 2000);
+  assert.deepEqual(created.items.map((i) => [i.product_id, i.quantity]), [[product, 2]]);
+
+  await updateReservation(token, { first_name: "Jeanne", last_name: "Martin", phone: "0470000000", items: [{ product_id: product, quantity: 3 }], comment: "Merci" });
+  const updated = await getReservationByToken(token);
+  assert.equal(updated.last_name, "Martin");
+  assert.equal(updated.total_cents, 3000);
+  assert.equal(updated.comment, "Merci");
+
+  await deleteReservationByToken(token);
+  assert.equal(await getReservationByToken(token), null);
+  const history = await getAuditHistory("reservation", created.id);
+  assert.deepEqual(history.map((e) => e.action), ["create", "update", "delete"]);
+});
+
+test("updateReservation déplace vers un autre créneau en vérifiant sa capacité", async () => {
+  const product = await createProduct({ name: "Jus 1L", price_cents: 400 });
+  const [slot] = await slotsOf(await newPresence());
+  const [other, full] = await slotsOf(await newPresence({ location: "Salle", date: futureDate(40), slot_capacity: 1 }));
+  await reserve(full.slot_id, [{ product_id: product, quantity: 1 }]);
+  const token = await reserve(slot.slot_id, [{ product_id: product, quantity: 2 }]);
+  await updateProduct(product, { name: "Jus 1L", price_cents: 500, sort_order: 0, active: true });
+
+  const fields = { first_name: "Jeanne", last_name: "Dupont", phone: "0470000000", items: [{ product_id: product, quantity: 2 }] };
+  await assert.rejects(updateReservation(token, { ...fields, slot_id: full.slot_id }), (e) => e instanceof CapacityError && e.code === "slot_full");
+  await updateReservation(token, { ...fields, slot_id: other.slot_id });
+  const moved = await getReservationByToken(token);
+  assert.equal(moved.slot_id, other.slot_id);
+  assert.equal(moved.location, "Salle");
+  assert.equal(moved.total_cents, 800);
+
+  await updateReservation(token, fields);
+  assert.equal((await getReservationByToken(token)).slot_id, other.slot_id);
+});
+
+test("capacité par créneau et stock par présence", async () => {
+  const product = await createProduct({ name: "Cubi 5L", price_cents: 1500 });
+  const id = await newPresence({ slot_capacity: 1, stocks: { [product]: 3 } });
+  const [first, second] = await slotsOf(id);
+
+  await reserve(first.slot_id, [{ product_id: product, quantity: 2 }]);
+  await assert.rejects(reserve(first.slot_id, [{ product_id: product, quantity: 1 }]), (e) => e instanceof CapacityError && e.code === "slot_full");
+  await assert.rejects(reserve(second.slot_id, [{ product_id: product, quantity: 2 }]), (e) => e instanceof CapacityError && e.code === "stock_exceeded");
+  await reserve(second.slot_id, [{ product_id: product, quantity: 1 }]);
+
+  const slots = await slotsOf(id);
+  assert.ok(slots[0].is_full);
+});
+
+test("supprimer une présence supprime ses créneaux et réservations", async () => {
+  const product = await createProduct({ name: "Bouteille", price_cents: 300 });
+  const id = await newPresence();
+  const [slot] = await slotsOf(id);
+  const token = await reserve(slot.slot_id, [{ product_id: product, quantity: 1 }]);
+
+  await deletePresence(id);
+  assert.equal(await getPresenceById(id), null);
+  assert.equal(await getReservationByToken(token), null);
+  const { rows } = await sql`SELECT COUNT(*)::int AS n FROM slots WHERE presence_id = ${id}`;
+  assert.equal(rows[0].n, 0);
+});
+
+test("modifier les horaires déplace les réservations des créneaux supprimés", async () => {
+  const product = await createProduct({ name: "Jus 1L", price_cents: 250 });
+  const id = await newPresence({ start_time: "09:00", end_time: "10:00" });
+  const slots = await slotsOf(id);
+  const token = await reserve(slots[3].slot_id, [{ product_id: product, quantity: 1 }]);
+  const fields = { location: "Place communale", date: futureDate(), start_time: "09:00", end_time: "09:30" };
+
+  const plan = await previewPresenceEdit(id, fields);
+  assert.deepEqual(plan.moves.map((m) => [m.from, m.to]), [["09:45", "09:15"]]);
+  await updatePresenceWithRegeneration(id, fields, { expectedKey: plan.key });
+
+  assert.equal((await slotsOf(id)).length, 2);
+  const moved = await getReservationByToken(token);
+  assert.equal(moved.slot_id, (await slotsOf(id))[1].slot_id);
+});
+
+test("hitRateLimit ne purge pas les tentatives d'une clé à fenêtre plus longue", async () => {
+  const hourly = { limit: 2, windowSeconds: 3600 };
+  await hitRateLimit("test:hourly", hourly);
+  await hitRateLimit("test:hourly", hourly);
+  await sql`UPDATE rate_limit_hits SET created_at = NOW() - interval '20 minutes' WHERE key = 'test:hourly'`;
+  // Une clé à fenêtre de 15 minutes (comme la connexion admin) ne touche pas aux autres clés
+  assert.equal(await hitRateLimit("test:quarter", { limit: 5, windowSeconds: 900 }), false);
+  assert.equal(await hitRateLimit("test:hourly", hourly), true);
+});
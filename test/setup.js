@@ -0,0 +1,9 @@
+// À importer en premier dans chaque fichier de test: base PGlite en mémoire,
+// neuve pour chaque fichier (node --test lance un processus par fichier), migrée
+process.env.DB_BACKEND = "memory";
+process.env.SESSION_SECRET = "test_secret";
+process.env.BASE_URL = "http://localhost:3000";
+process.env.NODE_ENV = "production";
+
+const { migrate } = await import("../src/migrate.js");
+await migrate();
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSlotTimes, parseBreaks, planSlotRemap, planKey } from "../src/slots.js";
+
+test("computeSlotTimes découpe la plage en créneaux entiers", () => {
+  assert.deepEqual(computeSlotTimes({ start_time: "09:00", end_time: "10:10", slot_minutes: 20 }), ["09:00", "09:20", "09:40"]);
+  assert.deepEqual(computeSlotTimes({ start_time: "10:00", end_time: "09:00" }), []);
+});
+
+test("computeSlotTimes saute les pauses et reprend à leur fin", () => {
+  const { breaks } = parseBreaks("10:10-10:30");
+  assert.deepEqual(computeSlotTimes({ start_time: "09:30", end_time: "11:00", slot_minutes: 20, breaks }), ["09:30", "09:50", "10:30"]);
+});
+
+test("parseBreaks trie les pauses et refuse les formats invalides", () => {
+  assert.deepEqual(parseBreaks("15:30-15:45, 12:00–13:00").breaks, [{ start: "12:00", end: "13:00" }, { start: "15:30", end: "15:45" }]);
+  assert.match(parseBreaks("midi").error, /Pause invalide/);
+  assert.match(parseBreaks("13:00-12:00").error, /la fin doit être après le début/);
+});
+
+test("planSlotRemap déplace vers le créneau libre le plus proche, sinon orpheline", () => {
+  const slots = [{ id: 1, hm: "09:00" }, { id: 2, hm: "09:15" }, { id: 3, hm: "09:30" }];
+  const reservations = [
+    { id: 10, slot_id: 1, hm: "09:00" },
+    { id: 11, slot_id: 3, hm: "09:30" },
+    { id: 12, slot_id: 3, hm: "09:30" }
+  ];
+  const plan = planSlotRemap({ slots, reservations, newTimes: ["09:00", "09:15"], slot_capacity: 2 });
+  assert.deepEqual(plan.removed.map((s) => s.id), [3]);
+  assert.deepEqual(plan.moves.map((m) => [m.reservation.id, m.to]), [[11, "09:15"], [12, "09:15"]]);
+  assert.deepEqual(plan.orphans, []);
+
+  const full = planSlotRemap({ slots, reservations, newTimes: ["09:00"], slot_capacity: 1 });
+  assert.deepEqual(full.orphans.map((r) => r.id), [11, 12]);
+  assert.equal(planKey(full), "11>x,12>x");
+});